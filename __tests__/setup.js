@@ -2,16 +2,8 @@
  * Test setup and configuration
  */
 
-// Global test configuration
-global.console = {
-  ...console,
-  // Suppress console.log during tests unless explicitly needed
-  log: process.env.VERBOSE_TESTS ? console.log : jest.fn(),
-  error: console.error,
-  warn: console.warn,
-  info: console.info,
-  debug: console.debug,
-};
+// Quiet the API's logger; LOG_LEVEL=debug or VERBOSE_TESTS=true shows what a test logged
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || (process.env.VERBOSE_TESTS ? 'debug' : 'silent');
 
 // Test timeout configuration
 jest.setTimeout(30000);
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApiKeyStore, hashKey } = require('../api-keys');
+
+const ENDPOINTS = ['price', 'prices', 'search'];
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEYS_FILE = path.join(tmpDir, 'keys.json');
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+  tiers: { partner: { burst: 2, refill_per_second: 0.01 } },
+  keys: [
+    { name: 'wordpress', key: 'wp-secret', tier: 'pro', endpoints: ['search'], monthly_quota: 3 },
+    { name: 'partner', key: 'partner-secret', tier: 'partner' },
+    { name: 'batch', key: 'batch-secret', tier: 'pro', monthly_quota: 2 },
+    { name: 'ops', key_sha256: hashKey('ops-secret'), admin: true }
+  ]
+}));
+const app = require('../app');
+
+describe('API keys', () => {
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createApiKeyStore', () => {
+    it('should look up keys given in plain text or as a digest', () => {
+      const store = createApiKeyStore({
+        keys: [
+          { name: 'plain', key: 'abc' },
+          { name: 'hashed', key_sha256: hashKey('def'), tier: 'pro', endpoints: ['price'], monthly_quota: 10 }
+        ]
+      }, ENDPOINTS);
+
+      expect(store.lookup('abc')).toMatchObject({ name: 'plain', tier: 'basic', endpoints: null, monthlyQuota: null });
+      expect(store.lookup('def')).toMatchObject({ name: 'hashed', tier: 'pro', endpoints: ['price'], monthlyQuota: 10 });
+      expect(store.lookup('nope')).toBeNull();
+      expect(store.lookup(null)).toBeNull();
+    });
+
+    it('should refuse invalid key files', () => {
+      expect(() => createApiKeyStore({ keys: [{ key: 'abc' }] }, ENDPOINTS)).toThrow('needs a name');
+      expect(() => createApiKeyStore({ keys: [{ name: 'a' }] }, ENDPOINTS)).toThrow('needs a key');
+      expect(() => createApiKeyStore({ keys: [{ name: 'a', key: 'x', tier: 'gold' }] }, ENDPOINTS)).toThrow('unknown tier "gold"');
+      expect(() => createApiKeyStore({ keys: [{ name: 'a', key: 'x', endpoints: ['admin'] }] }, ENDPOINTS)).toThrow('invalid endpoints');
+      expect(() => createApiKeyStore({ keys: [{ name: 'a', key: 'x' }, { name: 'a', key: 'y' }] }, ENDPOINTS)).toThrow('listed twice');
+      expect(() => createApiKeyStore({ tiers: { free: { burst: 0 } } }, ENDPOINTS)).toThrow('tier "free"');
+    });
+  });
+
+  describe('API', () => {
+    it('should reject unknown keys and endpoints a key may not call', async () => {
+      const unknown = await request(app).get('/search?q=btc').set('X-API-Key', 'guess').expect(401);
+      expect(unknown.body).toHaveProperty('error', 'Invalid API key');
+
+      const forbidden = await request(app).get('/price/bitcoin?api_key=wp-secret').expect(403);
+      expect(forbidden.body).toHaveProperty('error', 'Endpoint not allowed');
+    });
+
+    it('should limit keys at their tier rate instead of the anonymous one', async () => {
+      const anonymous = await request(app).get('/search?q=btc').expect(200);
+      expect(anonymous.headers['ratelimit-limit']).toBe('50');
+
+      const pro = await request(app).get('/search?q=btc').set('X-API-Key', 'wp-secret').expect(200);
+      expect(pro.headers['ratelimit-limit']).toBe('1000');
+
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        statuses.push((await request(app).get('/search?q=btc&api_key=partner-secret')).status);
+      }
+      expect(statuses).toEqual([200, 200, 429]);
+    });
+
+    it('should stop a key at its monthly quota', async () => {
+      await request(app).get('/search?q=eth').set('X-API-Key', 'wp-secret').expect(200);
+      await request(app).get('/search?q=eth').set('X-API-Key', 'wp-secret').expect(200);
+
+      const over = await request(app).get('/search?q=eth').set('X-API-Key', 'wp-secret').expect(429);
+
+      expect(over.body).toHaveProperty('error', 'Quota exceeded');
+      expect(Number(over.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should not let concurrent requests overshoot the quota', async () => {
+      const responses = await Promise.all(Array.from({ length: 5 }, () =>
+        request(app).get('/search?q=sol').set('X-API-Key', 'batch-secret')
+      ));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 200, 429, 429, 429]);
+    });
+
+    it('should report usage per key to admin keys only', async () => {
+      await request(app).get('/admin/usage').expect(401);
+      await request(app).get('/admin/usage').set('X-API-Key', 'partner-secret').expect(403);
+      await request(app).get('/admin/usage?month=2024-13').set('X-API-Key', 'ops-secret').expect(400);
+
+      const response = await request(app).get('/admin/usage').set('X-API-Key', 'ops-secret').expect(200);
+
+      expect(response.body.month).toMatch(/^\d{4}-\d{2}$/);
+      expect(response.body.keys.find(key => key.name === 'wordpress')).toEqual({
+        name: 'wordpress',
+        tier: 'pro',
+        endpoints: ['search'],
+        monthly_quota: 3,
+        used: 3,
+        remaining: 0,
+        by_endpoint: { search: 3 }
+      });
+      expect(response.body.keys.find(key => key.name === 'partner')).toMatchObject({ used: 2, remaining: null });
+      expect(response.body.keys.find(key => key.name === 'batch')).toMatchObject({ used: 2, remaining: 0 });
+      expect(response.body.anonymous).toEqual({ used: 1, by_endpoint: { search: 1 } });
+      expect(JSON.stringify(response.body)).not.toContain('secret');
+    });
+  });
+});
@@ -30,6 +30,8 @@ describe('Cryptocurrency Price API', () => {
       expect(response.body).toHaveProperty('timestamp');
       expect(response.body).toHaveProperty('cache_size');
       expect(response.body).toHaveProperty('uptime');
+      expect(response.body).toHaveProperty('providers', ['coingecko']);
+      expect(response.body).toHaveProperty('cache', { backend: 'memory', reachable: true });
     });
   });
 
@@ -51,19 +53,19 @@ describe('Cryptocurrency Price API', () => {
         });
 
       nock('https://api.coingecko.com')
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query({
-          localization: false,
-          tickers: false,
-          market_data: false,
-          community_data: false,
-          developer_data: false,
+          vs_currency: 'usd',
+          ids: 'bitcoin',
+          per_page: 250,
+          page: 1,
           sparkline: false
         })
-        .reply(200, {
+        .reply(200, [{
+          id: 'bitcoin',
           name: 'Bitcoin',
           symbol: 'btc'
-        });
+        }]);
 
       const response = await request(app)
         .get('/price/bitcoin')
@@ -72,6 +74,7 @@ describe('Cryptocurrency Price API', () => {
       expect(response.body).toHaveProperty('name', 'Bitcoin');
       expect(response.body).toHaveProperty('symbol', 'BTC');
       expect(response.body).toHaveProperty('price', 45000.50);
+      expect(response.body).toHaveProperty('provider', 'coingecko');
     });
 
     it('should return 404 for invalid cryptocurrency ID', async () => {
@@ -122,9 +125,9 @@ describe('Cryptocurrency Price API', () => {
         .reply(200, { ethereum: { usd: 2800.25 } });
 
       nock('https://api.coingecko.com')
-        .get('/api/v3/coins/ethereum')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Ethereum', symbol: 'eth' });
+        .reply(200, [{ id: 'ethereum', name: 'Ethereum', symbol: 'eth' }]);
 
       await request(app)
         .get('/price/ethereum')
@@ -141,6 +144,121 @@ describe('Cryptocurrency Price API', () => {
     });
   });
 
+  describe('GET /price/:id?vs=', () => {
+    it('should return a price map for the requested currencies', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query({
+          ids: 'litecoin',
+          vs_currencies: 'eur,gbp',
+          include_market_cap: false,
+          include_24hr_vol: false,
+          include_24hr_change: false,
+          include_last_updated_at: false
+        })
+        .reply(200, { litecoin: { eur: 61.5, gbp: 52.25 } });
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'litecoin', name: 'Litecoin', symbol: 'ltc' }]);
+
+      const response = await request(app)
+        .get('/price/litecoin?vs=EUR, gbp')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('price', 61.5);
+      expect(response.body).toHaveProperty('prices', { eur: 61.5, gbp: 52.25 });
+    });
+
+    it('should not serve a cached quote for a different currency set', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'stellar' && query.vs_currencies === 'usd')
+        .reply(200, { stellar: { usd: 0.12 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'stellar', name: 'Stellar', symbol: 'xlm' }]);
+
+      await request(app).get('/price/stellar').expect(200);
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'stellar' && query.vs_currencies === 'chf')
+        .reply(200, { stellar: { chf: 0.11 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'stellar', name: 'Stellar', symbol: 'xlm' }]);
+
+      const response = await request(app)
+        .get('/price/stellar?vs=chf')
+        .expect(200);
+
+      expect(response.body.price).toBe(0.11);
+      expect(response.body.prices).toEqual({ chf: 0.11 });
+    });
+
+    it('should reject malformed currency codes', async () => {
+      const response = await request(app)
+        .get('/price/bitcoin?vs=usd,e$r')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid currency');
+    });
+  });
+
+  describe('GET /price/:id?include=', () => {
+    it('should return the requested market data fields', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query({
+          ids: 'polkadot',
+          vs_currencies: 'usd',
+          include_market_cap: true,
+          include_24hr_vol: true,
+          include_24hr_change: true,
+          include_last_updated_at: true
+        })
+        .reply(200, {
+          polkadot: {
+            usd: 7.1,
+            usd_market_cap: 9000000000,
+            usd_24h_vol: 250000000,
+            usd_24h_change: -3.25,
+            last_updated_at: 1700000000
+          }
+        })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'polkadot', name: 'Polkadot', symbol: 'dot' }]);
+
+      const response = await request(app)
+        .get('/price/polkadot?include=change,last_updated')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('change_24h', { usd: -3.25 });
+      expect(response.body).toHaveProperty('last_updated_at', 1700000000);
+      expect(response.body).toHaveProperty('last_updated', '2023-11-14T22:13:20.000Z');
+      expect(response.body).not.toHaveProperty('market_cap');
+
+      // A different field selection is served from the same cache entry
+      const cached = await request(app)
+        .get('/price/polkadot?include=market_cap,volume')
+        .expect(200);
+
+      expect(cached.body).toHaveProperty('market_cap', { usd: 9000000000 });
+      expect(cached.body).toHaveProperty('volume_24h', { usd: 250000000 });
+    });
+
+    it('should reject unknown fields', async () => {
+      const response = await request(app)
+        .get('/price/bitcoin?include=change,sentiment')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid include');
+    });
+  });
+
   describe('GET /prices/:ids', () => {
     it('should return multiple cryptocurrency prices', async () => {
       nock('https://api.coingecko.com')
@@ -159,14 +277,12 @@ describe('Cryptocurrency Price API', () => {
         });
 
       nock('https://api.coingecko.com')
-        .get('/api/v3/coins/bitcoin')
-        .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
-
-      nock('https://api.coingecko.com')
-        .get('/api/v3/coins/ethereum')
-        .query(true)
-        .reply(200, { name: 'Ethereum', symbol: 'eth' });
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'bitcoin,ethereum')
+        .reply(200, [
+          { id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' },
+          { id: 'ethereum', name: 'Ethereum', symbol: 'eth' }
+        ]);
 
       const response = await request(app)
         .get('/prices/bitcoin,ethereum')
@@ -176,6 +292,39 @@ describe('Cryptocurrency Price API', () => {
       expect(response.body).toHaveProperty('ethereum');
       expect(response.body.bitcoin).toHaveProperty('price', 45000.50);
       expect(response.body.ethereum).toHaveProperty('price', 2800.25);
+      expect(response.body.bitcoin).toHaveProperty('provider', 'coingecko');
+      expect(response.body.ethereum).toHaveProperty('name', 'Ethereum');
+    });
+
+    it('should fetch a 20-coin ticker with two upstream calls', async () => {
+      const ids = Array.from({ length: 20 }, (_, index) => `ticker-coin-${index}`);
+      const upstreamCalls = [];
+      const recordCall = req => {
+        const path = req.path.split('?')[0];
+        if (path.startsWith('/api/v3/')) {
+          upstreamCalls.push(path);
+        }
+      };
+
+      const scope = nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === ids.join(','))
+        .reply(200, Object.fromEntries(ids.map((id, index) => [id, { usd: index + 1 }])))
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === ids.join(','))
+        .reply(200, ids.map(id => ({ id, name: id.toUpperCase(), symbol: id.slice(-2) })));
+      scope.on('request', recordCall);
+      nock.emitter.on('no match', recordCall);
+
+      const response = await request(app)
+        .get(`/prices/${ids.join(',')}`)
+        .expect(200);
+
+      nock.emitter.removeListener('no match', recordCall);
+
+      expect(Object.keys(response.body)).toHaveLength(20);
+      expect(response.body['ticker-coin-7']).toMatchObject({ name: 'TICKER-COIN-7', price: 8 });
+      expect(upstreamCalls).toEqual(['/api/v3/simple/price', '/api/v3/coins/markets']);
     });
 
     it('should handle mixed cached and fresh data', async () => {
@@ -186,9 +335,9 @@ describe('Cryptocurrency Price API', () => {
         .reply(200, { bitcoin: { usd: 45000.50 } });
 
       nock('https://api.coingecko.com')
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
 
       await request(app).get('/price/bitcoin');
 
@@ -206,9 +355,9 @@ describe('Cryptocurrency Price API', () => {
         .reply(200, { cardano: { usd: 0.45 } });
 
       nock('https://api.coingecko.com')
-        .get('/api/v3/coins/cardano')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Cardano', symbol: 'ada' });
+        .reply(200, [{ id: 'cardano', name: 'Cardano', symbol: 'ada' }]);
 
       const response = await request(app)
         .get('/prices/bitcoin,cardano')
@@ -232,9 +381,9 @@ describe('Cryptocurrency Price API', () => {
 
       nock('https://api.coingecko.com')
         .persist()
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
 
       // Make 51 requests rapidly (exceeding the 50/minute limit)
       const requests = Array(51).fill().map(() => 
@@ -0,0 +1,219 @@
+const request = require('supertest');
+const nock = require('nock');
+const { createMemoryStore, createRedisStore, createCacheStore } = require('../cache-store');
+const { createRedisClient, parseReply, encodeCommand } = require('../redis-client');
+const { startRedisStandIn } = require('./helpers/redis-stand-in');
+
+describe('Cache stores', () => {
+  describe('memory store', () => {
+    it('should store values until their TTL runs out', async () => {
+      const store = createMemoryStore();
+
+      await store.set('bitcoin:usd', { price: 1 }, 20);
+      expect(await store.get('bitcoin:usd')).toEqual({ price: 1 });
+      expect(await store.size()).toBe(1);
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      expect(await store.get('bitcoin:usd')).toBeNull();
+      expect(await store.size()).toBe(0);
+    });
+
+    it('should evict the least recently used entry when full', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+
+      await store.set('bitcoin:usd', 1, 60000);
+      await store.set('ethereum:usd', 2, 60000);
+      await store.get('bitcoin:usd');
+      await store.set('cardano:usd', 3, 60000);
+
+      expect(await store.get('ethereum:usd')).toBeNull();
+      expect(await store.get('bitcoin:usd')).toBe(1);
+      expect(await store.get('cardano:usd')).toBe(3);
+      expect(await store.size()).toBe(2);
+    });
+
+    it('should drop expired entries before evicting live ones', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+
+      await store.set('bitcoin:usd', 1, 60000);
+      await store.set('ethereum:usd', 2, 10);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await store.set('cardano:usd', 3, 60000);
+
+      expect(await store.get('bitcoin:usd')).toBe(1);
+      expect(await store.get('cardano:usd')).toBe(3);
+    });
+
+    it('should always be reachable', async () => {
+      await expect(createMemoryStore().ping()).resolves.toBe(true);
+    });
+  });
+
+  describe('RESP encoding', () => {
+    it('should encode commands as arrays of bulk strings', () => {
+      expect(encodeCommand(['SET', 'k', 'välue'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$6\r\nvälue\r\n');
+    });
+
+    it('should wait for complete replies', () => {
+      const full = Buffer.from('*2\r\n$1\r\n0\r\n*1\r\n$3\r\nabc\r\n');
+
+      expect(parseReply(full.subarray(0, full.length - 3))).toBeNull();
+      expect(parseReply(full)).toEqual({ value: ['0', ['abc']], offset: full.length });
+      expect(parseReply(Buffer.from('$-1\r\n')).value).toBeNull();
+      expect(parseReply(Buffer.from('-ERR nope\r\n')).value).toEqual(new Error('ERR nope'));
+    });
+  });
+
+  describe('redis store', () => {
+    let standIn;
+    let store;
+
+    beforeEach(async () => {
+      standIn = await startRedisStandIn();
+      store = createRedisStore({ url: standIn.url });
+    });
+
+    afterEach(async () => {
+      store.close();
+      await standIn.stop();
+    });
+
+    it('should round-trip JSON values under the key prefix with a TTL', async () => {
+      await store.set('bitcoin:usd', { name: 'Bitcoin', prices: { usd: 45000.5 } }, 60000);
+
+      expect(await store.get('bitcoin:usd')).toEqual({ name: 'Bitcoin', prices: { usd: 45000.5 } });
+      expect(standIn.data.has('crypto-api:bitcoin:usd')).toBe(true);
+      expect(standIn.commands).toContainEqual(['SET', 'crypto-api:bitcoin:usd', expect.any(String), 'PX', '60000']);
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    it('should count and clear only its own keys', async () => {
+      standIn.data.set('someone-else', { value: 'x', expiresAt: null });
+      await store.set('a', 1, 60000);
+      await store.set('b', 2, 60000);
+
+      expect(await store.size()).toBe(2);
+
+      await store.clear();
+
+      expect(await store.size()).toBe(0);
+      expect(standIn.data.has('someone-else')).toBe(true);
+    });
+
+    it('should report whether the server is reachable', async () => {
+      expect(await store.ping()).toBe(true);
+
+      await standIn.stop();
+
+      expect(await store.ping()).toBe(false);
+      await expect(store.get('bitcoin:usd')).rejects.toThrow();
+    });
+
+    it('should authenticate and select the database from the URL', async () => {
+      const client = createRedisClient(standIn.url.replace('redis://', 'redis://:secret@') + '/2');
+
+      await expect(client.command('PING')).resolves.toBe('PONG');
+      expect(standIn.commands.slice(0, 2)).toEqual([['AUTH', 'secret'], ['SELECT', '2']]);
+
+      client.quit();
+    });
+
+    it('should keep a new connection when the one closed by quit() goes away', async () => {
+      const client = createRedisClient(standIn.url);
+
+      await expect(client.command('PING')).resolves.toBe('PONG');
+      client.quit();
+      await expect(client.command('PING')).resolves.toBe('PONG');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await expect(client.command('PING')).resolves.toBe('PONG');
+
+      client.quit();
+    });
+
+    it('should back off before redialling a server that dropped the connection', async () => {
+      const client = createRedisClient('redis://127.0.0.1:1');
+
+      await expect(client.command('PING')).rejects.toThrow();
+      await expect(client.command('PING')).rejects.toThrow('reconnecting after a backoff');
+    });
+  });
+
+  describe('createCacheStore', () => {
+    it('should default to the memory store', () => {
+      expect(createCacheStore().backend).toBe('memory');
+      expect(createCacheStore({ backend: 'Redis', redisUrl: 'redis://127.0.0.1:1' }).backend).toBe('redis');
+    });
+
+    it('should reject unknown backends', () => {
+      expect(() => createCacheStore({ backend: 'memcached' })).toThrow('Unknown cache store "memcached"');
+    });
+  });
+
+  describe('API with CACHE_STORE=redis', () => {
+    let standIn;
+    let app;
+
+    beforeAll(async () => {
+      standIn = await startRedisStandIn();
+      process.env.CACHE_STORE = 'redis';
+      process.env.REDIS_URL = standIn.url;
+      jest.isolateModules(() => {
+        app = require('../app');
+      });
+    });
+
+    afterAll(async () => {
+      delete process.env.CACHE_STORE;
+      delete process.env.REDIS_URL;
+      nock.cleanAll();
+      await standIn.stop();
+    });
+
+    it('should cache prices in the shared store and report it in /health', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, { solana: { usd: 98.5 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'solana', name: 'Solana', symbol: 'sol' }]);
+
+      await request(app).get('/price/solana').expect(200);
+      const cached = await request(app).get('/price/solana').expect(200);
+
+      expect(cached.body.price).toBe(98.5);
+      expect(standIn.data.has('crypto-api:solana:usd')).toBe(true);
+      expect(standIn.data.has('crypto-api:meta:solana')).toBe(true);
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body).toMatchObject({
+        status: 'OK',
+        cache_size: 2,
+        cache: { backend: 'redis', reachable: true }
+      });
+    });
+
+    it('should keep serving from upstream when the store goes away', async () => {
+      await standIn.stop();
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, { ripple: { usd: 0.6 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'ripple', name: 'XRP', symbol: 'xrp' }]);
+
+      const response = await request(app).get('/price/ripple').expect(200);
+      expect(response.body.price).toBe(0.6);
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body).toMatchObject({
+        status: 'DEGRADED',
+        cache_size: null,
+        cache: { backend: 'redis', reachable: false }
+      });
+    });
+  });
+});
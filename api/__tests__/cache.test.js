@@ -19,9 +19,9 @@ describe('Caching System', () => {
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { bitcoin: { usd: 45000.50 } })
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
 
       // First request - should hit API
       const response1 = await request(app)
@@ -49,9 +49,9 @@ describe('Caching System', () => {
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { ethereum: { usd: 2800.25 } })
-        .get('/api/v3/coins/ethereum')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Ethereum', symbol: 'eth' });
+        .reply(200, [{ id: 'ethereum', name: 'Ethereum', symbol: 'eth' }]);
 
       // First request
       const response1 = await request(app)
@@ -65,9 +65,9 @@ describe('Caching System', () => {
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { ethereum: { usd: 2850.00 } })
-        .get('/api/v3/coins/ethereum')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Ethereum', symbol: 'eth' });
+        .reply(200, [{ id: 'ethereum', name: 'Ethereum', symbol: 'eth' }]);
 
       // Simulate cache expiration by waiting or manipulating time
       // For testing purposes, we'll make another request immediately
@@ -87,17 +87,17 @@ describe('Caching System', () => {
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { bitcoin: { usd: 45000.50 } })
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
 
       nock('https://api.coingecko.com')
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { ethereum: { usd: 2800.25 } })
-        .get('/api/v3/coins/ethereum')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Ethereum', symbol: 'eth' });
+        .reply(200, [{ id: 'ethereum', name: 'Ethereum', symbol: 'eth' }]);
 
       // Cache bitcoin
       await request(app).get('/price/bitcoin').expect(200);
@@ -122,9 +122,9 @@ describe('Caching System', () => {
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { bitcoin: { usd: 45000.50 } })
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
 
       await request(app).get('/price/bitcoin').expect(200);
 
@@ -140,9 +140,9 @@ describe('Caching System', () => {
           include_last_updated_at: false
         })
         .reply(200, { cardano: { usd: 0.45 } })
-        .get('/api/v3/coins/cardano')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Cardano', symbol: 'ada' });
+        .reply(200, [{ id: 'cardano', name: 'Cardano', symbol: 'ada' }]);
 
       const response = await request(app)
         .get('/prices/bitcoin,cardano')
@@ -153,6 +153,103 @@ describe('Caching System', () => {
     });
   });
 
+  describe('Stale-while-revalidate', () => {
+    const start = Date.now();
+    let now;
+
+    beforeEach(() => {
+      now = start;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    function mockPrice(id, usd) {
+      return nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === id)
+        .reply(200, { [id]: { usd } });
+    }
+
+    it('should report fresh, stale and revalidated responses', async () => {
+      mockPrice('monero', 160);
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'monero', name: 'Monero', symbol: 'xmr' }]);
+
+      const first = await request(app).get('/price/monero').expect(200);
+      expect(first.headers['x-cache-status']).toBe('revalidated');
+
+      const second = await request(app).get('/price/monero').expect(200);
+      expect(second.headers['x-cache-status']).toBe('fresh');
+
+      // Past the 5 minute TTL the old price is served while it refreshes
+      now = start + 6 * 60 * 1000;
+      const refresh = mockPrice('monero', 165);
+
+      const stale = await request(app).get('/price/monero').expect(200);
+      expect(stale.headers['x-cache-status']).toBe('stale');
+      expect(stale.body.price).toBe(160);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(refresh.isDone()).toBe(true);
+
+      // Coin metadata has its own, longer TTL and is not fetched again
+      const refreshed = await request(app).get('/price/monero').expect(200);
+      expect(refreshed.headers['x-cache-status']).toBe('fresh');
+      expect(refreshed.body).toMatchObject({ name: 'Monero', symbol: 'XMR', price: 165 });
+    });
+
+    it('should fetch again once an entry is past its stale window', async () => {
+      mockPrice('tron', 0.11);
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'tron', name: 'TRON', symbol: 'trx' }]);
+
+      await request(app).get('/price/tron').expect(200);
+
+      now = start + 11 * 60 * 1000;
+      mockPrice('tron', 0.12);
+
+      const response = await request(app).get('/price/tron').expect(200);
+      expect(response.headers['x-cache-status']).toBe('revalidated');
+      expect(response.body.price).toBe(0.12);
+    });
+
+    it('should refresh stale coins of a batch in one upstream call', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'aave,uniswap')
+        .reply(200, { aave: { usd: 90 }, uniswap: { usd: 6 } })
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'aave,uniswap')
+        .reply(200, [{ id: 'aave', name: 'Aave', symbol: 'aave' }, { id: 'uniswap', name: 'Uniswap', symbol: 'uni' }]);
+
+      await request(app).get('/prices/aave,uniswap').expect(200);
+
+      now = start + 6 * 60 * 1000;
+      const refresh = nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'aave,uniswap')
+        .reply(200, { aave: { usd: 95 }, uniswap: { usd: 7 } });
+
+      const stale = await request(app).get('/prices/aave,uniswap').expect(200);
+      expect(stale.headers['x-cache-status']).toBe('stale');
+      expect(stale.body.aave.price).toBe(90);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(refresh.isDone()).toBe(true);
+
+      const fresh = await request(app).get('/prices/aave,uniswap').expect(200);
+      expect(fresh.headers['x-cache-status']).toBe('fresh');
+      expect(fresh.body.uniswap.price).toBe(7);
+    });
+  });
+
   describe('Cache health check', () => {
     it('should report cache size in health endpoint', async () => {
       // Add some items to cache
@@ -161,9 +258,9 @@ describe('Caching System', () => {
         .get('/api/v3/simple/price')
         .query(true)
         .reply(200, { bitcoin: { usd: 45000.50 } })
-        .get('/api/v3/coins/bitcoin')
+        .get('/api/v3/coins/markets')
         .query(true)
-        .reply(200, { name: 'Bitcoin', symbol: 'btc' });
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
 
       await request(app).get('/price/bitcoin').expect(200);
 
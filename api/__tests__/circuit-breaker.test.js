@@ -0,0 +1,210 @@
+const request = require('supertest');
+const nock = require('nock');
+const { createCircuitBreaker } = require('../circuit-breaker');
+const { withRetries, backoffDelay, isTransientError } = require('../retry');
+
+process.env.UPSTREAM_RETRIES = '1';
+process.env.UPSTREAM_BREAKER_THRESHOLD = '2';
+process.env.UPSTREAM_BREAKER_RESET = '30000';
+const app = require('../app');
+
+function upstreamError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {} };
+  return error;
+}
+
+describe('Upstream resilience', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+  });
+
+  describe('withRetries', () => {
+    it('should retry transient failures and give up after the last attempt', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(upstreamError(502))
+        .mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))
+        .mockResolvedValue('ok');
+
+      await expect(withRetries(fn, { retries: 2, baseDelayMs: 1 })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+
+      const failing = jest.fn().mockRejectedValue(upstreamError(503));
+      await expect(withRetries(failing, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('503');
+      expect(failing).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry answers such as 404 or 429', async () => {
+      const fn = jest.fn().mockRejectedValue(upstreamError(404));
+      await expect(withRetries(fn, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('404');
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      expect(isTransientError(upstreamError(429))).toBe(false);
+      expect(isTransientError(upstreamError(500))).toBe(true);
+      expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    it('should back off exponentially below a jittered ceiling', () => {
+      const highest = () => 0.999;
+      expect(backoffDelay(1, { baseDelayMs: 100, random: highest })).toBe(99);
+      expect(backoffDelay(3, { baseDelayMs: 100, random: highest })).toBe(399);
+      expect(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000, random: highest })).toBe(999);
+      expect(backoffDelay(3, { baseDelayMs: 100, random: () => 0 })).toBe(0);
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    it('should open after consecutive failures and fail fast while open', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 10000 });
+      const failing = jest.fn().mockRejectedValue(upstreamError(500));
+
+      await expect(breaker.call('coingecko', failing)).rejects.toThrow('500');
+      expect(breaker.state('coingecko')).toBe('closed');
+      await expect(breaker.call('coingecko', failing)).rejects.toThrow('500');
+      expect(breaker.state('coingecko')).toBe('open');
+
+      const skipped = jest.fn();
+      await expect(breaker.call('coingecko', skipped)).rejects.toMatchObject({
+        message: 'Upstream unavailable',
+        retryAfterMs: 10000
+      });
+      expect(skipped).not.toHaveBeenCalled();
+      expect(breaker.state('kraken')).toBe('closed');
+      expect(breaker.status.coingecko).toEqual({
+        state: 'open',
+        consecutive_failures: 2,
+        retry_at: new Date(now + 10000).toISOString(),
+        opens: 1
+      });
+    });
+
+    it('should let one trial through when half-open and close on its success', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10000 });
+      await expect(breaker.call('coincap', () => Promise.reject(upstreamError(500)))).rejects.toThrow();
+
+      now += 10000;
+      expect(breaker.state('coincap')).toBe('half-open');
+
+      let finishTrial;
+      const trial = breaker.call('coincap', () => new Promise(resolve => {
+        finishTrial = resolve;
+      }));
+      await expect(breaker.call('coincap', async () => 'other')).rejects.toThrow('Upstream unavailable');
+
+      finishTrial('quotes');
+      await expect(trial).resolves.toBe('quotes');
+      expect(breaker.state('coincap')).toBe('closed');
+      await expect(breaker.call('coincap', async () => 'other')).resolves.toBe('other');
+    });
+
+    it('should open again when the trial fails', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10000 });
+      await expect(breaker.call('binance', () => Promise.reject(upstreamError(502)))).rejects.toThrow();
+
+      now += 10000;
+      await expect(breaker.call('binance', () => Promise.reject(upstreamError(502)))).rejects.toThrow('502');
+      expect(breaker.state('binance')).toBe('open');
+      expect(breaker.status.binance).toMatchObject({ opens: 2, retry_at: new Date(now + 10000).toISOString() });
+    });
+
+    it('should only count failures that isFailure accepts', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, isFailure: isTransientError });
+
+      await expect(breaker.call('coingecko', () => Promise.reject(upstreamError(404)))).rejects.toThrow('404');
+      expect(breaker.state('coingecko')).toBe('closed');
+    });
+
+    it('should pass calls straight through with a threshold of 0', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 0 });
+
+      for (let i = 0; i < 10; i++) {
+        await expect(breaker.call('kraken', () => Promise.reject(upstreamError(500)))).rejects.toThrow('500');
+      }
+      expect(breaker.state('kraken')).toBe('closed');
+    });
+  });
+
+  describe('API', () => {
+    function failPrices(times) {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .times(times)
+        .reply(503, { error: 'unavailable' });
+    }
+
+    it('should retry, open the breaker and answer with last known prices flagged stale', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, { solana: { usd: 95 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'solana', name: 'Solana', symbol: 'sol' }]);
+
+      await request(app).get('/price/solana').expect(200);
+
+      // Past the stale window, so the cached quote is no longer served on its own
+      now += 11 * 60 * 1000;
+
+      // Each request tries twice (one retry); two failed requests open the breaker
+      for (let i = 0; i < 2; i++) {
+        failPrices(2);
+        const response = await request(app).get('/price/solana').expect(200);
+        expect(response.headers['x-cache-status']).toBe('stale');
+        expect(response.body).toMatchObject({ name: 'Solana', price: 95, stale: true });
+        expect(nock.isDone()).toBe(true);
+      }
+
+      // While open, upstream is not called at all
+      const open = await request(app).get('/price/solana').expect(200);
+      expect(open.body).toMatchObject({ price: 95, stale: true });
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body.status).toBe('DEGRADED');
+      expect(health.body.upstream_breakers.coingecko).toMatchObject({ state: 'open', consecutive_failures: 2, opens: 1 });
+
+      // A coin that was never cached has nothing to fall back on
+      const uncached = await request(app).get('/price/tezos').expect(503);
+      expect(uncached.body.error).toBe('Upstream unavailable');
+      expect(uncached.headers['retry-after']).toBe('30');
+
+      const batch = await request(app).get('/prices/solana,tezos').expect(200);
+      expect(batch.body).toEqual({ solana: expect.objectContaining({ price: 95, stale: true }) });
+
+      // After the reset timeout one trial call goes through and closes the breaker
+      now += 30 * 1000;
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, { solana: { usd: 97 } });
+
+      const recovered = await request(app).get('/price/solana').expect(200);
+      expect(recovered.headers['x-cache-status']).toBe('revalidated');
+      expect(recovered.body.price).toBe(97);
+      expect(recovered.body.stale).toBeUndefined();
+
+      const healthy = await request(app).get('/health').expect(200);
+      expect(healthy.body.upstream_breakers.coingecko).toMatchObject({ state: 'closed', consecutive_failures: 0 });
+    });
+
+    it('should still answer 404 for coins the provider does not list', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, {});
+
+      await request(app).get('/price/not-a-real-coin').expect(404);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const request = require('supertest');
+const nock = require('nock');
+
+process.env.PRICES_MAX_BATCH_SIZE = '3';
+const app = require('../app');
+
+describe('Coin ID validation', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should list every malformed or empty ID in a 400', async () => {
+    const response = await request(app)
+      .get('/prices/bitcoin,,eth$,-dash')
+      .expect(400);
+
+    expect(response.body).toMatchObject({
+      status: 400,
+      error: 'Invalid coin ID',
+      invalid_ids: ['', 'eth$', '-dash']
+    });
+  });
+
+  it('should apply the same rules to /price', async () => {
+    const response = await request(app)
+      .get(`/price/${encodeURIComponent('bit coin')}`)
+      .expect(400);
+    expect(response.body.invalid_ids).toEqual(['bit coin']);
+
+    await request(app).get('/price/bitcoin,ethereum').expect(400);
+    await request(app).get(`/price/${'a'.repeat(101)}`).expect(400);
+  });
+
+  it('should apply the same rules to /history and document them', async () => {
+    const response = await request(app)
+      .get(`/history/${encodeURIComponent('eth$')}`)
+      .expect(400);
+    expect(response.body).toMatchObject({ error: 'Invalid coin ID', invalid_ids: ['eth$'] });
+
+    const spec = (await request(app).get('/openapi.json').expect(200)).body;
+    const schema = spec.components.parameters.CoinId.schema;
+    expect(schema).toMatchObject({ maxLength: 100 });
+    expect(new RegExp(schema.pattern).test('Bitcoin')).toBe(true);
+    expect(new RegExp(schema.pattern).test('bit coin')).toBe(false);
+  });
+
+  it('should lowercase, trim and drop repeated IDs before calling upstream', async () => {
+    const scope = nock('https://api.coingecko.com')
+      .get('/api/v3/simple/price')
+      .query(query => query.ids === 'cardano,polkadot')
+      .reply(200, { cardano: { usd: 0.45 }, polkadot: { usd: 7.1 } })
+      .get('/api/v3/coins/markets')
+      .query(query => query.ids === 'cardano,polkadot')
+      .reply(200, [
+        { id: 'cardano', name: 'Cardano', symbol: 'ada' },
+        { id: 'polkadot', name: 'Polkadot', symbol: 'dot' }
+      ]);
+
+    const response = await request(app)
+      .get(`/prices/${encodeURIComponent('Cardano, cardano ,POLKADOT,cardano')}`)
+      .expect(200);
+
+    expect(scope.isDone()).toBe(true);
+    expect(Object.keys(response.body)).toEqual(['cardano', 'polkadot']);
+  });
+
+  it('should refuse more distinct coins than the batch size', async () => {
+    const response = await request(app)
+      .get('/prices/bitcoin,ethereum,solana,cardano')
+      .expect(400);
+
+    expect(response.body).toMatchObject({
+      error: 'Too many coins',
+      detail: 'Request at most 3 distinct coins at a time'
+    });
+  });
+});
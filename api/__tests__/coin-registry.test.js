@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const { createCoinRegistry } = require('../coin-registry');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coin-registry-'));
+process.env.COIN_REGISTRY_FILE = path.join(tmpDir, 'app', 'coins.json');
+const app = require('../app');
+
+const COIN_LIST = [
+  { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin' },
+  { id: 'bitcoin-avalanche-bridged-btc-b', symbol: 'btc.b', name: 'Bitcoin Avalanche Bridged (BTC.b)' },
+  { id: 'batcat', symbol: 'btc', name: 'batcat' },
+  { id: 'uniswap', symbol: 'uni', name: 'Uniswap' },
+  { id: 'universe-token', symbol: 'uni', name: 'Universe' },
+  { id: 'unicorn-token', symbol: 'uni', name: 'Unicorn' },
+  { id: 'pepe', symbol: 'pepe', name: 'Pepe' }
+];
+
+describe('Coin registry', () => {
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createCoinRegistry', () => {
+    it('should resolve IDs and symbols case-insensitively', async () => {
+      const registry = createCoinRegistry({ listCoins: async () => COIN_LIST });
+      await registry.load();
+
+      expect(registry.resolve('bitcoin')).toBe('bitcoin');
+      expect(registry.resolve('Pepe')).toBe('pepe');
+      expect(registry.resolve('BTC.B')).toBe('bitcoin-avalanche-bridged-btc-b');
+      expect(registry.resolve('Not-A-Coin')).toBe('not-a-coin');
+      expect(registry.info('uniswap')).toEqual({ name: 'Uniswap', symbol: 'UNI' });
+    });
+
+    it('should break symbol ties with preferred coins, then market cap rank, then the shortest ID', async () => {
+      const registry = createCoinRegistry({ listCoins: async () => COIN_LIST, preferred: { UNI: 'uniswap' } });
+      await registry.load();
+
+      expect(registry.resolve('uni')).toBe('uniswap');
+      expect(registry.resolve('btc')).toBe('batcat');
+
+      const ranked = createCoinRegistry({
+        listCoins: async () => COIN_LIST.map(coin => ({ ...coin, market_cap_rank: coin.id === 'bitcoin' ? 1 : null }))
+      });
+      await ranked.load();
+
+      expect(ranked.resolve('btc')).toBe('bitcoin');
+
+      const preferring = createCoinRegistry({ listCoins: async () => COIN_LIST, preferred: { btc: 'bitcoin' } });
+      await preferring.load();
+
+      expect(preferring.resolve('BTC')).toBe('bitcoin');
+    });
+
+    it('should persist the list and load it from disk while it is fresh', async () => {
+      const filePath = path.join(tmpDir, 'fresh', 'coins.json');
+      const listCoins = jest.fn(async () => COIN_LIST);
+
+      await createCoinRegistry({ listCoins, filePath }).load();
+      const restarted = createCoinRegistry({ listCoins, filePath });
+      await restarted.load();
+
+      expect(listCoins).toHaveBeenCalledTimes(1);
+      expect(restarted.status).toMatchObject({ coins: 7, source: 'disk', stale: false });
+      expect(restarted.resolve('pepe')).toBe('pepe');
+    });
+
+    it('should refetch a stale copy and keep it when upstream fails', async () => {
+      const filePath = path.join(tmpDir, 'stale', 'coins.json');
+      fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath, JSON.stringify({ fetched_at: Date.now() - 2 * 60 * 60 * 1000, coins: COIN_LIST }));
+
+      const failing = createCoinRegistry({
+        listCoins: async () => {
+          throw new Error('Rate limit exceeded. Please try again later.');
+        },
+        filePath,
+        ttl: 60 * 60 * 1000
+      });
+      await failing.load();
+
+      expect(failing.status).toMatchObject({ coins: 7, source: 'disk', stale: true });
+      expect(failing.resolve('uni')).toBe('uniswap');
+
+      const working = createCoinRegistry({ listCoins: async () => COIN_LIST.slice(0, 1), filePath, ttl: 60 * 60 * 1000 });
+      await working.load();
+
+      expect(working.status).toMatchObject({ coins: 1, source: 'upstream', stale: false });
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).coins).toHaveLength(1);
+    });
+  });
+
+  describe('API', () => {
+    beforeAll(async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/list')
+        .reply(200, COIN_LIST)
+        .get('/api/v3/coins/markets')
+        .query(query => query.order === 'market_cap_desc')
+        .reply(200, [{ id: 'bitcoin', market_cap_rank: 1 }, { id: 'uniswap', market_cap_rank: 25 }]);
+
+      await app.coinRegistry.load();
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should answer /price by symbol with names from the registry', async () => {
+      const scope = nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'bitcoin')
+        .reply(200, { bitcoin: { usd: 45000 } });
+
+      const response = await request(app).get('/price/BTC').expect(200);
+
+      expect(response.body).toMatchObject({ name: 'Bitcoin', symbol: 'BTC', price: 45000 });
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should key /prices results as requested', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'uniswap,pepe')
+        .reply(200, { uniswap: { usd: 6.5 }, pepe: { usd: 0.00001 } });
+
+      const response = await request(app).get('/prices/uni,pepe').expect(200);
+
+      expect(Object.keys(response.body)).toEqual(['uni', 'pepe']);
+      expect(response.body.uni).toMatchObject({ name: 'Uniswap', price: 6.5 });
+    });
+
+    it('should report the registry in /health and keep it on disk', async () => {
+      const response = await request(app).get('/health').expect(200);
+
+      expect(response.body.coin_registry).toMatchObject({ coins: 7, source: 'upstream', stale: false });
+      expect(fs.existsSync(process.env.COIN_REGISTRY_FILE)).toBe(true);
+    });
+  });
+});
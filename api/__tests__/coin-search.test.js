@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const { searchCoins, searchIndex, createSearchIndex, editDistance } = require('../coin-search');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coin-search-'));
+process.env.COIN_REGISTRY_FILE = path.join(tmpDir, 'coins.json');
+const app = require('../app');
+
+const COINS = [
+  { id: 'bitcoin', symbol: 'BTC', name: 'Bitcoin', rank: 1 },
+  { id: 'ethereum', symbol: 'ETH', name: 'Ethereum', rank: 2 },
+  { id: 'ethereum-classic', symbol: 'ETC', name: 'Ethereum Classic', rank: 30 },
+  { id: 'ether-fi', symbol: 'ETHFI', name: 'ether.fi', rank: 120 },
+  { id: 'bitcoin-cash', symbol: 'BCH', name: 'Bitcoin Cash', rank: 15 },
+  { id: 'wrapped-bitcoin', symbol: 'WBTC', name: 'Wrapped Bitcoin', rank: 12 },
+  { id: 'uniswap', symbol: 'UNI', name: 'Uniswap', rank: 25 },
+  { id: 'unicorn-token', symbol: 'UNI', name: 'Unicorn', rank: null }
+];
+
+describe('Coin search', () => {
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('searchCoins', () => {
+    const ids = (query, options) => searchCoins(COINS, query, options).map(coin => coin.id);
+
+    it('should count adjacent swaps as one edit', () => {
+      expect(editDistance('etherium', 'ethereum', 2)).toBe(1);
+      expect(editDistance('btic', 'bitc', 2)).toBe(1);
+      expect(editDistance('solana', 'bitcoin', 2)).toBe(3);
+    });
+
+    it('should rank exact matches first, then by market cap', () => {
+      expect(ids('uni')).toEqual(['uniswap', 'unicorn-token']);
+      expect(ids('BTC')[0]).toBe('bitcoin');
+    });
+
+    it('should rank prefixes by market cap rather than length', () => {
+      expect(ids('ether')).toEqual(['ethereum', 'ethereum-classic', 'ether-fi']);
+    });
+
+    it('should tolerate typos and ignore spacing and dashes', () => {
+      expect(ids('etherium')[0]).toBe('ethereum');
+      expect(ids('bitcoin cash')[0]).toBe('bitcoin-cash');
+      expect(ids('bitcoincash')[0]).toBe('bitcoin-cash');
+    });
+
+    it('should limit results and report scores', () => {
+      const results = searchCoins(COINS, 'bitcoin', { limit: 2 });
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({ id: 'bitcoin', score: 1 });
+      expect(ids('zzzz')).toEqual([]);
+    });
+  });
+
+  describe('searchIndex', () => {
+    it('should bound typo matching to the best-ranked fields of a nearby length', () => {
+      // Thousands of unranked coins with names as long as the query
+      const filler = Array.from({ length: 3000 }, (_, i) => ({
+        id: `filler-${i}`, symbol: `F${i}`, name: `zz${String(i).padStart(6, '0')}`, rank: null
+      }));
+      const index = createSearchIndex([...filler, ...COINS]);
+
+      expect(searchIndex(index, 'etherium', { limit: 1 })[0].id).toBe('ethereum');
+      expect(searchIndex(index, 'ethereum', { limit: 1 })[0]).toMatchObject({ id: 'ethereum', score: 1 });
+    });
+  });
+
+  describe('API', () => {
+    beforeAll(async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/list')
+        .reply(200, COINS.map(({ id, symbol, name }) => ({ id, symbol: symbol.toLowerCase(), name })))
+        .get('/api/v3/coins/markets')
+        .query(query => query.order === 'market_cap_desc')
+        .reply(200, COINS.filter(coin => coin.rank).map(coin => ({ id: coin.id, market_cap_rank: coin.rank })));
+
+      await app.coinRegistry.load();
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should return ranked matches from the coin registry', async () => {
+      const response = await request(app)
+        .get('/search?q=Etherium')
+        .expect(200);
+
+      expect(response.body.query).toBe('Etherium');
+      expect(response.body.results[0]).toEqual({
+        id: 'ethereum',
+        symbol: 'ETH',
+        name: 'Ethereum',
+        market_cap_rank: 2,
+        score: expect.any(Number)
+      });
+    });
+
+    it('should cap results at the requested limit', async () => {
+      const response = await request(app).get('/search?q=bitcoin&limit=2').expect(200);
+
+      expect(response.body.results.map(coin => coin.id)).toEqual(['bitcoin', 'bitcoin-cash']);
+    });
+
+    it('should reject missing queries and bad limits', async () => {
+      const missing = await request(app).get('/search').expect(400);
+      expect(missing.body).toHaveProperty('error', 'Invalid query');
+
+      const limit = await request(app).get('/search?q=btc&limit=500').expect(400);
+      expect(limit.body).toHaveProperty('error', 'Invalid limit');
+    });
+
+    it('should suggest coins when /price does not know the ID', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'etherum')
+        .reply(200, {});
+
+      const response = await request(app).get('/price/etherum').expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Cryptocurrency not found');
+      expect(response.body.did_you_mean[0]).toEqual({ id: 'ethereum', symbol: 'ETH', name: 'Ethereum' });
+    });
+
+    it('should suggest nothing for input that resembles no coin', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'qqqqqq')
+        .reply(200, {});
+
+      const response = await request(app).get('/price/qqqqqq').expect(404);
+
+      expect(response.body.did_you_mean).toEqual([]);
+    });
+  });
+});
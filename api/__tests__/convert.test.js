@@ -0,0 +1,136 @@
+const request = require('supertest');
+const nock = require('nock');
+const app = require('../app');
+
+describe('GET /convert', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should convert between two coins through their USD prices', async () => {
+    const scope = nock('https://api.coingecko.com')
+      .get('/api/v3/simple/price')
+      .query(query => query.ids === 'bitcoin,ethereum' && query.vs_currencies === 'usd')
+      .reply(200, { bitcoin: { usd: 45000 }, ethereum: { usd: 3000 } })
+      .get('/api/v3/coins/markets')
+      .query(true)
+      .reply(200, [
+        { id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' },
+        { id: 'ethereum', name: 'Ethereum', symbol: 'eth' }
+      ]);
+
+    const response = await request(app)
+      .get('/convert?from=btc&to=ETH&amount=1.5')
+      .expect(200);
+
+    expect(response.body).toEqual({
+      from: { type: 'crypto', id: 'bitcoin', symbol: 'BTC', name: 'Bitcoin' },
+      to: { type: 'crypto', id: 'ethereum', symbol: 'ETH', name: 'Ethereum' },
+      amount: '1.5',
+      result: '22.5',
+      rate: '15',
+      timestamp: expect.any(String),
+      source: { provider: 'coingecko', quote_currency: 'usd' }
+    });
+    expect(response.headers['x-cache-status']).toBe('revalidated');
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should answer from cached prices, with the time they were fetched', async () => {
+    const first = await request(app).get('/convert?from=bitcoin&to=ethereum').expect(200);
+    const reverse = await request(app).get('/convert?from=usd&to=btc&amount=90000').expect(200);
+
+    expect(first.headers['x-cache-status']).toBe('fresh');
+    expect(first.body).toMatchObject({ amount: '1', result: '15' });
+    expect(reverse.body).toMatchObject({
+      from: { type: 'fiat', id: 'usd', symbol: 'USD' },
+      result: '2',
+      rate: '0.000022222222222222'
+    });
+    expect(reverse.body.timestamp).toBe(first.body.timestamp);
+  });
+
+  it('should quote fiat legs directly without binary float rounding', async () => {
+    nock('https://api.coingecko.com')
+      .get('/api/v3/simple/price')
+      .query(query => query.ids === 'ripple' && query.vs_currencies === 'eur')
+      .reply(200, { ripple: { eur: 0.1 } })
+      .get('/api/v3/coins/markets')
+      .query(true)
+      .reply(200, [{ id: 'ripple', name: 'XRP', symbol: 'xrp' }]);
+
+    const response = await request(app).get('/convert?from=ripple&to=EUR&amount=3').expect(200);
+
+    expect(response.body).toMatchObject({
+      to: { type: 'fiat', id: 'eur', symbol: 'EUR' },
+      result: '0.3',
+      rate: '0.1',
+      source: { provider: 'coingecko', quote_currency: 'eur' }
+    });
+  });
+
+  it('should convert between fiat currencies through bitcoin', async () => {
+    nock('https://api.coingecko.com')
+      .get('/api/v3/simple/price')
+      .query(query => query.ids === 'bitcoin' && query.vs_currencies === 'eur,gbp')
+      .reply(200, { bitcoin: { eur: 40000, gbp: 35000 } });
+
+    const response = await request(app).get('/convert?from=eur&to=gbp&amount=100').expect(200);
+
+    expect(response.body).toMatchObject({ rate: '0.875', result: '87.5' });
+  });
+
+  it('should convert a fiat currency into itself at 1 without calling upstream', async () => {
+    const response = await request(app).get('/convert?from=usd&to=USD&amount=12.5').expect(200);
+
+    expect(response.body).toMatchObject({
+      from: { type: 'fiat', id: 'usd', symbol: 'USD' },
+      to: { type: 'fiat', id: 'usd', symbol: 'USD' },
+      amount: '12.5',
+      result: '12.5',
+      rate: '1',
+      source: { provider: 'none', quote_currency: 'usd' }
+    });
+  });
+
+  it('should answer a coin that cannot be quoted in the fiat leg as an unsupported currency', async () => {
+    nock('https://api.coingecko.com')
+      .get('/api/v3/simple/price')
+      .query(query => query.ids === 'dogecoin' && query.vs_currencies === 'aed')
+      .reply(200, { dogecoin: {} });
+
+    const response = await request(app).get('/convert?from=dogecoin&to=aed').expect(400);
+
+    expect(response.body).toMatchObject({ type: '/docs#problem-unsupported-currency', error: 'Currency not supported' });
+  });
+
+  it('should reject missing legs and amounts that are not plain decimals', async () => {
+    const missing = await request(app).get('/convert?from=btc').expect(400);
+    expect(missing.body).toHaveProperty('error', 'Invalid conversion');
+
+    for (const amount of ['1e3', '-1', 'abc', '1,5']) {
+      const response = await request(app).get(`/convert?from=btc&to=eth&amount=${amount}`).expect(400);
+      expect(response.body).toHaveProperty('error', 'Invalid amount');
+    }
+  });
+
+  it('should apply the coin ID rules to both legs', async () => {
+    const batch = await request(app).get('/convert?from=a,b,c&to=usd').expect(400);
+    expect(batch.body).toMatchObject({ error: 'Invalid coin ID', invalid_ids: ['a,b,c'] });
+
+    const malformed = await request(app).get(`/convert?from=btc&to=${encodeURIComponent('eth$')}`).expect(400);
+    expect(malformed.body.invalid_ids).toEqual(['eth$']);
+  });
+
+  it('should report which leg is not a known coin', async () => {
+    nock('https://api.coingecko.com')
+      .get('/api/v3/simple/price')
+      .query(query => query.ids === 'notacoin')
+      .reply(200, {});
+
+    const response = await request(app).get('/convert?from=notacoin&to=usd').expect(404);
+
+    expect(response.body).toHaveProperty('error', 'Cryptocurrency not found');
+    expect(response.body).toHaveProperty('did_you_mean', []);
+  });
+});
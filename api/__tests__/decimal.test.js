@@ -0,0 +1,33 @@
+const decimal = require('../decimal');
+
+describe('Decimal arithmetic', () => {
+  it('should parse and print plain decimals', () => {
+    expect(decimal.toString(decimal.parseDecimal('1.50'))).toBe('1.5');
+    expect(decimal.toString(decimal.parseDecimal('0.000001'))).toBe('0.000001');
+    expect(decimal.toString(decimal.parseDecimal('1500'))).toBe('1500');
+    expect(decimal.parseDecimal('1e3')).toBeNull();
+    expect(decimal.parseDecimal('-1')).toBeNull();
+    expect(decimal.parseDecimal('.5')).toBeNull();
+  });
+
+  it('should convert numbers exactly as JavaScript prints them', () => {
+    expect(decimal.toString(decimal.fromNumber(45000.12))).toBe('45000.12');
+    expect(decimal.toString(decimal.fromNumber(1e-7))).toBe('0.0000001');
+    expect(decimal.toString(decimal.fromNumber(1.5e21))).toBe('1500000000000000000000');
+  });
+
+  it('should multiply without binary rounding noise', () => {
+    const product = decimal.multiply(decimal.parseDecimal('3'), decimal.fromNumber(0.1));
+
+    expect(decimal.toString(product)).toBe('0.3');
+  });
+
+  it('should divide to a fixed scale, rounding half up', () => {
+    const one = decimal.parseDecimal('1');
+
+    expect(decimal.toString(decimal.divide(one, decimal.parseDecimal('3'), 4))).toBe('0.3333');
+    expect(decimal.toString(decimal.divide(decimal.parseDecimal('2'), decimal.parseDecimal('3'), 4))).toBe('0.6667');
+    expect(decimal.toString(decimal.divide(decimal.parseDecimal('22.5'), decimal.parseDecimal('0.15'), 2))).toBe('150');
+    expect(() => decimal.divide(one, decimal.parseDecimal('0'), 2)).toThrow('Division by zero');
+  });
+});
@@ -0,0 +1,143 @@
+const express = require('express');
+const request = require('supertest');
+const nock = require('nock');
+const {
+  ERROR_CLASSES,
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  UpstreamUnavailableError,
+  sendProblem
+} = require('../errors');
+const app = require('../app');
+
+describe('Problem details', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('sendProblem', () => {
+    function miniApp(error) {
+      const mini = express();
+      mini.get('/fail', (req, res) => sendProblem(res, error));
+      return mini;
+    }
+
+    it('should answer a typed error with its status, type and fields', async () => {
+      const error = new NotFoundError('Cryptocurrency not found', { fields: { did_you_mean: [] } });
+
+      const response = await request(miniApp(error)).get('/fail?vs=eur').expect(404);
+
+      expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(response.body).toEqual({
+        type: '/docs#problem-not-found',
+        title: 'Not found',
+        status: 404,
+        detail: 'The specified cryptocurrency ID does not exist',
+        instance: '/fail',
+        error: 'Cryptocurrency not found',
+        message: 'The specified cryptocurrency ID does not exist',
+        did_you_mean: []
+      });
+    });
+
+    it('should send Retry-After for errors that know when to try again', async () => {
+      const response = await request(miniApp(new UpstreamUnavailableError('Upstream unavailable', { retryAfterMs: 1500 })))
+        .get('/fail')
+        .expect(503);
+
+      expect(response.headers['retry-after']).toBe('2');
+      expect(response.body.type).toBe('/docs#problem-upstream-unavailable');
+    });
+
+    it('should not leak the message of an unexpected error', async () => {
+      const response = await request(miniApp(new Error('ECONNREFUSED 10.0.0.7:6379'))).get('/fail').expect(500);
+
+      expect(response.body).toMatchObject({
+        type: '/docs#problem-internal-error',
+        status: 500,
+        detail: 'An unexpected error occurred'
+      });
+      expect(JSON.stringify(response.body)).not.toContain('ECONNREFUSED');
+    });
+  });
+
+  describe('Error classes', () => {
+    it('should be told apart with instanceof and keep the thrower\'s message', () => {
+      const error = new ValidationError('Invalid currency', { detail: 'vs must be a currency code' });
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe('Invalid currency');
+      expect(error.status).toBe(400);
+      expect(new Set(ERROR_CLASSES.map(ErrorClass => ErrorClass.type)).size).toBe(ERROR_CLASSES.length);
+    });
+  });
+
+  describe('API', () => {
+    it('should carry the request ID in every problem', async () => {
+      const response = await request(app)
+        .get('/history/bitcoin?days=2')
+        .set('X-Request-Id', 'wp-problem-1')
+        .expect(400);
+
+      expect(response.body).toMatchObject({
+        instance: '/history/bitcoin',
+        request_id: 'wp-problem-1',
+        error: 'Invalid range'
+      });
+    });
+
+    it('should map provider failures on /prices instead of answering 500', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .replyWithError({ code: 'ECONNABORTED' });
+
+      const timedOut = await request(app).get('/prices/bitcoin,ethereum').expect(408);
+      expect(timedOut.body).toMatchObject({ type: '/docs#problem-upstream-timeout', error: 'Request timeout' });
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(429, {});
+
+      const limited = await request(app).get('/prices/solana,cardano').expect(429);
+      expect(limited.body).toMatchObject({ type: '/docs#problem-upstream-rate-limited', error: 'Rate limit exceeded' });
+    });
+
+    it('should answer upstream 5xx and unreachable providers as upstream-unavailable', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(503, 'Service Unavailable', { 'Retry-After': '30' });
+
+      const failing = await request(app).get('/prices/tron,stellar').expect(503);
+      expect(failing.body).toMatchObject({ type: '/docs#problem-upstream-unavailable', error: 'Upstream unavailable' });
+      expect(failing.headers['retry-after']).toBe('30');
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .replyWithError({ code: 'ECONNREFUSED' });
+
+      const unreachable = await request(app).get('/prices/monero,tezos').expect(503);
+      expect(unreachable.body).toMatchObject({ type: '/docs#problem-upstream-unavailable' });
+    });
+
+    it('should answer access failures as problems', async () => {
+      const response = await request(app).get('/admin/config').expect(401);
+
+      expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(response.body).toMatchObject({ type: '/docs#problem-unauthorized', error: 'API key required' });
+    });
+
+    it('should document every problem type on /docs', async () => {
+      const response = await request(app).get('/docs').expect(200);
+
+      ERROR_CLASSES.forEach(ErrorClass => {
+        expect(response.text).toContain(`id="problem-${ErrorClass.type}"`);
+      });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const net = require('net');
+const { parseReply } = require('../../redis-client');
+
+// In-process stand-in for a Redis server, speaking just enough RESP for the
+// cache and usage stores: PING, AUTH, SELECT, GET, SET [PX], DEL, SCAN, DBSIZE,
+// FLUSHDB, HINCRBY, HGETALL, EXPIRE.
+
+function encode(value) {
+  if (value === null) {
+    return '$-1\r\n';
+  }
+  if (value instanceof Error) {
+    return `-${value.message}\r\n`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encode).join('')}`;
+  }
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function globToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+function startRedisStandIn() {
+  const data = new Map();
+  const commands = [];
+
+  function live(key) {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && Date.now() >= entry.expiresAt) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function run([name, ...args]) {
+    const command = name.toUpperCase();
+    commands.push([command, ...args]);
+
+    switch (command) {
+      case 'PING':
+        return 'PONG';
+      case 'AUTH':
+      case 'SELECT':
+        return 'OK';
+      case 'GET': {
+        const entry = live(args[0]);
+        return entry ? entry.value : null;
+      }
+      case 'SET': {
+        const pxIndex = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        const expiresAt = pxIndex === -1 ? null : Date.now() + parseInt(args[pxIndex + 1], 10);
+        data.set(args[0], { value: args[1], expiresAt });
+        return 'OK';
+      }
+      case 'HINCRBY': {
+        const entry = live(args[0]) || { value: new Map(), expiresAt: null };
+        const total = (entry.value.get(args[1]) || 0) + parseInt(args[2], 10);
+        entry.value.set(args[1], total);
+        data.set(args[0], entry);
+        return total;
+      }
+      case 'HGETALL': {
+        const entry = live(args[0]);
+        return entry ? [...entry.value].flatMap(([field, value]) => [field, String(value)]) : [];
+      }
+      case 'EXPIRE': {
+        const entry = live(args[0]);
+        if (!entry) {
+          return 0;
+        }
+        entry.expiresAt = Date.now() + parseInt(args[1], 10) * 1000;
+        return 1;
+      }
+      case 'DEL':
+        return args.filter(key => data.delete(key)).length;
+      case 'SCAN': {
+        const matchIndex = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = matchIndex === -1 ? /.*/ : globToRegExp(args[matchIndex + 1]);
+        return ['0', [...data.keys()].filter(key => live(key) && pattern.test(key))];
+      }
+      case 'DBSIZE':
+        return [...data.keys()].filter(key => live(key)).length;
+      case 'FLUSHDB':
+        data.clear();
+        return 'OK';
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseReply(buffer)) !== null) {
+        buffer = buffer.subarray(request.offset);
+        socket.write(encode(run(request.value)));
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        data,
+        commands,
+        stop: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  startRedisStandIn
+};
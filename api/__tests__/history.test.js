@@ -0,0 +1,127 @@
+const request = require('supertest');
+const nock = require('nock');
+const app = require('../app');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2024, 0, 1);
+
+function mockHistory(coinId, days, chart, candles) {
+  return nock('https://api.coingecko.com')
+    .get(`/api/v3/coins/${coinId}/market_chart`)
+    .query({ vs_currency: 'usd', days })
+    .reply(200, chart)
+    .get(`/api/v3/coins/${coinId}/ohlc`)
+    .query({ vs_currency: 'usd', days })
+    .reply(200, candles);
+}
+
+describe('Price History', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('GET /history/:id', () => {
+    it('should return price series and OHLC candles', async () => {
+      mockHistory('bitcoin', '1', {
+        prices: [[START, 42000], [START + HOUR, 42100]],
+        market_caps: [[START, 820000000000], [START + HOUR, 822000000000]],
+        total_volumes: [[START, 15000000000], [START + HOUR, 15100000000]]
+      }, [
+        [START, 42000, 42200, 41900, 42100]
+      ]);
+
+      const response = await request(app)
+        .get('/history/bitcoin?days=1')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ id: 'bitcoin', currency: 'usd', days: 1, interval: 'auto', provider: 'coingecko' });
+      expect(response.body.prices).toEqual([
+        { timestamp: START, value: 42000 },
+        { timestamp: START + HOUR, value: 42100 }
+      ]);
+      expect(response.body.volumes).toHaveLength(2);
+      expect(response.body.ohlc).toEqual([
+        { timestamp: START, open: 42000, high: 42200, low: 41900, close: 42100 }
+      ]);
+    });
+
+    it('should resample to the requested interval from one cached series', async () => {
+      const scope = mockHistory('ethereum', '7', {
+        prices: [[START, 2200], [START + 6 * HOUR, 2250], [START + DAY, 2300], [START + DAY + 6 * HOUR, 2350]],
+        market_caps: [],
+        total_volumes: []
+      }, [
+        [START, 2200, 2260, 2190, 2250],
+        [START + 12 * HOUR, 2250, 2280, 2240, 2270],
+        [START + DAY, 2270, 2360, 2260, 2350]
+      ]);
+
+      const daily = await request(app)
+        .get('/history/ethereum?days=7&interval=daily')
+        .expect(200);
+
+      expect(daily.body.prices).toEqual([
+        { timestamp: START + 6 * HOUR, value: 2250 },
+        { timestamp: START + DAY + 6 * HOUR, value: 2350 }
+      ]);
+      expect(daily.body.ohlc[0]).toEqual({ timestamp: START + 12 * HOUR, open: 2200, high: 2280, low: 2190, close: 2270 });
+      expect(scope.isDone()).toBe(true);
+
+      // Served from cache: no further upstream mocks are registered
+      const auto = await request(app)
+        .get('/history/ethereum?days=7')
+        .expect(200);
+
+      expect(auto.body.prices).toHaveLength(4);
+    });
+
+    it('should reject unsupported ranges', async () => {
+      const response = await request(app)
+        .get('/history/bitcoin?days=3')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid range');
+    });
+
+    it('should reject unsupported intervals', async () => {
+      const response = await request(app)
+        .get('/history/bitcoin?days=30&interval=minutely')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid interval');
+    });
+
+    it('should reject more than one vs currency', async () => {
+      const response = await request(app)
+        .get('/history/bitcoin?vs=usd,eur')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid currency');
+    });
+
+    it('should map upstream errors like /price/:id', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/not-a-coin/market_chart')
+        .query(true)
+        .reply(404, { error: 'coin not found' });
+
+      const notFound = await request(app)
+        .get('/history/not-a-coin?days=30')
+        .expect(404);
+
+      expect(notFound.body).toHaveProperty('error', 'Cryptocurrency not found');
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/cardano/market_chart')
+        .query(true)
+        .reply(429, { error: 'Rate limit exceeded' });
+
+      const limited = await request(app)
+        .get('/history/cardano?days=365')
+        .expect(429);
+
+      expect(limited.body).toHaveProperty('error', 'Rate limit exceeded');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-caching-'));
+process.env.API_KEYS_FILE = path.join(tmpDir, 'keys.json');
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({ keys: [{ name: 'wordpress', key: 'wp-secret' }] }));
+process.env.CACHE_PRICE_TTL = '60000';
+const app = require('../app');
+
+function mockPrices(prices, coins) {
+  return nock('https://api.coingecko.com')
+    .get('/api/v3/simple/price')
+    .query(true)
+    .reply(200, prices)
+    .get('/api/v3/coins/markets')
+    .query(true)
+    .reply(200, coins);
+}
+
+describe('HTTP caching', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should send validators and a max-age from the cache TTL', async () => {
+    mockPrices({ litecoin: { usd: 70 } }, [{ id: 'litecoin', name: 'Litecoin', symbol: 'ltc' }]);
+
+    const response = await request(app).get('/price/litecoin').expect(200);
+
+    expect(response.headers['cache-control']).toBe('public, max-age=60');
+    expect(response.headers.etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+    expect(Date.now() - Date.parse(response.headers['last-modified'])).toBeLessThan(2000);
+  });
+
+  it('should answer 304 while the ETag or date still matches', async () => {
+    mockPrices({ dogecoin: { usd: 0.08 } }, [{ id: 'dogecoin', name: 'Dogecoin', symbol: 'doge' }]);
+    const first = await request(app).get('/price/dogecoin').expect(200);
+
+    const byEtag = await request(app)
+      .get('/price/dogecoin')
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+    expect(byEtag.text).toBe('');
+    expect(byEtag.headers.etag).toBe(first.headers.etag);
+    expect(byEtag.headers['cache-control']).toMatch(/^public, max-age=\d+$/);
+
+    await request(app)
+      .get('/price/dogecoin')
+      .set('If-Modified-Since', first.headers['last-modified'])
+      .expect(304);
+
+    const changed = await request(app)
+      .get('/price/dogecoin?include=all')
+      .set('If-None-Match', first.headers.etag);
+    expect(changed.status).not.toBe(304);
+  });
+
+  it('should count down max-age and drop it to 0 once the data is stale', async () => {
+    mockPrices({ stellar: { usd: 0.12 } }, [{ id: 'stellar', name: 'Stellar', symbol: 'xlm' }]);
+    await request(app).get('/price/stellar').expect(200);
+    const fetchedAt = Date.now();
+
+    jest.spyOn(Date, 'now').mockReturnValue(fetchedAt + 45 * 1000);
+    const later = await request(app).get('/price/stellar').expect(200);
+    expect(later.headers['cache-control']).toMatch(/^public, max-age=1[45]$/);
+
+    // The stale entry is refreshed in the background
+    mockPrices({ stellar: { usd: 0.13 } }, [{ id: 'stellar', name: 'Stellar', symbol: 'xlm' }]);
+    Date.now.mockReturnValue(fetchedAt + 90 * 1000);
+    const stale = await request(app).get('/price/stellar').expect(200);
+    expect(stale.headers['x-cache-status']).toBe('stale');
+    expect(stale.headers['cache-control']).toBe('public, max-age=0');
+  });
+
+  it('should cover several coins with one validator on /prices', async () => {
+    mockPrices({ ripple: { usd: 0.6 }, chainlink: { usd: 14 } }, [
+      { id: 'ripple', name: 'XRP', symbol: 'xrp' },
+      { id: 'chainlink', name: 'Chainlink', symbol: 'link' }
+    ]);
+    const first = await request(app).get('/prices/ripple,chainlink').expect(200);
+
+    await request(app)
+      .get('/prices/ripple,chainlink')
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+  });
+
+  it('should keep responses to API keys out of shared caches', async () => {
+    mockPrices({ tron: { usd: 0.1 } }, [{ id: 'tron', name: 'TRON', symbol: 'trx' }]);
+
+    const response = await request(app).get('/price/tron').set('X-API-Key', 'wp-secret').expect(200);
+
+    expect(response.headers['cache-control']).toBe('private, max-age=60');
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const nock = require('nock');
+const { createLogger, runWithRequestId, currentRequestId, requestIdFrom } = require('../logger');
+
+process.env.LOG_LEVEL = 'debug';
+const app = require('../app');
+
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ ...options, write: (line, level) => lines.push({ line, level }) });
+  return { logger, lines };
+}
+
+describe('Logging', () => {
+  describe('createLogger', () => {
+    beforeEach(() => {
+      jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2024-01-01T00:00:00.000Z');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should write one JSON line per message at or above the level', () => {
+      const { logger, lines } = capture({ level: 'warn' });
+
+      logger.debug('Cache hit', { key: 'bitcoin:usd' });
+      logger.info('Request completed');
+      logger.warn('Provider failed', { provider: 'coingecko', ids: ['bitcoin'] });
+      logger.error('Cache read failed', { error: new Error('connection refused') });
+
+      expect(lines.map(({ level }) => level)).toEqual(['warn', 'error']);
+      expect(JSON.parse(lines[0].line)).toEqual({
+        time: '2024-01-01T00:00:00.000Z',
+        level: 'warn',
+        msg: 'Provider failed',
+        provider: 'coingecko',
+        ids: ['bitcoin']
+      });
+      expect(JSON.parse(lines[1].line).error).toMatchObject({ message: 'connection refused', stack: expect.any(String) });
+      expect(logger.enabled('warn')).toBe(true);
+      expect(logger.enabled('info')).toBe(false);
+    });
+
+    it('should log nothing when silent and refuse unknown levels', () => {
+      const { logger, lines } = capture({ level: 'silent' });
+      logger.error('Unhandled error');
+
+      expect(lines).toEqual([]);
+      expect(() => createLogger({ level: 'verbose' })).toThrow('Unknown log level "verbose"');
+    });
+
+    it('should add child fields and format text lines', () => {
+      const { logger, lines } = capture({ format: 'text' });
+
+      logger.child({ component: 'upstream' }).warn('Retrying upstream call', { delay_ms: 120, error: 'Request failed' });
+
+      expect(lines[0].line).toBe(
+        '2024-01-01T00:00:00.000Z WARN Retrying upstream call component=upstream delay_ms=120 error="Request failed"'
+      );
+    });
+
+    it('should tag lines with the request ID across awaits', async () => {
+      const { logger, lines } = capture();
+
+      await runWithRequestId('req-1', async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        logger.info('Cache miss');
+        expect(currentRequestId()).toBe('req-1');
+      });
+      logger.info('Coin registry loaded');
+
+      expect(JSON.parse(lines[0].line).request_id).toBe('req-1');
+      expect(JSON.parse(lines[1].line).request_id).toBeUndefined();
+      expect(currentRequestId()).toBeNull();
+    });
+
+    it('should keep usable request IDs and replace the rest', () => {
+      expect(requestIdFrom('wp-7f3a:42')).toBe('wp-7f3a:42');
+      expect(requestIdFrom(undefined)).toMatch(/^[0-9a-f]{32}$/);
+      expect(requestIdFrom('two words')).toMatch(/^[0-9a-f]{32}$/);
+      expect(requestIdFrom('x'.repeat(129))).toMatch(/^[0-9a-f]{32}$/);
+    });
+  });
+
+  describe('API', () => {
+    let output;
+
+    beforeEach(() => {
+      nock.cleanAll();
+      output = [];
+      jest.spyOn(process.stdout, 'write').mockImplementation(chunk => {
+        output.push(String(chunk));
+        return true;
+      });
+      jest.spyOn(process.stderr, 'write').mockImplementation(chunk => {
+        output.push(String(chunk));
+        return true;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      nock.cleanAll();
+    });
+
+    function logLines() {
+      return output.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    it('should propagate X-Request-Id to the response, the logs and upstream calls', async () => {
+      const scope = nock('https://api.coingecko.com', { reqheaders: { 'x-request-id': 'wordpress-123' } })
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, { polkadot: { usd: 7.1 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'polkadot', name: 'Polkadot', symbol: 'dot' }]);
+
+      const response = await request(app).get('/price/polkadot').set('X-Request-Id', 'wordpress-123').expect(200);
+
+      expect(response.headers['x-request-id']).toBe('wordpress-123');
+      expect(scope.isDone()).toBe(true);
+
+      const lines = logLines();
+      expect(lines.map(line => line.msg)).toEqual(expect.arrayContaining(['Cache miss', 'Upstream call', 'Request completed']));
+      lines.forEach(line => expect(line.request_id).toBe('wordpress-123'));
+      expect(lines.find(line => line.msg === 'Request completed')).toMatchObject({
+        level: 'info',
+        method: 'GET',
+        path: '/price/polkadot',
+        route: '/price/:id',
+        status: 200
+      });
+    });
+
+    it('should log client mistakes at info and upstream failures at error, once', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'notacoin')
+        .reply(200, {})
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'aave,uniswap')
+        .reply(503, 'Service Unavailable');
+
+      await request(app).get('/price/notacoin').expect(404);
+      await request(app).get('/prices/aave,uniswap').expect(503);
+
+      const failures = logLines().filter(line => ['Request refused', 'Request failed'].includes(line.msg));
+      expect(failures).toEqual([
+        expect.objectContaining({ level: 'info', msg: 'Request refused', status: 404, error: 'Cryptocurrency not found' }),
+        expect.objectContaining({ level: 'error', msg: 'Request failed', status: 503, error: 'Upstream unavailable' })
+      ]);
+      expect(logLines().filter(line => line.level === 'error')).toHaveLength(1);
+    });
+
+    it('should generate an ID when the caller sends none', async () => {
+      const first = await request(app).get('/').expect(200);
+      const second = await request(app).get('/').expect(200);
+
+      expect(first.headers['x-request-id']).toMatch(/^[0-9a-f]{32}$/);
+      expect(second.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+      expect(logLines().map(line => line.request_id)).toEqual([
+        first.headers['x-request-id'],
+        second.headers['x-request-id']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const nock = require('nock');
+const { createMetricsRegistry } = require('../metrics');
+
+process.env.RATE_LIMIT_BURST = '8';
+process.env.CACHE_MAX_ENTRIES = '3';
+const app = require('../app');
+
+// The sample lines of a metric family, without HELP and TYPE
+function samples(text, name) {
+  return text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+describe('Metrics', () => {
+  describe('createMetricsRegistry', () => {
+    it('should render counters and gauges in the Prometheus text format', () => {
+      const registry = createMetricsRegistry();
+      const requests = registry.counter('test_requests_total', 'Requests served', ['route', 'status']);
+      const inFlight = registry.gauge('test_in_flight', 'Requests in flight');
+      registry.gauge('test_queue_length', 'Collected at render time', ['queue'], {
+        collect: () => [{ labels: { queue: 'a' }, value: 3 }, { labels: { queue: 'b' }, value: 0 }]
+      });
+
+      requests.inc({ route: '/price/:id', status: '200' });
+      requests.inc({ route: '/price/:id', status: '200' }, 2);
+      requests.inc({ route: '/odd', status: 'a "quoted"\nvalue' });
+      inFlight.inc();
+      inFlight.inc();
+      inFlight.dec();
+
+      expect(registry.render()).toBe([
+        '# HELP test_requests_total Requests served',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{route="/price/:id",status="200"} 3',
+        'test_requests_total{route="/odd",status="a \\"quoted\\"\\nvalue"} 1',
+        '# HELP test_in_flight Requests in flight',
+        '# TYPE test_in_flight gauge',
+        'test_in_flight 1',
+        '# HELP test_queue_length Collected at render time',
+        '# TYPE test_queue_length gauge',
+        'test_queue_length{queue="a"} 3',
+        'test_queue_length{queue="b"} 0',
+        ''
+      ].join('\n'));
+      expect(requests.get({ route: '/price/:id', status: '200' })).toBe(3);
+    });
+
+    it('should render histograms with cumulative buckets, sum and count', () => {
+      const registry = createMetricsRegistry();
+      const latency = registry.histogram('test_duration_seconds', 'Latency', ['route'], [0.5, 0.1, 1]);
+
+      latency.observe({ route: '/' }, 0.05);
+      latency.observe({ route: '/' }, 0.3);
+      latency.observe({ route: '/' }, 4);
+
+      expect(samples(registry.render(), 'test_duration_seconds_bucket')).toEqual([
+        'test_duration_seconds_bucket{route="/",le="0.1"} 1',
+        'test_duration_seconds_bucket{route="/",le="0.5"} 2',
+        'test_duration_seconds_bucket{route="/",le="1"} 2',
+        'test_duration_seconds_bucket{route="/",le="+Inf"} 3'
+      ]);
+      expect(samples(registry.render(), 'test_duration_seconds_sum')).toEqual(['test_duration_seconds_sum{route="/"} 4.35']);
+      expect(samples(registry.render(), 'test_duration_seconds_count')).toEqual(['test_duration_seconds_count{route="/"} 3']);
+    });
+
+    it('should refuse to register a name twice', () => {
+      const registry = createMetricsRegistry();
+      registry.counter('test_total', 'Once');
+
+      expect(() => registry.gauge('test_total', 'Twice')).toThrow('Metric "test_total" is already registered');
+    });
+  });
+
+  describe('GET /metrics', () => {
+    beforeEach(() => {
+      nock.cleanAll();
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should count requests, cache lookups and upstream calls', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'cosmos')
+        .reply(200, { cosmos: { usd: 9.5 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'cosmos', name: 'Cosmos', symbol: 'atom' }])
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'not-a-coin')
+        .reply(404);
+
+      await request(app).get('/price/cosmos').expect(200);
+      await request(app).get('/price/cosmos').expect(200);
+      await request(app).get('/price/not-a-coin').expect(404);
+      await request(app).get('/no-such-route').expect(404);
+
+      const response = await request(app).get('/metrics').expect(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      const text = response.text;
+
+      expect(samples(text, 'crypto_api_http_requests_total')).toEqual(expect.arrayContaining([
+        'crypto_api_http_requests_total{method="GET",route="/price/:id",status="200"} 2',
+        'crypto_api_http_requests_total{method="GET",route="/price/:id",status="404"} 1',
+        'crypto_api_http_requests_total{method="GET",route="unmatched",status="404"} 1'
+      ]));
+      expect(text).toContain('crypto_api_http_request_duration_seconds_count{method="GET",route="/price/:id",status="200"} 2');
+      // The scrape itself is still being handled
+      expect(text).toContain('crypto_api_http_requests_in_flight 1');
+
+      expect(text).toContain('crypto_api_cache_misses_total{kind="price"} 2');
+      expect(text).toContain('crypto_api_cache_hits_total{kind="price",state="fresh"} 1');
+
+      expect(text).toContain('crypto_api_upstream_requests_total{provider="coingecko",outcome="success"} 2');
+      expect(text).toContain('crypto_api_upstream_requests_total{provider="coingecko",outcome="not_found"} 1');
+      expect(text).toContain('crypto_api_upstream_request_duration_seconds_count{provider="coingecko"} 3');
+      expect(text).toContain('crypto_api_upstream_breaker_open{provider="coingecko"} 0');
+      expect(text).toContain('crypto_api_upstream_in_flight 0');
+      expect(text).toMatch(/^process_resident_memory_bytes \d+$/m);
+    });
+
+    it('should count cache evictions and rate limit rejections', async () => {
+      const coins = ['aave', 'algorand', 'aptos', 'arbitrum'];
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .times(coins.length)
+        .reply(200, uri => {
+          const id = new URL(uri, 'https://api.coingecko.com').searchParams.get('ids');
+          return { [id]: { usd: 1 } };
+        })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .times(coins.length)
+        .reply(200, []);
+
+      for (const id of coins) {
+        await request(app).get(`/price/${id}`).expect(200);
+      }
+
+      // Earlier requests in this file used up the rest of the burst
+      let refused = 0;
+      for (let i = 0; i < 3; i++) {
+        const response = await request(app).get('/search?q=aave');
+        refused += response.status === 429 ? 1 : 0;
+      }
+      expect(refused).toBeGreaterThan(0);
+
+      const { text } = await request(app).get('/metrics').expect(200);
+      const evictions = samples(text, 'crypto_api_cache_evictions_total')[0];
+      expect(Number(evictions.split(' ')[1])).toBeGreaterThan(0);
+      expect(text).toContain(`crypto_api_rate_limit_rejections_total{reason="rate_limit",client="anonymous"} ${refused}`);
+    });
+  });
+});
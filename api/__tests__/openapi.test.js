@@ -0,0 +1,280 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const nock = require('nock');
+const { createOpenApiValidator, validateResponse, validateSchema } = require('../openapi');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-'));
+process.env.API_KEYS_FILE = path.join(tmpDir, 'keys.json');
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+  keys: [{ name: 'ops', key: 'ops-secret', admin: true, monthly_quota: 1000 }]
+}));
+// Responses reach the tests as the routes sent them; the drift test checks them itself
+process.env.OPENAPI_RESPONSE_VALIDATION = 'off';
+const app = require('../app');
+
+const START = Date.UTC(2024, 0, 1);
+
+// Method and OpenAPI path of every route registered on the app
+function expressRoutes() {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+}
+
+describe('OpenAPI', () => {
+  let spec;
+
+  beforeAll(async () => {
+    spec = (await request(app).get('/openapi.json').expect(200)).body;
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('GET /openapi.json', () => {
+    it('should document exactly the routes the app serves', () => {
+      const documented = Object.entries(spec.paths).flatMap(([template, item]) => Object.keys(item).map(method => `${method.toUpperCase()} ${template}`));
+
+      expect(spec.openapi).toMatch(/^3\.0\./);
+      expect(documented.sort()).toEqual(expressRoutes().sort());
+    });
+
+    it('should state the limits the routes enforce', () => {
+      const history = spec.paths['/history/{id}'].get.parameters;
+      expect(history.find(parameter => parameter.name === 'days').schema.enum).toEqual([1, 7, 30, 365]);
+      expect(spec.components.parameters.Currencies.schema.maxItems).toBe(10);
+    });
+  });
+
+  describe('GET /docs', () => {
+    it('should render every operation as HTML', async () => {
+      const response = await request(app).get('/docs').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+      Object.keys(spec.paths).forEach(template => {
+        expect(response.text).toContain(`<code>${template}</code>`);
+      });
+      expect(response.text).toContain('href="/openapi.json"');
+    });
+  });
+
+  describe('GET /', () => {
+    it('should list every operation with its query parameters', async () => {
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.body.documentation).toEqual({ openapi: '/openapi.json', docs: '/docs' });
+      expect(response.body.usage['GET /history/{id}']).toBe('Price history and OHLC candles (days, interval, vs)');
+      expect(response.body.usage['GET /admin/usage']).toContain('(month)');
+    });
+  });
+
+  describe('Request validation', () => {
+    it('should answer invalid parameters with the route\'s own 400', async () => {
+      const cases = [
+        ['/history/bitcoin?days=2', 'Invalid range'],
+        ['/history/bitcoin?interval=weekly', 'Invalid interval'],
+        ['/search?q=btc&limit=many', 'Invalid limit'],
+        ['/convert?to=eth', 'Invalid conversion'],
+        ['/price/bitcoin?vs=usd,eu1', 'Invalid currency'],
+        ['/stream/prices', 'Invalid ids']
+      ];
+
+      for (const [url, error] of cases) {
+        const response = await request(app).get(url).expect(400);
+        expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+        expect(response.body).toEqual({
+          type: '/docs#problem-invalid-request',
+          title: 'Invalid request',
+          status: 400,
+          detail: expect.any(String),
+          instance: url.split('?')[0],
+          request_id: expect.any(String),
+          error,
+          message: expect.any(String)
+        });
+      }
+    });
+
+    it('should describe the problem for parameters without an error of their own', async () => {
+      const miniSpec = {
+        paths: {
+          '/items/{id}': {
+            get: {
+              parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+              responses: { 200: { description: 'An item', content: { 'application/json': { schema: { type: 'object' } } } } }
+            }
+          }
+        }
+      };
+      const mini = express();
+      mini.use(createOpenApiValidator(miniSpec));
+      mini.get('/items/:id', (req, res) => res.json({ id: Number(req.params.id) }));
+
+      await request(mini).get('/items/7').expect(200);
+      const response = await request(mini).get('/items/0').expect(400);
+      expect(response.body).toEqual({
+        type: '/docs#problem-invalid-request',
+        title: 'Invalid request',
+        status: 400,
+        detail: 'path.id must be at least 1',
+        instance: '/items/0',
+        error: 'Invalid request',
+        message: 'path.id must be at least 1'
+      });
+    });
+  });
+
+  describe('Response validation', () => {
+    const miniSpec = {
+      paths: {
+        '/quote': {
+          get: {
+            responses: {
+              200: {
+                description: 'A quote',
+                content: {
+                  'application/json': {
+                    schema: { type: 'object', required: ['price'], additionalProperties: false, properties: { price: { type: 'number' } } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+
+    function miniApp(options) {
+      const mini = express();
+      mini.use(createOpenApiValidator(miniSpec, options));
+      mini.get('/quote', (req, res) => res.json({ price: '42' }));
+      return mini;
+    }
+
+    it('should log a response that does not match and still send it', async () => {
+      const logger = { warn: jest.fn() };
+
+      const response = await request(miniApp({ responses: 'warn', logger })).get('/quote').expect(200);
+
+      expect(response.body).toEqual({ price: '42' });
+      expect(logger.warn).toHaveBeenCalledWith('Response does not match the OpenAPI document', {
+        route: 'GET /quote',
+        status: 200,
+        problems: ['body.price must be a number, got string']
+      });
+    });
+
+    it('should replace it with a 500 in error mode', async () => {
+      const response = await request(miniApp({ responses: 'error' })).get('/quote').expect(500);
+
+      expect(response.body.error).toBe('Internal server error');
+    });
+  });
+
+  describe('Schema drift', () => {
+    function mockPrices(prices, coins) {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, prices)
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, coins);
+    }
+
+    // Every JSON response an operation sends must match what the document says about it
+    async function expectDocumented(url, status, options = {}) {
+      let call = request(app).get(url);
+      if (options.apiKey) {
+        call = call.set('X-API-Key', options.apiKey);
+      }
+      const response = await call.expect(status);
+      const pathname = url.split('?')[0];
+      expect(validateResponse(spec, 'get', pathname, status, response.body)).toEqual([]);
+      return response;
+    }
+
+    it('should match the document for every JSON route', async () => {
+      mockPrices({
+        bitcoin: { usd: 42000, usd_market_cap: 820000000000, usd_24h_vol: 15000000000, usd_24h_change: 1.5, last_updated_at: 1704067200 }
+      }, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }]);
+      await expectDocumented('/price/bitcoin?include=all', 200);
+
+      mockPrices({ ethereum: { usd: 2300 }, solana: { usd: 95 } }, [
+        { id: 'ethereum', name: 'Ethereum', symbol: 'eth' },
+        { id: 'solana', name: 'Solana', symbol: 'sol' }
+      ]);
+      await expectDocumented('/prices/ethereum,solana', 200);
+
+      mockPrices({ cardano: { eur: 0.45 } }, [{ id: 'cardano', name: 'Cardano', symbol: 'ada' }]);
+      await expectDocumented('/convert?from=cardano&to=eur&amount=10', 200);
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/coins/bitcoin/market_chart')
+        .query(true)
+        .reply(200, { prices: [[START, 42000]], market_caps: [[START, 820000000000]], total_volumes: [[START, 15000000000]] })
+        .get('/api/v3/coins/bitcoin/ohlc')
+        .query(true)
+        .reply(200, [[START, 42000, 42200, 41900, 42100]]);
+      await expectDocumented('/history/bitcoin?days=7', 200);
+
+      await expectDocumented('/search?q=bitcoin', 200);
+      await expectDocumented('/', 200);
+      await expectDocumented('/health', 200);
+      await expectDocumented('/admin/usage', 200, { apiKey: 'ops-secret' });
+      await expectDocumented('/admin/config', 200, { apiKey: 'ops-secret' });
+    });
+
+    it('should match the document for error responses', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, {});
+      await expectDocumented('/price/bitconi', 404);
+      await expectDocumented('/history/bitcoin?days=2', 400);
+      await expectDocumented('/admin/config', 401);
+      await expectDocumented('/price/bitcoin', 401, { apiKey: 'not-a-key' });
+    });
+
+    it('should catch a response that drifts from its schema', () => {
+      const body = { name: 'Bitcoin', symbol: 'BTC', price: 42000, prices: { usd: 42000 }, provider: 'coingecko' };
+      expect(validateResponse(spec, 'get', '/price/bitcoin', 200, body)).toEqual([]);
+
+      expect(validateResponse(spec, 'get', '/price/bitcoin', 200, { ...body, price: '42000', fees: 0 })).toEqual([
+        'body.price must be a number, got string',
+        'body.fees is not allowed'
+      ]);
+      expect(validateResponse(spec, 'get', '/price/bitcoin', 418, body)).toEqual(['GET /price/{id} documents no JSON response for 418']);
+      expect(validateResponse(spec, 'get', '/quotes', 200, body)).toEqual(['GET /quotes is not documented']);
+    });
+  });
+
+  describe('validateSchema', () => {
+    it('should follow references and report every problem with its path', () => {
+      const doc = {
+        components: {
+          schemas: {
+            Point: { type: 'object', required: ['timestamp'], properties: { timestamp: { type: 'integer' } } }
+          }
+        }
+      };
+      const schema = { type: 'array', maxItems: 2, items: { $ref: '#/components/schemas/Point' } };
+
+      expect(validateSchema(schema, [{ timestamp: 1 }], doc)).toEqual([]);
+      expect(validateSchema(schema, [{ timestamp: 1.5 }, {}, { timestamp: null }], doc)).toEqual([
+        'value must have at most 2 items',
+        'value[0].timestamp must be an integer, got number',
+        'value[1].timestamp is required',
+        'value[2].timestamp must not be null'
+      ]);
+    });
+  });
+});
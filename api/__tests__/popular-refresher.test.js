@@ -0,0 +1,108 @@
+const request = require('supertest');
+const nock = require('nock');
+const app = require('../app');
+const { createPopularRefresher } = require('../popular-refresher');
+
+describe('Popular coin refresher', () => {
+  describe('createPopularRefresher', () => {
+    it('should refresh the most requested coins first within the budget', async () => {
+      const refresh = jest.fn(async ids => ids.length);
+      const refresher = createPopularRefresher({ refresh, budget: 2, batchSize: 2 });
+
+      ['bitcoin', 'bitcoin', 'bitcoin', 'ethereum', 'ethereum', 'cardano', 'solana', 'ripple']
+        .forEach(id => refresher.track(id, ['usd']));
+
+      await refresher.runOnce();
+
+      expect(refresh.mock.calls).toEqual([
+        [['bitcoin', 'ethereum'], { currencies: ['usd'], market: false }],
+        [['cardano', 'solana'], { currencies: ['usd'], market: false }]
+      ]);
+      expect(refresher.status).toMatchObject({ cycles: 1, calls: 2, refreshed: 4, failed: 0 });
+    });
+
+    it('should batch coins per currency set and market flag', async () => {
+      const refresh = jest.fn(async ids => ids.length);
+      const refresher = createPopularRefresher({ refresh });
+
+      refresher.track('bitcoin', ['usd']);
+      refresher.track('ethereum', ['usd']);
+      refresher.track('bitcoin', ['usd', 'eur'], true);
+      refresher.track('bitcoin', ['eur', 'usd'], true);
+
+      await refresher.runOnce();
+
+      expect(refresh.mock.calls).toEqual([
+        [['bitcoin'], { currencies: ['usd', 'eur'], market: true }],
+        [['bitcoin', 'ethereum'], { currencies: ['usd'], market: false }]
+      ]);
+    });
+
+    it('should forget coins nobody requests any more', async () => {
+      const refresh = jest.fn(async ids => ids.length);
+      const refresher = createPopularRefresher({ refresh });
+
+      refresher.track('bitcoin', ['usd']);
+      for (let i = 0; i < 5; i++) {
+        await refresher.runOnce();
+      }
+
+      expect(refresh).toHaveBeenCalledTimes(4);
+      expect(refresher.status.tracked).toBe(0);
+    });
+
+    it('should count failed batches and keep going', async () => {
+      const refresh = jest.fn()
+        .mockRejectedValueOnce(new Error('Request timeout'))
+        .mockResolvedValueOnce(1);
+      const refresher = createPopularRefresher({ refresh });
+
+      refresher.track('bitcoin', ['usd']);
+      refresher.track('bitcoin', ['eur']);
+      await refresher.runOnce();
+
+      expect(refresher.status).toMatchObject({ calls: 2, refreshed: 1, failed: 1 });
+    });
+  });
+
+  describe('API', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should refresh requested coins in one batch so later reads stay cached', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'cosmos')
+        .reply(200, { cosmos: { usd: 9.5 } })
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'algorand')
+        .reply(200, { algorand: { usd: 0.18 } })
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'cosmos')
+        .reply(200, [{ id: 'cosmos', name: 'Cosmos Hub', symbol: 'atom' }])
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'algorand')
+        .reply(200, [{ id: 'algorand', name: 'Algorand', symbol: 'algo' }]);
+
+      await request(app).get('/price/cosmos').expect(200);
+      await request(app).get('/price/algorand').expect(200);
+
+      const refresh = nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'cosmos,algorand')
+        .reply(200, { cosmos: { usd: 9.8 }, algorand: { usd: 0.19 } });
+
+      await app.popularRefresher.runOnce();
+
+      expect(refresh.isDone()).toBe(true);
+
+      const response = await request(app).get('/prices/cosmos,algorand').expect(200);
+      expect(response.headers['x-cache-status']).toBe('fresh');
+      expect(response.body.cosmos.price).toBe(9.8);
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body.refresher).toMatchObject({ running: false, tracked: 2, refreshed: 2 });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const http = require('http');
+const nock = require('nock');
+const WebSocket = require('ws');
+const app = require('../app');
+const { createPriceSocketServer } = require('../price-socket');
+const { createPriceHub } = require('../price-stream');
+
+// Connect and expose a promise-based reader over incoming JSON messages
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://localhost:${port}/ws/prices`);
+    const queue = [];
+    const waiting = [];
+
+    socket.on('message', raw => {
+      const message = JSON.parse(raw.toString());
+      const next = waiting.shift();
+      if (next) {
+        next(message);
+      } else {
+        queue.push(message);
+      }
+    });
+
+    socket.next = () => new Promise(done => {
+      if (queue.length > 0) {
+        done(queue.shift());
+      } else {
+        waiting.push(done);
+      }
+    });
+    socket.sendJson = message => socket.send(JSON.stringify(message));
+
+    socket.on('open', () => resolve(socket));
+    socket.on('error', reject);
+  });
+}
+
+describe('WebSocket price subscriptions', () => {
+  describe('app endpoint', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+      app.attachPriceSocket(server);
+    });
+
+    afterAll(done => {
+      nock.cleanAll();
+      server.close(done);
+    });
+
+    it('should greet, subscribe and push prices from the shared refresh cycle', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'chainlink' && query.vs_currencies === 'eur,usd')
+        .reply(200, { chainlink: { usd: 14.2, eur: 13.1 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'chainlink', name: 'Chainlink', symbol: 'link' }]);
+
+      const socket = await connect(port);
+
+      expect(await socket.next()).toEqual({ type: 'welcome', limits: { max_ids: 50, max_currencies: 10 } });
+
+      socket.sendJson({ type: 'subscribe', ids: ['chainlink'], vs: ['usd', 'eur'] });
+      expect(await socket.next()).toEqual({ type: 'subscribed', ids: ['chainlink'], vs: ['usd', 'eur'] });
+
+      const price = await socket.next();
+      expect(price).toMatchObject({
+        type: 'price',
+        id: 'chainlink',
+        symbol: 'LINK',
+        price: 14.2,
+        prices: { usd: 14.2, eur: 13.1 },
+        provider: 'coingecko'
+      });
+      expect(price).toHaveProperty('event_id');
+
+      socket.sendJson({ type: 'unsubscribe' });
+      expect(await socket.next()).toEqual({ type: 'unsubscribed', ids: ['chainlink'] });
+
+      socket.close();
+    });
+
+    it('should answer pings and report protocol errors', async () => {
+      const socket = await connect(port);
+      await socket.next();
+
+      socket.sendJson({ type: 'ping' });
+      expect(await socket.next()).toEqual({ type: 'pong' });
+
+      socket.send('not json');
+      expect(await socket.next()).toMatchObject({ type: 'error', code: 'invalid_json' });
+
+      socket.sendJson({ type: 'publish' });
+      expect(await socket.next()).toMatchObject({ type: 'error', code: 'unknown_type' });
+
+      socket.sendJson({ type: 'subscribe', ids: 'bitcoin' });
+      expect(await socket.next()).toMatchObject({ type: 'error', code: 'invalid_ids' });
+
+      socket.sendJson({ type: 'subscribe', ids: ['bitcoin'], vs: ['u$d'] });
+      expect(await socket.next()).toMatchObject({ type: 'error', code: 'invalid_currency' });
+
+      socket.sendJson({ type: 'subscribe', ids: ['bitcoin', 'eth$', ''] });
+      expect(await socket.next()).toMatchObject({ type: 'error', code: 'invalid_ids', invalid_ids: ['eth$', ''] });
+
+      socket.close();
+    });
+
+    it('should run the upgrade through the API key checks', async () => {
+      const response = await new Promise((resolve, reject) => {
+        const client = new WebSocket(`ws://localhost:${port}/ws/prices`, { headers: { 'X-API-Key': 'unknown' } });
+        client.on('unexpected-response', (req, res) => {
+          let body = '';
+          res.on('data', chunk => {
+            body += chunk;
+          });
+          res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+        });
+        client.on('open', () => reject(new Error('connection should be refused')));
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['content-type']).toBe('application/problem+json');
+      expect(response.body).toMatchObject({ status: 401, error: 'Invalid API key', instance: '/ws/prices' });
+    });
+  });
+
+  describe('createPriceSocketServer', () => {
+    let server;
+    let port;
+    let hub;
+
+    function start(options, hubOptions) {
+      hub = createPriceHub({ fetchQuotes: async () => ({}), ...hubOptions });
+      server = http.createServer();
+      createPriceSocketServer({
+        server,
+        hub,
+        formatEvent: (event, currencies) => ({ id: event.coin, currencies }),
+        parseCurrencies: vs => (vs ? vs.split(',') : ['usd']),
+        ...options
+      });
+      return new Promise(resolve => server.listen(0, () => {
+        port = server.address().port;
+        resolve();
+      }));
+    }
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    it('should enforce the per-connection subscription limit', async () => {
+      await start({ maxIds: 2 });
+      const socket = await connect(port);
+      await socket.next();
+
+      socket.sendJson({ type: 'subscribe', ids: ['bitcoin', 'ethereum'] });
+      expect(await socket.next()).toMatchObject({ type: 'subscribed' });
+
+      socket.sendJson({ type: 'subscribe', ids: ['cardano'] });
+      expect(await socket.next()).toMatchObject({ type: 'error', code: 'subscription_limit' });
+      expect(hub.subscriberCount).toBe(1);
+
+      socket.close();
+    });
+
+    it('should keep the old subscription when the hub refuses a new one', async () => {
+      await start({}, { maxIds: 2 });
+      const socket = await connect(port);
+      const other = await connect(port);
+      await socket.next();
+      await other.next();
+
+      socket.sendJson({ type: 'subscribe', ids: ['bitcoin'] });
+      other.sendJson({ type: 'subscribe', ids: ['ethereum'] });
+      await socket.next();
+      await other.next();
+
+      socket.sendJson({ type: 'subscribe', ids: ['cardano'] });
+      expect(await socket.next()).toMatchObject({
+        type: 'error',
+        code: 'subscription_limit',
+        message: expect.stringContaining('at most 2 coins')
+      });
+      expect(hub.subscriberCount).toBe(2);
+
+      hub.publish('bitcoin', { name: 'Bitcoin', symbol: 'BTC', prices: { usd: 45000 } });
+      expect(await socket.next()).toMatchObject({ type: 'price', id: 'bitcoin' });
+
+      socket.close();
+      other.close();
+    });
+
+    it('should refuse connections over the limit', async () => {
+      await start({ maxConnections: 1 });
+      const first = await connect(port);
+
+      await expect(connect(port)).rejects.toThrow('Unexpected server response: 503');
+
+      first.close();
+    });
+
+    it('should fan out hub events only to sockets subscribed to the coin', async () => {
+      await start();
+      const bitcoin = await connect(port);
+      const ethereum = await connect(port);
+      await bitcoin.next();
+      await ethereum.next();
+
+      bitcoin.sendJson({ type: 'subscribe', ids: ['bitcoin'] });
+      ethereum.sendJson({ type: 'subscribe', ids: ['ethereum'] });
+      await bitcoin.next();
+      await ethereum.next();
+
+      hub.publish('ethereum', { name: 'Ethereum', symbol: 'ETH', prices: { usd: 2800 } });
+      hub.publish('bitcoin', { name: 'Bitcoin', symbol: 'BTC', prices: { usd: 45000 } });
+
+      expect(await bitcoin.next()).toMatchObject({ type: 'price', id: 'bitcoin', currencies: ['usd'] });
+      expect(await ethereum.next()).toMatchObject({ type: 'price', id: 'ethereum' });
+
+      bitcoin.close();
+      ethereum.close();
+    });
+
+    it('should terminate sockets that stop answering pings', async () => {
+      await start({ pingInterval: 50 });
+      const socket = await new Promise((resolve, reject) => {
+        const client = new WebSocket(`ws://localhost:${port}/ws/prices`, { autoPong: false });
+        client.on('open', () => resolve(client));
+        client.on('error', reject);
+      });
+
+      const code = await new Promise(resolve => socket.on('close', resolve));
+
+      expect(code).toBe(1006);
+    });
+  });
+});
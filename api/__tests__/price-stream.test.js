@@ -0,0 +1,188 @@
+const http = require('http');
+const nock = require('nock');
+const app = require('../app');
+const { createPriceHub } = require('../price-stream');
+
+function quote(price) {
+  return { name: 'Bitcoin', symbol: 'BTC', prices: { usd: price }, provider: 'test' };
+}
+
+// Open an SSE connection and collect parsed events until `count` arrive
+function readEvents(port, path, count, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({ port, path, headers }, res => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = {};
+          block.split('\n').forEach(line => {
+            const [field, ...rest] = line.split(': ');
+            event[field] = rest.join(': ');
+          });
+          if (event.event === 'price') {
+            events.push({ id: event.id, data: JSON.parse(event.data) });
+          }
+        }
+        if (events.length >= count) {
+          req.destroy();
+          resolve({ status: res.statusCode, headers: res.headers, events });
+        }
+      });
+    });
+    req.on('error', error => {
+      if (events.length < count) {
+        reject(error);
+      }
+    });
+  });
+}
+
+describe('Price stream', () => {
+  describe('createPriceHub', () => {
+    it('should publish only when prices change', async () => {
+      const prices = [100, 100, 101];
+      const hub = createPriceHub({ fetchQuotes: async () => ({ bitcoin: quote(prices.shift()) }) });
+      const listener = jest.fn();
+
+      const unsubscribe = hub.subscribe(['bitcoin'], ['usd'], listener);
+      await hub.refresh();
+      await hub.refresh();
+      await hub.refresh();
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls.map(([event]) => event.quote.prices.usd)).toEqual([100, 101]);
+    });
+
+    it('should fetch the union of watched coins and currencies in one call', async () => {
+      const fetchQuotes = jest.fn(async () => ({}));
+      const hub = createPriceHub({ fetchQuotes });
+
+      const first = hub.subscribe(['bitcoin'], ['usd'], () => {});
+      await hub.refresh();
+      const second = hub.subscribe(['ethereum', 'bitcoin'], ['eur'], () => {});
+      await hub.refresh();
+      first();
+      second();
+
+      expect(fetchQuotes).toHaveBeenCalledTimes(2);
+      expect(fetchQuotes).toHaveBeenLastCalledWith(['bitcoin', 'ethereum'], ['eur', 'usd']);
+      expect(hub.subscriberCount).toBe(0);
+    });
+
+    it('should fetch in bounded batches and keep publishing when one batch fails', async () => {
+      const fetchQuotes = jest.fn(async ids => {
+        if (ids.includes('cardano')) {
+          throw new Error('upstream failed');
+        }
+        return Object.fromEntries(ids.map(id => [id, quote(1)]));
+      });
+      const hub = createPriceHub({ fetchQuotes, batchSize: 2 });
+      const listener = jest.fn();
+
+      const unsubscribe = hub.subscribe(['bitcoin', 'ethereum', 'cardano'], ['usd'], listener);
+      await hub.refresh();
+      unsubscribe();
+
+      expect(fetchQuotes.mock.calls.map(([ids]) => ids)).toEqual([['bitcoin', 'ethereum'], ['cardano']]);
+      expect(listener.mock.calls.map(([event]) => event.coin)).toEqual(['bitcoin', 'ethereum']);
+    });
+
+    it('should refuse subscriptions past the watched coin cap', () => {
+      const hub = createPriceHub({ fetchQuotes: async () => ({}), maxIds: 2 });
+
+      const first = hub.subscribe(['bitcoin', 'ethereum'], ['usd'], () => {});
+      const second = hub.subscribe(['ethereum'], ['eur'], () => {});
+      expect(() => hub.subscribe(['cardano'], ['usd'], () => {})).toThrow('Too many coins watched');
+      expect(hub.subscriberCount).toBe(2);
+
+      first();
+      second();
+    });
+
+    it('should return missed events or null when they are no longer held', () => {
+      const hub = createPriceHub({ fetchQuotes: async () => ({}), historySize: 2 });
+
+      hub.publish('bitcoin', quote(1));
+      hub.publish('bitcoin', quote(2));
+      hub.publish('bitcoin', quote(3));
+
+      expect(hub.eventsSince('2').map(event => event.id)).toEqual(['3']);
+      expect(hub.eventsSince('3')).toEqual([]);
+      expect(hub.eventsSince('0')).toBeNull();
+      expect(hub.eventsSince('42')).toBeNull();
+      expect(hub.eventsSince('not-a-number')).toBeNull();
+    });
+  });
+
+  describe('GET /stream/prices', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      nock.cleanAll();
+      server.close(done);
+    });
+
+    it('should reject requests without ids', done => {
+      http.get({ port, path: '/stream/prices' }, res => {
+        expect(res.statusCode).toBe(400);
+        res.resume();
+        done();
+      });
+    });
+
+    it('should list malformed ids in a 400', done => {
+      http.get({ port, path: '/stream/prices?ids=bitcoin,eth$' }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          expect(res.statusCode).toBe(400);
+          expect(JSON.parse(body).invalid_ids).toEqual(['eth$']);
+          done();
+        });
+      });
+    });
+
+    it('should send the current snapshot on connect and resume from Last-Event-ID', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'dogecoin')
+        .reply(200, { dogecoin: { usd: 0.08 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'dogecoin', name: 'Dogecoin', symbol: 'doge' }]);
+
+      const first = await readEvents(port, '/stream/prices?ids=dogecoin', 1);
+
+      expect(first.status).toBe(200);
+      expect(first.headers['content-type']).toContain('text/event-stream');
+      expect(first.events[0].data).toMatchObject({ id: 'dogecoin', symbol: 'DOGE', price: 0.08, prices: { usd: 0.08 } });
+
+      // New connections get the snapshot without another upstream call, whatever the case of the ID
+      const replay = await readEvents(port, '/stream/prices?ids=DOGECOIN', 1);
+      expect(replay.events[0].id).toBe(first.events[0].id);
+
+      const resumed = await readEvents(port, '/stream/prices?ids=dogecoin', 1, {
+        'Last-Event-ID': String(Number(first.events[0].id) - 1)
+      });
+      expect(resumed.events[0].id).toBe(first.events[0].id);
+    });
+  });
+});
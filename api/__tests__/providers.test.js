@@ -0,0 +1,375 @@
+const nock = require('nock');
+const {
+  createCoinGeckoProvider,
+  createCoinCapProvider,
+  createBinanceProvider,
+  createKrakenProvider,
+  createProviderChain,
+  createProviderChainFromConfig
+} = require('../providers');
+
+// Minimal in-memory provider for exercising the failover chain
+function fakeProvider(name, behaviour) {
+  return {
+    name,
+    getPrice: jest.fn(async (id) => {
+      const quote = await behaviour(id);
+      return quote;
+    }),
+    getPrices: jest.fn(async (ids) => {
+      const result = {};
+      for (const id of ids) {
+        try {
+          result[id] = await behaviour(id);
+        } catch (error) {
+          if (error.message !== 'Cryptocurrency not found') {
+            throw error;
+          }
+        }
+      }
+      return result;
+    })
+  };
+}
+
+describe('Price providers', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('CoinGecko adapter', () => {
+    it('should normalize market data when requested', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query({
+          ids: 'bitcoin,ethereum',
+          vs_currencies: 'usd,eur',
+          include_market_cap: true,
+          include_24hr_vol: true,
+          include_24hr_change: true,
+          include_last_updated_at: true
+        })
+        .reply(200, {
+          bitcoin: {
+            usd: 45000, usd_market_cap: 880000000000, usd_24h_vol: 21000000000, usd_24h_change: 1.5,
+            eur: 41000, eur_market_cap: 800000000000, eur_24h_vol: 19000000000, eur_24h_change: 1.4,
+            last_updated_at: 1700000000
+          }
+        })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }])
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'ethereum', name: 'Ethereum', symbol: 'eth' }]);
+
+      const quotes = await createCoinGeckoProvider().getPrices(['bitcoin', 'ethereum'], {
+        currencies: ['usd', 'eur'],
+        market: true
+      });
+
+      expect(Object.keys(quotes)).toEqual(['bitcoin']);
+      expect(quotes.bitcoin.market).toEqual({
+        market_cap: { usd: 880000000000, eur: 800000000000 },
+        volume_24h: { usd: 21000000000, eur: 19000000000 },
+        change_24h: { usd: 1.5, eur: 1.4 },
+        last_updated_at: 1700000000
+      });
+    });
+
+    it('should keep the Retry-After of a 429', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(429, {}, { 'Retry-After': '120' });
+
+      await expect(createCoinGeckoProvider().getPrices(['bitcoin'])).rejects.toMatchObject({
+        message: 'Rate limit exceeded. Please try again later.',
+        retryAfterMs: 120000
+      });
+    });
+
+    it('should take names from cached info and list only the rest', async () => {
+      const cache = new Map([['bitcoin', { name: 'Bitcoin', symbol: 'BTC' }]]);
+      const infoCache = {
+        get: async id => cache.get(id) || null,
+        set: async (id, info) => cache.set(id, info)
+      };
+
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(true)
+        .reply(200, { bitcoin: { usd: 45000 }, ethereum: { usd: 2800 }, 'new-coin': { usd: 1 } })
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'ethereum,new-coin' && query.vs_currency === 'usd')
+        .reply(200, [{ id: 'ethereum', name: 'Ethereum', symbol: 'eth' }]);
+
+      const quotes = await createCoinGeckoProvider({ infoCache }).getPrices(['bitcoin', 'ethereum', 'new-coin']);
+
+      expect(quotes.bitcoin).toMatchObject({ name: 'Bitcoin', symbol: 'BTC' });
+      expect(quotes.ethereum).toMatchObject({ name: 'Ethereum', symbol: 'ETH' });
+      expect(quotes['new-coin']).toMatchObject({ name: 'new-coin', symbol: 'NEW-COIN' });
+      expect(cache.get('ethereum')).toEqual({ name: 'Ethereum', symbol: 'ETH' });
+    });
+  });
+
+  describe('CoinCap adapter', () => {
+    it('should normalize a single asset', async () => {
+      nock('https://api.coincap.io')
+        .get('/v2/assets/bitcoin')
+        .reply(200, { data: { id: 'bitcoin', name: 'Bitcoin', symbol: 'btc', priceUsd: '45000.50' } });
+
+      const quote = await createCoinCapProvider().getPrice('bitcoin');
+
+      expect(quote).toEqual({ name: 'Bitcoin', symbol: 'BTC', prices: { usd: 45000.50 } });
+    });
+
+    it('should map a 404 to not found', async () => {
+      nock('https://api.coincap.io')
+        .get('/v2/assets/nope')
+        .reply(404, { error: 'nope not found' });
+
+      await expect(createCoinCapProvider().getPrice('nope')).rejects.toThrow('Cryptocurrency not found');
+    });
+
+    it('should fetch several assets in one call', async () => {
+      nock('https://api.coincap.io')
+        .get('/v2/assets')
+        .query({ ids: 'bitcoin,ethereum' })
+        .reply(200, {
+          data: [
+            { id: 'bitcoin', name: 'Bitcoin', symbol: 'BTC', priceUsd: '45000.5' },
+            { id: 'ethereum', name: 'Ethereum', symbol: 'ETH', priceUsd: '2800.25' }
+          ]
+        });
+
+      const quotes = await createCoinCapProvider().getPrices(['bitcoin', 'ethereum']);
+
+      expect(quotes.bitcoin.prices.usd).toBe(45000.5);
+      expect(quotes.ethereum.symbol).toBe('ETH');
+    });
+
+    it('should reject non-USD currencies without calling upstream', async () => {
+      await expect(createCoinCapProvider().getPrice('bitcoin', { currencies: ['eur'] }))
+        .rejects.toThrow('Currency not supported');
+    });
+  });
+
+  describe('Binance adapter', () => {
+    it('should price known assets from USDT pairs', async () => {
+      nock('https://api.binance.com')
+        .get('/api/v3/ticker/price')
+        .query({ symbols: '["BTCUSDT","ETHUSDT"]' })
+        .reply(200, [
+          { symbol: 'BTCUSDT', price: '45000.10' },
+          { symbol: 'ETHUSDT', price: '2800.20' }
+        ]);
+
+      const quotes = await createBinanceProvider().getPrices(['bitcoin', 'ethereum']);
+
+      expect(quotes.bitcoin).toEqual({ name: 'Bitcoin', symbol: 'BTC', prices: { usd: 45000.10 } });
+      expect(quotes.ethereum.prices.usd).toBe(2800.20);
+    });
+
+    it('should quote each requested currency and price a coin in itself as 1', async () => {
+      nock('https://api.binance.com')
+        .get('/api/v3/ticker/price')
+        .query({ symbols: '["BTCEUR"]' })
+        .reply(200, [{ symbol: 'BTCEUR', price: '41000' }]);
+
+      const quote = await createBinanceProvider().getPrice('bitcoin', { currencies: ['eur', 'btc'] });
+
+      expect(quote.prices).toEqual({ eur: 41000, btc: 1 });
+    });
+
+    it('should read change and volume from the 24hr ticker when market data is requested', async () => {
+      nock('https://api.binance.com')
+        .get('/api/v3/ticker/24hr')
+        .query({ symbols: '["ETHUSDT"]' })
+        .reply(200, [{
+          symbol: 'ETHUSDT',
+          lastPrice: '2800.20',
+          priceChangePercent: '-2.10',
+          quoteVolume: '900000000.5',
+          closeTime: 1700000000123
+        }]);
+
+      const quote = await createBinanceProvider().getPrice('ethereum', { market: true });
+
+      expect(quote.prices).toEqual({ usd: 2800.20 });
+      expect(quote.market).toEqual({
+        market_cap: {},
+        volume_24h: { usd: 900000000.5 },
+        change_24h: { usd: -2.10 },
+        last_updated_at: 1700000000
+      });
+    });
+
+    it('should report unlisted coins as not found without calling upstream', async () => {
+      await expect(createBinanceProvider().getPrice('some-obscure-coin')).rejects.toThrow('Cryptocurrency not found');
+    });
+
+    it('should split a batch refused for an untraded pair and leave only that coin out', async () => {
+      const invalidSymbol = { code: -1121, msg: 'Invalid symbol.' };
+      const scope = nock('https://api.binance.com')
+        .get('/api/v3/ticker/price')
+        .query({ symbols: '["BTCGBP","ETHGBP","DOTGBP"]' })
+        .reply(400, invalidSymbol)
+        .get('/api/v3/ticker/price')
+        .query({ symbols: '["BTCGBP","ETHGBP"]' })
+        .reply(200, [
+          { symbol: 'BTCGBP', price: '35000' },
+          { symbol: 'ETHGBP', price: '2200' }
+        ])
+        .get('/api/v3/ticker/price')
+        .query({ symbols: '["DOTGBP"]' })
+        .reply(400, invalidSymbol);
+
+      const quotes = await createBinanceProvider().getPrices(['bitcoin', 'ethereum', 'polkadot'], { currencies: ['gbp'] });
+
+      expect(scope.isDone()).toBe(true);
+      expect(Object.keys(quotes)).toEqual(['bitcoin', 'ethereum']);
+      expect(quotes.bitcoin.prices).toEqual({ gbp: 35000 });
+
+      nock('https://api.binance.com')
+        .get('/api/v3/ticker/price')
+        .query({ symbols: '["DOTGBP"]' })
+        .reply(400, invalidSymbol);
+      await expect(createBinanceProvider().getPrice('polkadot', { currencies: ['gbp'] }))
+        .rejects.toThrow('Cryptocurrency not found');
+    });
+  });
+
+  describe('Kraken adapter', () => {
+    it('should resolve Kraken result keys back to coin IDs', async () => {
+      nock('https://api.kraken.com')
+        .get('/0/public/Ticker')
+        .query({ pair: 'XBTUSD,ADAUSD' })
+        .reply(200, {
+          error: [],
+          result: {
+            XXBTZUSD: { c: ['45000.30', '0.01'] },
+            ADAUSD: { c: ['0.45', '100'] }
+          }
+        });
+
+      const quotes = await createKrakenProvider().getPrices(['bitcoin', 'cardano']);
+
+      expect(quotes.bitcoin.prices.usd).toBe(45000.30);
+      expect(quotes.cardano).toEqual({ name: 'Cardano', symbol: 'ADA', prices: { usd: 0.45 } });
+    });
+
+    it('should match legacy result keys for other fiat currencies', async () => {
+      nock('https://api.kraken.com')
+        .get('/0/public/Ticker')
+        .query({ pair: 'XBTEUR,XBTCHF' })
+        .reply(200, {
+          error: [],
+          result: {
+            XXBTZEUR: { c: ['41000.00', '0.01'] },
+            XBTCHF: { c: ['39000.00', '0.01'] }
+          }
+        });
+
+      const quote = await createKrakenProvider().getPrice('bitcoin', { currencies: ['eur', 'chf'] });
+
+      expect(quote.prices).toEqual({ eur: 41000, chf: 39000 });
+    });
+
+    it('should surface errors reported in the response body', async () => {
+      nock('https://api.kraken.com')
+        .get('/0/public/Ticker')
+        .query(true)
+        .reply(200, { error: ['EGeneral:Temporary lockout'], result: {} });
+
+      await expect(createKrakenProvider().getPrice('bitcoin')).rejects.toThrow('EGeneral:Temporary lockout');
+    });
+
+    it('should split a batch refused for an unknown pair and leave only that coin out', async () => {
+      const scope = nock('https://api.kraken.com')
+        .get('/0/public/Ticker')
+        .query({ pair: 'XBTCHF,XDGCHF' })
+        .reply(200, { error: ['EQuery:Unknown asset pair'] })
+        .get('/0/public/Ticker')
+        .query({ pair: 'XBTCHF' })
+        .reply(200, { error: [], result: { XBTCHF: { c: ['39000.00', '0.01'] } } })
+        .get('/0/public/Ticker')
+        .query({ pair: 'XDGCHF' })
+        .reply(200, { error: ['EQuery:Unknown asset pair'] });
+
+      const quotes = await createKrakenProvider().getPrices(['bitcoin', 'dogecoin'], { currencies: ['chf'] });
+
+      expect(scope.isDone()).toBe(true);
+      expect(quotes).toEqual({ bitcoin: { name: 'Bitcoin', symbol: 'BTC', prices: { chf: 39000 } } });
+    });
+  });
+
+  describe('Failover chain', () => {
+    it('should tag quotes with the provider that served them', async () => {
+      const chain = createProviderChain([
+        fakeProvider('primary', async () => ({ name: 'Bitcoin', symbol: 'BTC', prices: { usd: 1 } }))
+      ]);
+
+      await expect(chain.getPrice('bitcoin')).resolves.toEqual({
+        name: 'Bitcoin', symbol: 'BTC', prices: { usd: 1 }, provider: 'primary'
+      });
+    });
+
+    it('should fail over when the primary provider is rate limited', async () => {
+      const primary = fakeProvider('primary', async () => {
+        throw new Error('Rate limit exceeded. Please try again later.');
+      });
+      const secondary = fakeProvider('secondary', async () => ({ name: 'Bitcoin', symbol: 'BTC', prices: { usd: 2 } }));
+
+      const quote = await createProviderChain([primary, secondary]).getPrice('bitcoin');
+
+      expect(quote.provider).toBe('secondary');
+      expect(primary.getPrice).toHaveBeenCalledTimes(1);
+    });
+
+    it('should prefer a real failure over not found when every provider fails', async () => {
+      const chain = createProviderChain([
+        fakeProvider('primary', async () => { throw new Error('Request timeout'); }),
+        fakeProvider('secondary', async () => { throw new Error('Cryptocurrency not found'); })
+      ]);
+
+      await expect(chain.getPrice('bitcoin')).rejects.toThrow('Request timeout');
+    });
+
+    it('should pass the requested currencies to every provider', async () => {
+      const primary = fakeProvider('primary', async () => { throw new Error('Currency not supported'); });
+      const secondary = fakeProvider('secondary', async () => ({ name: 'Bitcoin', symbol: 'BTC', prices: { eur: 3 } }));
+
+      const quote = await createProviderChain([primary, secondary]).getPrice('bitcoin', { currencies: ['eur'] });
+
+      expect(quote.prices).toEqual({ eur: 3 });
+      expect(primary.getPrice).toHaveBeenCalledWith('bitcoin', { currencies: ['eur'] });
+    });
+
+    it('should only ask the next provider for coins still missing', async () => {
+      const primary = fakeProvider('primary', async (id) => {
+        if (id === 'bitcoin') {
+          return { name: 'Bitcoin', symbol: 'BTC', prices: { usd: 1 } };
+        }
+        throw new Error('Cryptocurrency not found');
+      });
+      const secondary = fakeProvider('secondary', async (id) => ({ name: id, symbol: id.toUpperCase(), prices: { usd: 2 } }));
+
+      const quotes = await createProviderChain([primary, secondary]).getPrices(['bitcoin', 'cardano']);
+
+      expect(quotes.bitcoin.provider).toBe('primary');
+      expect(quotes.cardano.provider).toBe('secondary');
+      expect(secondary.getPrices).toHaveBeenCalledWith(['cardano'], {});
+    });
+
+    it('should build a chain from a comma-separated list', () => {
+      const chain = createProviderChainFromConfig('CoinGecko, coincap,kraken');
+
+      expect(chain.providers).toEqual(['coingecko', 'coincap', 'kraken']);
+    });
+
+    it('should reject unknown provider names', () => {
+      expect(() => createProviderChainFromConfig('coingecko,nowhere')).toThrow('Unknown price provider "nowhere"');
+    });
+  });
+});
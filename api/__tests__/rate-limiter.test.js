@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { createRateLimiter, createMemoryBucketStore, createRedisBucketStore } = require('../rate-limiter');
+
+process.env.RATE_LIMIT_BURST = '3';
+process.env.TRUST_PROXY = 'loopback';
+const app = require('../app');
+
+describe('Rate limiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRateLimiter', () => {
+    it('should allow a burst, then refill at the configured rate', async () => {
+      const limiter = createRateLimiter({ burst: 3, refillPerSecond: 1 });
+
+      const decisions = [];
+      for (let i = 0; i < 4; i++) {
+        decisions.push(await limiter.consume('1.2.3.4'));
+      }
+
+      expect(decisions.map(decision => decision.allowed)).toEqual([true, true, true, false]);
+      expect(decisions[0]).toMatchObject({ limit: 3, remaining: 2, reset: 1 });
+      expect(decisions[3]).toMatchObject({ remaining: 0, retryAfter: 1, reset: 3 });
+
+      now += 1500;
+      expect(await limiter.consume('1.2.3.4')).toMatchObject({ allowed: true, remaining: 0 });
+      expect(await limiter.consume('1.2.3.4')).toMatchObject({ allowed: false, retryAfter: 1 });
+      expect(await limiter.consume('5.6.7.8')).toMatchObject({ allowed: true, remaining: 2 });
+    });
+
+    it('should sweep only buckets that have refilled completely', async () => {
+      const limiter = createRateLimiter({ burst: 2, refillPerSecond: 1 });
+
+      await limiter.consume('idle');
+      now += 500;
+      await limiter.consume('busy');
+      await limiter.consume('busy');
+      now += 600;
+      await limiter.sweep();
+
+      expect(await limiter.size()).toBe(1);
+      expect(await limiter.consume('busy')).toMatchObject({ allowed: false, remaining: 0 });
+    });
+  });
+
+  describe('bucket stores', () => {
+    it('should take tokens in memory without keeping state in the limiter', async () => {
+      const store = createMemoryBucketStore();
+      const options = { burst: 1, refillPerMs: 0.001, now };
+
+      expect(await store.peek('a', options)).toEqual({ tokens: 1 });
+      expect(await store.take('a', options)).toEqual({ allowed: true, tokens: 0 });
+      expect(await store.take('a', options)).toEqual({ allowed: false, tokens: 0 });
+      expect(await store.peek('a', { ...options, now: now + 500 })).toEqual({ tokens: 0.5 });
+    });
+
+    it('should read Redis buckets for peek without changing them', async () => {
+      const client = { command: jest.fn(async () => ['0.5', String(now - 1000)]) };
+      const store = createRedisBucketStore({ client });
+
+      expect(await store.peek('1.2.3.4', { burst: 50, refillPerMs: 0.001, now })).toEqual({ tokens: 1.5 });
+      expect(client.command).toHaveBeenCalledWith('HMGET', 'crypto-api-ratelimit:1.2.3.4', 'tokens', 'updated_at');
+    });
+
+    it('should update Redis buckets in one script that expires them once full', async () => {
+      const client = { command: jest.fn(async () => [0, '0.25']) };
+      const store = createRedisBucketStore({ client });
+
+      const result = await store.take('1.2.3.4', { burst: 50, refillPerMs: 0.001, now });
+
+      expect(result).toEqual({ allowed: false, tokens: 0.25 });
+      const [command, script, keyCount, key, ...args] = client.command.mock.calls[0];
+      expect(command).toBe('EVAL');
+      expect(script).toContain("redis.call('PEXPIRE'");
+      expect([keyCount, key]).toEqual([1, 'crypto-api-ratelimit:1.2.3.4']);
+      expect(args).toEqual([50, 0.001, now, 50000]);
+    });
+  });
+
+  describe('API', () => {
+    it('should send rate limit headers and refuse requests past the burst', async () => {
+      const responses = [];
+      for (let i = 0; i < 4; i++) {
+        responses.push(await request(app).get('/search?q=btc').set('X-Forwarded-For', '203.0.113.7'));
+      }
+
+      expect(responses.map(response => response.status)).toEqual([200, 200, 200, 429]);
+      expect(responses[0].headers['ratelimit-limit']).toBe('3');
+      expect(responses[0].headers['ratelimit-remaining']).toBe('2');
+      expect(responses[0].headers['retry-after']).toBeUndefined();
+      expect(responses[3].headers['ratelimit-remaining']).toBe('0');
+      expect(Number(responses[3].headers['retry-after'])).toBeGreaterThan(0);
+      expect(responses[3].body).toHaveProperty('error', 'Rate limit exceeded');
+    });
+
+    it('should count each forwarded client separately behind a trusted proxy', async () => {
+      const response = await request(app).get('/search?q=btc').set('X-Forwarded-For', '198.51.100.1').expect(200);
+
+      expect(response.headers['ratelimit-remaining']).toBe('2');
+    });
+
+    it('should report the bucket on /health and other unlimited endpoints without taking from it', async () => {
+      const client = '192.0.2.44';
+      const first = await request(app).get('/health').set('X-Forwarded-For', client).expect(200);
+      const second = await request(app).get('/metrics').set('X-Forwarded-For', client).expect(200);
+      await request(app).get('/search?q=btc').set('X-Forwarded-For', client).expect(200);
+      const afterSearch = await request(app).get('/health').set('X-Forwarded-For', client).expect(200);
+
+      expect(first.headers['ratelimit-limit']).toBe('3');
+      expect(first.headers['ratelimit-remaining']).toBe('3');
+      expect(second.headers['ratelimit-remaining']).toBe('3');
+      expect(afterSearch.headers['ratelimit-remaining']).toBe('2');
+    });
+
+    it('should send the headers on requests refused by parameter validation', async () => {
+      const response = await request(app).get('/search?q=btc&limit=many').set('X-Forwarded-For', '192.0.2.45').expect(400);
+
+      expect(response.headers['ratelimit-remaining']).toBe('3');
+    });
+  });
+});
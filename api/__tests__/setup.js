@@ -0,0 +1,12 @@
+// Tests answer upstream calls with nock and make far more of them than the real
+// budgets allow, and a mocked 429 must not pause a provider for later tests
+process.env.UPSTREAM_BUDGETS = process.env.UPSTREAM_BUDGETS || 'coingecko=0,coincap=0,binance=0,kraken=0';
+process.env.UPSTREAM_PAUSE = process.env.UPSTREAM_PAUSE || '0';
+// Mocked timeouts and 5xx answers are one-off: a retry would find no mock, and
+// failures piling up across tests would open the breakers
+process.env.UPSTREAM_RETRIES = process.env.UPSTREAM_RETRIES || '0';
+process.env.UPSTREAM_BREAKER_THRESHOLD = process.env.UPSTREAM_BREAKER_THRESHOLD || '0';
+// Quiet test output; set LOG_LEVEL=debug to see what a failing test logged
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+// A response that does not match /openapi.json fails the test that made it with a 500
+process.env.OPENAPI_RESPONSE_VALIDATION = process.env.OPENAPI_RESPONSE_VALIDATION || 'error';
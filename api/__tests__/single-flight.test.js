@@ -0,0 +1,120 @@
+const request = require('supertest');
+const nock = require('nock');
+const app = require('../app');
+const { createSingleFlight } = require('../single-flight');
+
+describe('Single-flight coalescing', () => {
+  describe('createSingleFlight', () => {
+    it('should share one promise between concurrent callers of a key', async () => {
+      const flights = createSingleFlight();
+      const fetch = jest.fn(async () => 42);
+
+      const results = await Promise.all([
+        flights.run('bitcoin', fetch),
+        flights.run('bitcoin', fetch),
+        flights.run('ethereum', fetch)
+      ]);
+
+      expect(results).toEqual([42, 42, 42]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(flights.coalesced).toBe(1);
+      expect(flights.size).toBe(0);
+    });
+
+    it('should release keys after a failure', async () => {
+      const flights = createSingleFlight();
+
+      await expect(flights.run('bitcoin', async () => {
+        throw new Error('Request timeout');
+      })).rejects.toThrow('Request timeout');
+
+      await expect(flights.run('bitcoin', async () => 1)).resolves.toBe(1);
+    });
+
+    it('should join keys in flight and batch the rest', async () => {
+      const flights = createSingleFlight();
+      const fetchBatch = jest.fn(async keys => Object.fromEntries(keys.map(key => [key, key.toUpperCase()])));
+
+      const first = flights.runBatch(['a', 'b'], fetchBatch);
+      const second = flights.runBatch(['b', 'c'], fetchBatch);
+
+      expect(await Promise.all([...first, ...second])).toEqual(['A', 'B', 'B', 'C']);
+      expect(fetchBatch.mock.calls).toEqual([[['a', 'b']], [['c']]]);
+      expect(flights.coalesced).toBe(1);
+    });
+  });
+
+  describe('API', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should make one upstream call for concurrent misses of the same coin', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'polkadot')
+        .delay(50)
+        .reply(200, { polkadot: { usd: 7.1 } })
+        .get('/api/v3/coins/markets')
+        .query(true)
+        .reply(200, [{ id: 'polkadot', name: 'Polkadot', symbol: 'dot' }]);
+
+      const responses = await Promise.all([1, 2, 3, 4].map(() => request(app).get('/price/polkadot')));
+
+      responses.forEach(response => {
+        expect(response.status).toBe(200);
+        expect(response.body.price).toBe(7.1);
+      });
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body.upstream).toEqual({ in_flight: 0, coalesced_requests: 3 });
+    });
+
+    it('should share coins between overlapping /prices requests', async () => {
+      const scope = nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'litecoin,stellar')
+        .delay(50)
+        .reply(200, { litecoin: { usd: 70 }, stellar: { usd: 0.12 } })
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'dogecoin')
+        .reply(200, { dogecoin: { usd: 0.08 } })
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'litecoin,stellar')
+        .reply(200, [{ id: 'litecoin', name: 'Litecoin', symbol: 'ltc' }, { id: 'stellar', name: 'Stellar', symbol: 'xlm' }])
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'dogecoin')
+        .reply(200, [{ id: 'dogecoin', name: 'Dogecoin', symbol: 'doge' }]);
+
+      const first = request(app).get('/prices/litecoin,stellar');
+      const second = new Promise(resolve => setTimeout(resolve, 10))
+        .then(() => request(app).get('/prices/stellar,dogecoin'));
+
+      const [a, b] = await Promise.all([first, second]);
+
+      expect(a.body.stellar.price).toBe(0.12);
+      expect(b.body.stellar.price).toBe(0.12);
+      expect(b.body.dogecoin.price).toBe(0.08);
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should answer 404 when the shared batch did not include the coin', async () => {
+      nock('https://api.coingecko.com')
+        .get('/api/v3/simple/price')
+        .query(query => query.ids === 'vechain,not-a-coin')
+        .delay(50)
+        .reply(200, { vechain: { usd: 0.03 } })
+        .get('/api/v3/coins/markets')
+        .query(query => query.ids === 'vechain')
+        .reply(200, [{ id: 'vechain', name: 'VeChain', symbol: 'vet' }]);
+
+      const batch = request(app).get('/prices/vechain,not-a-coin');
+      const single = new Promise(resolve => setTimeout(resolve, 10))
+        .then(() => request(app).get('/price/not-a-coin'));
+
+      const [, response] = await Promise.all([batch, single]);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { createUpstreamScheduler, retryAfterMs } = require('../upstream-scheduler');
+
+function upstream429(headers = {}) {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers };
+  return error;
+}
+
+describe('Upstream scheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should hold calls over the per-minute budget until the window frees up', async () => {
+    const scheduler = createUpstreamScheduler({ budgets: { coingecko: 2 }, maxWaitMs: { interactive: 120 * 1000 } });
+    const calls = [];
+    const results = [1, 2, 3].map(n => scheduler.schedule('coingecko', async () => {
+      calls.push(n);
+      return n;
+    }));
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(calls).toEqual([1, 2]);
+    expect(scheduler.status.coingecko).toMatchObject({
+      budget_per_minute: 2,
+      calls_last_minute: 2,
+      queued: { interactive: 1, background: 0 }
+    });
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(calls).toEqual([1, 2, 3]);
+    await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+  });
+
+  it('should keep budgets per provider and treat a budget of 0 as none', async () => {
+    const scheduler = createUpstreamScheduler({ budgets: { coingecko: 1, kraken: 0 } });
+    let krakenCalls = 0;
+
+    await scheduler.schedule('coingecko', async () => 'ok');
+    await Promise.all(Array.from({ length: 100 }, () => scheduler.schedule('kraken', async () => krakenCalls++)));
+
+    expect(krakenCalls).toBe(100);
+  });
+
+  it('should run user-facing calls ahead of background ones and keep a reserve for them', async () => {
+    const scheduler = createUpstreamScheduler({ budgets: { coingecko: 5 }, reserve: 0.2, maxWaitMs: { interactive: 120 * 1000 } });
+    const order = [];
+    const track = name => () => {
+      order.push(name);
+      return Promise.resolve(name);
+    };
+
+    for (let i = 0; i < 5; i++) {
+      scheduler.schedule('coingecko', track(`background ${i}`), { priority: 'background' });
+    }
+    await jest.advanceTimersByTimeAsync(0);
+    // The fifth call of the minute is kept for a client
+    expect(order).toHaveLength(4);
+
+    scheduler.schedule('coingecko', track('interactive 0'));
+    scheduler.schedule('coingecko', track('interactive 1'));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(order[4]).toBe('interactive 0');
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(order.slice(5)).toEqual(['interactive 1', 'background 4']);
+  });
+
+  it('should pause a provider for its Retry-After and then retry the call', async () => {
+    const scheduler = createUpstreamScheduler();
+    const fn = jest.fn()
+      .mockRejectedValueOnce(upstream429({ 'retry-after': '3' }))
+      .mockResolvedValue('prices');
+
+    const result = scheduler.schedule('coingecko', fn);
+    const other = jest.fn().mockResolvedValue('other');
+    await jest.advanceTimersByTimeAsync(0);
+    scheduler.schedule('coingecko', other);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(other).not.toHaveBeenCalled();
+    expect(scheduler.status.coingecko.paused_until).not.toBeNull();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(result).resolves.toBe('prices');
+    expect(other).toHaveBeenCalled();
+    expect(scheduler.status.coingecko).toMatchObject({ paused_until: null, pauses: 1 });
+  });
+
+  it('should fail calls at once that cannot wait out a pause', async () => {
+    const scheduler = createUpstreamScheduler({ pauseMs: 60 * 1000 });
+
+    const first = scheduler.schedule('coingecko', () => Promise.reject(upstream429()));
+    await expect(first).rejects.toMatchObject({ response: { status: 429 } });
+
+    const during = jest.fn();
+    await expect(scheduler.schedule('coingecko', during)).rejects.toThrow('Rate limit exceeded. Please try again later.');
+    expect(during).not.toHaveBeenCalled();
+
+    // Background calls may wait longer, so they sit out the pause
+    const background = scheduler.schedule('coingecko', async () => 'refreshed', { priority: 'background' });
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    await expect(background).resolves.toBe('refreshed');
+  });
+
+  it('should fail a queued call when its wait limit runs out', async () => {
+    const scheduler = createUpstreamScheduler({ budgets: { coingecko: 1 }, maxWaitMs: { interactive: 5000 } });
+
+    await scheduler.schedule('coingecko', async () => 'first');
+    const queued = scheduler.schedule('coingecko', async () => 'second');
+    const assertion = expect(queued).rejects.toThrow('Rate limit exceeded');
+
+    await jest.advanceTimersByTimeAsync(5000);
+    await assertion;
+  });
+
+  it('should read Retry-After as seconds or as an HTTP date', () => {
+    const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    expect(retryAfterMs({ 'retry-after': '30' }, now)).toBe(30000);
+    expect(retryAfterMs({ 'retry-after': 'Mon, 01 Jan 2024 12:01:00 GMT' }, now)).toBe(60000);
+    expect(retryAfterMs({}, now)).toBeNull();
+    expect(retryAfterMs({ 'retry-after': 'soon' }, now)).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+const { createMemoryUsageStore, createRedisUsageStore, monthOf, nextMonthStart } = require('../usage-store');
+const { startRedisStandIn } = require('./helpers/redis-stand-in');
+
+describe('Usage stores', () => {
+  it('should name months in UTC and find where the next one starts', () => {
+    expect(monthOf(Date.UTC(2024, 0, 31, 23, 59))).toBe('2024-01');
+    expect(nextMonthStart('2024-01')).toBe(Date.UTC(2024, 1, 1));
+    expect(nextMonthStart('2024-12')).toBe(Date.UTC(2025, 0, 1));
+  });
+
+  it('should count requests per subject, month and endpoint in memory', async () => {
+    const store = createMemoryUsageStore();
+
+    await store.increment('key:wp', '2024-01', 'price');
+    expect(await store.increment('key:wp', '2024-01', 'prices')).toBe(2);
+    await store.increment('key:wp', '2024-02', 'price');
+
+    expect(await store.get('key:wp', '2024-01')).toEqual({ total: 2, endpoints: { price: 1, prices: 1 } });
+    expect(await store.get('anonymous', '2024-01')).toEqual({ total: 0, endpoints: {} });
+
+    await store.decrement('key:wp', '2024-01', 'prices');
+    expect(await store.get('key:wp', '2024-01')).toEqual({ total: 1, endpoints: { price: 1 } });
+  });
+
+  describe('Redis', () => {
+    let standIn;
+    let store;
+
+    beforeAll(async () => {
+      standIn = await startRedisStandIn();
+      store = createRedisUsageStore({ url: standIn.url });
+    });
+
+    afterAll(async () => {
+      store.close();
+      await standIn.stop();
+    });
+
+    it('should keep one expiring hash per subject and month', async () => {
+      await store.increment('key:wp', '2024-01', 'price');
+      expect(await store.increment('key:wp', '2024-01', 'history')).toBe(2);
+
+      expect(await store.get('key:wp', '2024-01')).toEqual({ total: 2, endpoints: { price: 1, history: 1 } });
+      expect(await store.get('key:wp', '2023-12')).toEqual({ total: 0, endpoints: {} });
+      expect(standIn.data.get('crypto-api-usage:key:wp:2024-01').expiresAt).toBeGreaterThan(Date.now());
+
+      await store.decrement('key:wp', '2024-01', 'history');
+      expect(await store.get('key:wp', '2024-01')).toEqual({ total: 1, endpoints: { price: 1 } });
+    });
+  });
+});
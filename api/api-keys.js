@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// API keys
+//
+// Keys are read once at startup from a JSON file (API_KEYS_FILE):
+//   {
+//     "tiers": { "partner": { "burst": 300, "refill_per_second": 5 } },
+//     "keys": [
+//       { "name": "wordpress-prod", "key": "...", "tier": "pro",
+//         "endpoints": ["price", "prices"], "monthly_quota": 500000 },
+//       { "name": "ops", "key_sha256": "<hex digest>", "admin": true }
+//     ]
+//   }
+// A key is given in plain text or as its SHA-256 digest, so the file need not
+// hold secrets. `name` identifies the key in usage reports and is the only
+// part of it ever sent back. Without `tier` a key gets "basic"; without
+// `endpoints` it may call every endpoint; without `monthly_quota` it has none.
+// Tiers in the file are added to, or replace, DEFAULT_TIERS.
+//
+// lookup(key) resolves a presented key to its record, or null.
+
+const DEFAULT_TIERS = {
+    basic: { burst: 100, refillPerSecond: 100 / 60 }, // 100 requests a minute
+    pro: { burst: 1000, refillPerSecond: 1000 / 60 } // 1000 requests a minute
+};
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function parseTier(name, spec) {
+    const burst = Number(spec && spec.burst);
+    const refillPerSecond = Number(spec && spec.refill_per_second);
+    if (!(burst >= 1) || !(refillPerSecond > 0)) {
+        throw new Error(`API key tier "${name}" needs a burst of at least 1 and a positive refill_per_second`);
+    }
+    return { burst, refillPerSecond };
+}
+
+function parseKey(entry, tiers, endpoints) {
+    const name = entry && entry.name;
+    if (typeof name !== 'string' || !name) {
+        throw new Error('Every API key needs a name');
+    }
+
+    let hash;
+    if (typeof entry.key === 'string' && entry.key) {
+        hash = hashKey(entry.key);
+    } else if (typeof entry.key_sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.key_sha256)) {
+        hash = entry.key_sha256.toLowerCase();
+    } else {
+        throw new Error(`API key "${name}" needs a key or a key_sha256 digest`);
+    }
+
+    const tier = entry.tier || 'basic';
+    if (!tiers[tier]) {
+        throw new Error(`API key "${name}" has unknown tier "${tier}". Available: ${Object.keys(tiers).join(', ')}`);
+    }
+
+    let allowed = null;
+    if (entry.endpoints !== undefined) {
+        if (!Array.isArray(entry.endpoints) || !entry.endpoints.every(endpoint => endpoints.includes(endpoint))) {
+            throw new Error(`API key "${name}" has invalid endpoints. Available: ${endpoints.join(', ')}`);
+        }
+        allowed = [...entry.endpoints];
+    }
+
+    let monthlyQuota = null;
+    if (entry.monthly_quota !== undefined && entry.monthly_quota !== null) {
+        monthlyQuota = Number(entry.monthly_quota);
+        if (!Number.isInteger(monthlyQuota) || monthlyQuota < 0) {
+            throw new Error(`API key "${name}" needs a whole number monthly_quota`);
+        }
+    }
+
+    return { name, hash, tier, endpoints: allowed, monthlyQuota, admin: entry.admin === true };
+}
+
+// config: { tiers, keys } as in the file; endpoints: the names keys may be limited to
+function createApiKeyStore(config = {}, endpoints = []) {
+    const tiers = { ...DEFAULT_TIERS };
+    Object.entries(config.tiers || {}).forEach(([name, spec]) => {
+        tiers[name] = parseTier(name, spec);
+    });
+
+    const byHash = new Map();
+    const names = new Set();
+    (config.keys || []).forEach(entry => {
+        const record = parseKey(entry, tiers, endpoints);
+        if (names.has(record.name) || byHash.has(record.hash)) {
+            throw new Error(`API key "${record.name}" is listed twice`);
+        }
+        names.add(record.name);
+        byHash.set(record.hash, record);
+    });
+
+    return {
+        tiers,
+        lookup(key) {
+            return key ? byHash.get(hashKey(key)) || null : null;
+        },
+        list() {
+            return [...byHash.values()];
+        },
+        get size() {
+            return byHash.size;
+        }
+    };
+}
+
+// Read the key store from filePath; no file configured means no keys
+function loadApiKeyStore(filePath, endpoints) {
+    if (!filePath) {
+        return createApiKeyStore({}, endpoints);
+    }
+    return createApiKeyStore(JSON.parse(fs.readFileSync(filePath, 'utf8')), endpoints);
+}
+
+module.exports = {
+    DEFAULT_TIERS,
+    hashKey,
+    createApiKeyStore,
+    loadApiKeyStore
+};
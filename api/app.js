@@ -1,17 +1,332 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
 const express = require('express');
-const axios = require('axios');
+const { loadConfig, redactConfig } = require('./config');
+const { createProviderChainFromConfig, DEFAULT_CURRENCIES, KNOWN_ASSETS } = require('./providers');
+const { createPriceHub } = require('./price-stream');
+const { createPriceSocketServer } = require('./price-socket');
+const { createCacheStore } = require('./cache-store');
+const { createSingleFlight } = require('./single-flight');
+const { createPopularRefresher } = require('./popular-refresher');
+const { createCoinRegistry } = require('./coin-registry');
+const decimal = require('./decimal');
+const { createRateLimiter, createBucketStore } = require('./rate-limiter');
+const { loadApiKeyStore } = require('./api-keys');
+const { createUsageStore, monthOf, nextMonthStart } = require('./usage-store');
+const { createUpstreamScheduler } = require('./upstream-scheduler');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { isTransientError } = require('./retry');
+const { createMetricsRegistry } = require('./metrics');
+const { createLogger, runWithRequestId, requestIdFrom } = require('./logger');
+const { buildOpenApiSpec, createOpenApiValidator, summarizeOperations, renderDocsPage } = require('./openapi');
+const {
+    ApiError,
+    ValidationError,
+    UnsupportedCurrencyError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    RateLimitError,
+    QuotaExceededError,
+    UpstreamTimeoutError,
+    UpstreamRateLimitedError,
+    ServiceUnavailableError,
+    problemDetails,
+    problemHeaders,
+    sendProblem
+} = require('./errors');
+const { version } = require('./package.json');
+
+// Settings from defaults, CONFIG_FILE and the environment (config.js). Outside
+// of tests a bad setting ends startup with the list of problems.
+let loadedConfig;
+try {
+    loadedConfig = loadConfig();
+} catch (error) {
+    if (require.main !== module) {
+        throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
+}
+const config = loadedConfig.values;
+
+// One JSON line per message (LOG_FORMAT=text for terminals) at LOG_LEVEL and above.
+// Lines logged while handling a request carry its X-Request-Id as request_id.
+const logger = createLogger({ level: config.logging.level, format: config.logging.format });
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// Bounded LRU cache; CACHE_STORE=redis shares it between replicas
+const cacheStore = createCacheStore({
+    backend: config.cache.store,
+    maxEntries: config.cache.max_entries,
+    redisUrl: config.redis.url,
+    redisKeyPrefix: config.redis.key_prefix
+});
+
+// Cache lifetimes per data type; history lifetimes depend on the range (HISTORY_CACHE_DURATIONS).
+// Past its TTL an entry is served stale for as long again while a background refresh replaces it.
+const CACHE_TTLS = {
+    price: config.cache.price_ttl,
+    metadata: config.cache.metadata_ttl
+};
+// After that the store keeps it this much longer as the last known data, answered
+// (flagged stale) only when the upstream providers fail
+const LAST_KNOWN_RETENTION = config.cache.last_known_retention;
+const revalidating = new Set();
+
+// Concurrent misses for the same cache key share one upstream fetch
+const upstreamFlights = createSingleFlight();
+
+// Prometheus metrics, served at /metrics. Numbers other modules already keep are
+// read when scraped.
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter('crypto_api_http_requests_total',
+    'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('crypto_api_http_request_duration_seconds',
+    'HTTP request latency by method, route and status', ['method', 'route', 'status']);
+const httpInFlight = metrics.gauge('crypto_api_http_requests_in_flight', 'HTTP requests being handled');
+const cacheHits = metrics.counter('crypto_api_cache_hits_total',
+    'Cache lookups answered from cache, by kind of data and state (fresh or stale)', ['kind', 'state']);
+const cacheMisses = metrics.counter('crypto_api_cache_misses_total',
+    'Cache lookups that found nothing usable, by kind of data', ['kind']);
+const cacheLastKnown = metrics.counter('crypto_api_cache_last_known_total',
+    'Responses answered with last known data because the upstream providers failed', ['kind']);
+const upstreamCalls = metrics.counter('crypto_api_upstream_requests_total',
+    'Upstream calls by provider and outcome; short_circuited calls were held back by an open breaker', ['provider', 'outcome']);
+const upstreamDuration = metrics.histogram('crypto_api_upstream_request_duration_seconds',
+    'Upstream call latency by provider', ['provider']);
+const rateLimitRejections = metrics.counter('crypto_api_rate_limit_rejections_total',
+    'Requests refused with 429, by reason (rate_limit or quota) and client (anonymous or api_key)', ['reason', 'client']);
+metrics.gauge('crypto_api_upstream_in_flight', 'Upstream fetches in flight', [], {
+    collect: () => upstreamFlights.size
+});
+metrics.counter('crypto_api_upstream_coalesced_total', 'Requests that joined an upstream fetch already in flight', [], {
+    collect: () => upstreamFlights.coalesced
+});
+
+// Endpoints an API key can be limited to
+const API_ENDPOINTS = ['price', 'prices', 'convert', 'history', 'search', 'stream'];
+
+// API keys (API_KEYS_FILE) with rate tiers, allowed endpoints and monthly quotas.
+// USAGE_STORE=redis counts usage across replicas, in the Redis at REDIS_STATE_URL.
+const apiKeys = loadApiKeyStore(config.api_keys.file, API_ENDPOINTS);
+const usageStore = createUsageStore({
+    backend: config.usage.store,
+    redisUrl: config.redis.state_url,
+    redisKeyPrefix: config.redis.key_prefix
+});
+
+// Rate limiting: token buckets, per client IP for callers without an API key
+// (RATE_LIMIT_BURST requests, refilled at RATE_LIMIT_REFILL per second, default
+// 50 a minute) and per key at its tier's rates. RATE_LIMIT_STORE=redis shares the
+// buckets between replicas, in the Redis at REDIS_STATE_URL.
+const bucketStore = createBucketStore({
+    backend: config.rate_limit.store,
+    redisUrl: config.redis.state_url,
+    redisKeyPrefix: config.redis.key_prefix
+});
+const rateLimiter = createRateLimiter({
+    burst: config.rate_limit.burst,
+    refillPerSecond: config.rate_limit.refill_per_second,
+    store: bucketStore,
+    logger: logger.child({ component: 'rate_limit' })
+});
+const tierLimiters = {};
+Object.entries(apiKeys.tiers).forEach(([tier, rates]) => {
+    tierLimiters[tier] = createRateLimiter({ ...rates, store: bucketStore, logger: logger.child({ component: 'rate_limit', tier }) });
+});
+// Started and stopped together, so idle buckets of every tier are swept
+const rateLimiters = [rateLimiter, ...Object.values(tierLimiters)];
+
+// Outbound calls stay within a per-provider budget (UPSTREAM_BUDGETS=coingecko=30,...
+// calls per minute, 0 for none), clients' requests ahead of background refreshes.
+// A provider answering 429 is paused for its Retry-After, or UPSTREAM_PAUSE ms.
+const upstreamScheduler = createUpstreamScheduler({
+    budgets: config.upstream.budgets,
+    pauseMs: config.upstream.pause,
+    logger: logger.child({ component: 'upstream' })
+});
+
+// Upstream GETs are retried UPSTREAM_RETRIES times (default 2) after timeouts and 5xx
+// answers. UPSTREAM_BREAKER_THRESHOLD such failures in a row (default 5, 0 for no
+// breakers) open a provider's circuit breaker for UPSTREAM_BREAKER_RESET ms.
+const upstreamBreaker = createCircuitBreaker({
+    failureThreshold: config.upstream.breaker_threshold,
+    resetTimeoutMs: config.upstream.breaker_reset,
+    isFailure: isTransientError,
+    logger: logger.child({ component: 'upstream' })
+});
+
+// Upstream price providers, tried in order (e.g. PRICE_PROVIDERS=coingecko,coincap,binance,kraken)
+const priceProviders = createProviderChainFromConfig(config.providers.chain, {
+    baseUrls: config.providers.base_urls,
+    timeouts: {
+        quote: config.upstream.timeout,
+        bulk: config.upstream.bulk_timeout,
+        coinList: config.upstream.coin_list_timeout
+    },
+    scheduler: upstreamScheduler,
+    breaker: upstreamBreaker,
+    retry: { retries: config.upstream.retries },
+    onUpstreamCall: (provider, outcome, seconds) => {
+        upstreamCalls.inc({ provider, outcome });
+        if (outcome !== 'short_circuited') {
+            upstreamDuration.observe({ provider }, seconds);
+        }
+    },
+    infoCache: {
+        get: async id => {
+            const known = coinRegistry.info(id);
+            if (known) {
+                return known;
+            }
+            const entry = await getCachedData(`meta:${id}`);
+            return entry ? entry.data : null;
+        },
+        set: (id, info) => setCachedData(`meta:${id}`, info, CACHE_TTLS.metadata)
+    },
+    logger: logger.child({ component: 'providers' })
+});
+
+// Coin list for names and symbol lookups (/price/btc), kept on disk between restarts.
+// The well-known coins win ties between symbols several coins share, as does
+// COIN_SYMBOL_OVERRIDES=usdc=usd-coin,...
+const coinRegistry = createCoinRegistry({
+    listCoins: () => priceProviders.listCoins(),
+    filePath: config.coin_registry.file,
+    preferred: {
+        ...Object.fromEntries(Object.entries(KNOWN_ASSETS).map(([id, asset]) => [asset.symbol, id])),
+        ...config.coin_registry.symbol_overrides
+    },
+    logger: logger.child({ component: 'coin_registry' })
+});
+
+// Coin search (/search?q=) and "did you mean" suggestions on 404s
+const SEARCH_MAX_QUERY_LENGTH = 50;
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_SUGGESTIONS = 5;
+const SEARCH_SUGGESTION_MIN_SCORE = 0.4;
+
+// Coin IDs and symbols in URLs: letters, digits, ".", "_" and "-", starting with a
+// letter or digit. /prices/:ids takes up to PRICES_MAX_BATCH_SIZE distinct ones.
+const COIN_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,99}$/;
+const PRICES_MAX_BATCH_SIZE = config.prices.max_batch_size;
+
+// Quote currencies accepted via ?vs= (fiat codes such as eur, or coin symbols such as btc)
+const MAX_CURRENCIES = 10;
+const CURRENCY_PATTERN = /^[a-z]{2,10}$/;
+
+// Conversions (/convert): these codes are fiat, any other leg is a coin ID or symbol.
+// Coin-to-coin rates go through CONVERT_PIVOT_CURRENCY, fiat-to-fiat through CONVERT_PIVOT_COIN.
+const FIAT_CURRENCIES = [
+    'usd', 'eur', 'gbp', 'jpy', 'chf', 'cad', 'aud', 'nzd', 'cny', 'hkd', 'sgd', 'krw', 'inr',
+    'brl', 'mxn', 'zar', 'try', 'rub', 'pln', 'sek', 'nok', 'dkk', 'czk', 'huf', 'ils', 'aed'
+];
+const CONVERT_PIVOT_CURRENCY = 'usd';
+const CONVERT_PIVOT_COIN = 'bitcoin';
+const CONVERT_SCALE = 18; // decimal places kept in rates and results
+const CONVERT_MAX_AMOUNT_LENGTH = 40;
+
+// Historical ranges (?days=) with cache durations: short ranges move faster
+const HISTORY_CACHE_DURATIONS = {
+    1: 5 * 60 * 1000, // 5 minutes
+    7: 30 * 60 * 1000, // 30 minutes
+    30: 60 * 60 * 1000, // 1 hour
+    365: 6 * 60 * 60 * 1000 // 6 hours
+};
+
+// History intervals (?interval=); "auto" keeps the upstream granularity
+const HISTORY_INTERVALS = {
+    auto: null,
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+// Optional market data fields accepted via ?include= (or include=all)
+const MARKET_FIELDS = ['market_cap', 'volume', 'change', 'last_updated'];
+
+// Background refresh of the most requested coins (REFRESH_INTERVAL=0 disables it)
+const REFRESH_INTERVAL = config.refresh.interval;
+const REFRESH_BUDGET = config.refresh.budget; // upstream calls per cycle
+
+// Server-Sent Events price stream
+const STREAM_REFRESH_INTERVAL = config.stream.refresh_interval;
+const STREAM_HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds
+const STREAM_MAX_IDS = 50;
+const STREAM_MAX_WATCHED_IDS = config.stream.max_watched_ids;
+const STREAM_BATCH_SIZE = config.stream.batch_size;
+const WS_MAX_CONNECTIONS = config.stream.max_socket_connections;
+
+// OpenAPI document for every route, served at /openapi.json and /docs; requests
+// are checked against it before their route runs (see the validator below)
+const openApiSpec = buildOpenApiSpec({
+    version,
+    endpoints: API_ENDPOINTS,
+    marketFields: MARKET_FIELDS,
+    maxCurrencies: MAX_CURRENCIES,
+    fiatCurrencies: FIAT_CURRENCIES,
+    convertMaxAmountLength: CONVERT_MAX_AMOUNT_LENGTH,
+    historyDays: Object.keys(HISTORY_CACHE_DURATIONS).map(Number),
+    historyIntervals: Object.keys(HISTORY_INTERVALS),
+    searchMaxQueryLength: SEARCH_MAX_QUERY_LENGTH,
+    searchDefaultLimit: SEARCH_DEFAULT_LIMIT,
+    searchMaxLimit: SEARCH_MAX_LIMIT,
+    streamMaxIds: STREAM_MAX_IDS,
+    pricesMaxBatchSize: PRICES_MAX_BATCH_SIZE,
+    // Upper case too: IDs and symbols are lowercased after validation
+    coinIdPattern: COIN_ID_PATTERN.source.replace(/a-z/g, 'A-Za-z')
+});
+
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address from X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(config.server.trust_proxy));
+
+// Middleware to give every request an ID: the caller's X-Request-Id, or a new one.
+// It is echoed back, logged with every line and sent with upstream calls.
+app.use((req, res, next) => {
+    req.id = requestIdFrom(req.get('X-Request-Id'));
+    res.set('X-Request-Id', req.id);
+    runWithRequestId(req.id, next);
+});
 
-// Enhanced cache with longer duration
-const cache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
+// Middleware to count, time and log requests per route pattern, so /price/bitcoin
+// and /price/ethereum share a series; requests no route matched are "unmatched"
+app.use((req, res, next) => {
+    const started = performance.now();
+    httpInFlight.inc();
 
-// Rate limiting
-const rateLimiter = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const MAX_REQUESTS_PER_MINUTE = 50; // Conservative limit
+    let done = false;
+    const record = () => {
+        if (done) {
+            return;
+        }
+        done = true;
+        httpInFlight.dec();
+        const labels = {
+            method: req.method,
+            route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+            status: String(res.statusCode)
+        };
+        const seconds = (performance.now() - started) / 1000;
+        httpRequests.inc(labels);
+        httpDuration.observe(labels, seconds);
+        logger.info('Request completed', {
+            request_id: req.id,
+            method: req.method,
+            path: req.path,
+            route: labels.route,
+            status: res.statusCode,
+            duration_ms: Math.round(seconds * 1000)
+        });
+    };
+    // Streams end with "close" rather than "finish" when the client leaves
+    res.once('finish', record);
+    res.once('close', record);
+    next();
+});
 
 // Middleware for JSON
 app.use(express.json());
@@ -20,7 +335,8 @@ app.use(express.json());
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Request-Id, If-None-Match, If-Modified-Since');
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id, ETag, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
 
     if (req.method === 'OPTIONS') {
         res.sendStatus(200);
@@ -29,330 +345,1206 @@ app.use((req, res, next) => {
     }
 });
 
-// Rate limiting check
-function checkRateLimit(ip) {
-    const now = Date.now();
-    const windowStart = now - RATE_LIMIT_WINDOW;
+// Middleware to send the caller's RateLimit-* headers on every response. Only data
+// endpoints take a token (checkAccess), and they replace these headers with the
+// bucket's state after taking it.
+app.use(async (req, res, next) => {
+    const { limiter, subject } = bucketFor(req);
+    try {
+        res.set(rateLimitHeaders(await limiter.peek(subject)));
+    } catch (error) {
+        logger.error('Rate limiter unavailable', { error: error.message });
+    }
+    next();
+});
+
+// Middleware to check path and query parameters against the OpenAPI document, answering
+// 400 before the route runs. JSON responses are let through unchecked by default
+// (OPENAPI_RESPONSE_VALIDATION=off); warn logs a response that does not match and
+// error replaces it with a 500, which the tests use.
+app.use(createOpenApiValidator(openApiSpec, {
+    responses: config.openapi.response_validation,
+    logger: logger.child({ component: 'openapi' })
+}));
 
-    if (!rateLimiter.has(ip)) {
-        rateLimiter.set(ip, []);
+// Function to read an API key from the X-API-Key header or ?api_key=
+function presentedApiKey(req) {
+    const key = req.get('X-API-Key') || req.query.api_key;
+    return typeof key === 'string' && key ? key : null;
+}
+
+// Function to find the rate limit bucket a request draws from: its API key's tier,
+// or the per-IP one for callers without a known key
+function bucketFor(req) {
+    const record = apiKeys.lookup(presentedApiKey(req));
+    return record
+        ? { limiter: tierLimiters[record.tier], subject: `key:${record.name}` }
+        : { limiter: rateLimiter, subject: req.ip };
+}
+
+// Function to run the access checks for a request to a data endpoint. A presented
+// API key must be known and allowed on the endpoint; keys are then held to their
+// tier rate and monthly quota, callers without a key to the per-IP rate. Resolves to
+// the rate limiter's decision (null when it was not asked) and the error refusing
+// the request, if any; admitted requests are counted. The quota is checked against
+// the total the count returns, so concurrent requests cannot all slip under it; a
+// request that takes the total past the quota is refused and its count taken back.
+// A limiter or usage store that cannot be reached lets requests through rather than
+// failing them.
+async function admitRequest(req, endpoint) {
+    const key = presentedApiKey(req);
+    const record = key ? apiKeys.lookup(key) : null;
+    if (key && !record) {
+        return { decision: null, error: new AuthenticationError('Invalid API key', { detail: 'The API key is not recognized' }) };
+    }
+    if (record && record.endpoints && !record.endpoints.includes(endpoint)) {
+        return {
+            decision: null,
+            error: new ForbiddenError('Endpoint not allowed', {
+                detail: `This API key may not call the ${endpoint} endpoint`
+            })
+        };
     }
 
-    const requests = rateLimiter.get(ip);
-    // Remove old requests
-    const recentRequests = requests.filter(time => time > windowStart);
+    let decision = null;
+    try {
+        const bucket = bucketFor(req);
+        decision = await bucket.limiter.consume(bucket.subject);
+    } catch (error) {
+        logger.error('Rate limiter unavailable', { error: error.message });
+    }
 
-    if (recentRequests.length >= MAX_REQUESTS_PER_MINUTE) {
-        return false;
+    if (decision && !decision.allowed) {
+        rateLimitRejections.inc({ reason: 'rate_limit', client: record ? 'api_key' : 'anonymous' });
+        return {
+            decision,
+            error: new RateLimitError('Rate limit exceeded', {
+                detail: 'Too many requests. Please try again later.',
+                retryAfterMs: decision.retryAfter * 1000
+            })
+        };
     }
 
-    recentRequests.push(now);
-    rateLimiter.set(ip, recentRequests);
-    return true;
-}
+    const subject = record ? `key:${record.name}` : 'anonymous';
+    const month = monthOf();
+    const counted = usageStore.increment(subject, month, endpoint);
+
+    if (!record || record.monthlyQuota === null) {
+        counted.catch(error => {
+            logger.error('Usage accounting failed', { error: error.message });
+        });
+        return { decision, error: null };
+    }
 
-// Function to get cryptocurrency data
-async function getCryptocurrencyData(id) {
+    let used = 0;
     try {
-        // First try to get basic price data
-        const priceResponse = await axios.get(`https://api.coingecko.com/api/v3/simple/price`, {
-            params: {
-                ids: id,
-                vs_currencies: 'usd',
-                include_market_cap: false,
-                include_24hr_vol: false,
-                include_24hr_change: false,
-                include_last_updated_at: false
-            },
-            timeout: 10000 // 10 second timeout
+        used = await counted;
+    } catch (error) {
+        logger.error('Usage store unavailable', { error: error.message });
+    }
+    if (used > record.monthlyQuota) {
+        usageStore.decrement(subject, month, endpoint).catch(error => {
+            logger.error('Usage accounting failed', { error: error.message });
         });
+        rateLimitRejections.inc({ reason: 'quota', client: 'api_key' });
+        return {
+            decision,
+            error: new QuotaExceededError('Quota exceeded', {
+                detail: `This API key has used its ${record.monthlyQuota} requests for ${month}`,
+                retryAfterMs: nextMonthStart(month) - Date.now()
+            })
+        };
+    }
+    return { decision, error: null };
+}
+
+// Function to turn a rate limiter decision into RateLimit-* headers
+function rateLimitHeaders(decision) {
+    return {
+        'RateLimit-Limit': String(decision.limit),
+        'RateLimit-Remaining': String(decision.remaining),
+        'RateLimit-Reset': String(decision.reset)
+    };
+}
 
-        if (!priceResponse.data[id]) {
-            throw new Error('Cryptocurrency not found');
+// Function to build the access middleware for a data endpoint (see admitRequest).
+// Every response carries the caller's limit and remaining requests.
+function checkAccess(endpoint) {
+    return async (req, res, next) => {
+        const { decision, error } = await admitRequest(req, endpoint);
+        if (decision) {
+            res.set(rateLimitHeaders(decision));
         }
+        if (error) {
+            return next(error);
+        }
+        next();
+    };
+}
 
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
-
-        // Get additional information (name and symbol)
-        const infoResponse = await axios.get(`https://api.coingecko.com/api/v3/coins/${id}`, {
-            params: {
-                localization: false,
-                tickers: false,
-                market_data: false,
-                community_data: false,
-                developer_data: false,
-                sparkline: false
-            },
-            timeout: 10000
+// Middleware for admin endpoints: only admin API keys get through
+function requireAdmin(req, res, next) {
+    const record = apiKeys.lookup(presentedApiKey(req));
+    if (!record) {
+        return next(new AuthenticationError('API key required', { detail: 'This endpoint needs an admin API key' }));
+    }
+    if (!record.admin) {
+        return next(new ForbiddenError('Admin only', { detail: 'This endpoint needs an admin API key' }));
+    }
+    next();
+}
+
+// Function to parse TRUST_PROXY into an Express "trust proxy" setting: true/false,
+// a hop count, or addresses and subnets ("loopback, 10.0.0.0/8")
+function parseTrustProxy(spec) {
+    if (spec === undefined || spec === '' || spec === 'false') {
+        return false;
+    }
+    if (spec === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(spec)) {
+        return parseInt(spec, 10);
+    }
+    return spec;
+}
+
+// Function to normalize a coin ID or symbol from the URL; null when it is malformed
+function normalizeCoinId(input) {
+    const id = String(input).trim().toLowerCase();
+    return COIN_ID_PATTERN.test(id) ? id : null;
+}
+
+// Function to build the error for malformed coin IDs, listing them
+function invalidCoinIds(ids) {
+    return new ValidationError('Invalid coin ID', {
+        detail: 'Coin IDs and symbols must be 1 to 100 letters, digits, ".", "_" or "-", starting with a letter or digit',
+        fields: { invalid_ids: ids }
+    });
+}
+
+// Function to parse /prices/:ids into distinct, normalized coin IDs or symbols in
+// request order. Malformed entries, empty ones included, are listed on the error.
+function parseCoinIds(input, maxIds = PRICES_MAX_BATCH_SIZE) {
+    const tokens = String(input).split(',');
+    const invalid = tokens.filter(token => !normalizeCoinId(token));
+    if (invalid.length > 0) {
+        throw invalidCoinIds(invalid);
+    }
+
+    const ids = [...new Set(tokens.map(normalizeCoinId))];
+    if (ids.length > maxIds) {
+        throw new ValidationError('Too many coins', {
+            detail: `Request at most ${maxIds} distinct coins at a time`
         });
+    }
+    return ids;
+}
 
-        return {
-            name: infoResponse.data.name,
-            symbol: infoResponse.data.symbol.toUpperCase(),
-            price: priceResponse.data[id].usd
-        };
-    } catch (error) {
-        console.error(`Error fetching data for ${id}:`, error.message);
+// Function to parse ?vs= into a list of currencies, first one is the primary
+function parseCurrencies(vs) {
+    if (vs === undefined || vs === '') {
+        return DEFAULT_CURRENCIES;
+    }
 
-        if (error.response) {
-            if (error.response.status === 404) {
-                throw new Error('Cryptocurrency not found');
-            } else if (error.response.status === 429) {
-                throw new Error('Rate limit exceeded. Please try again later.');
-            }
+    const currencies = [...new Set([].concat(vs).join(',')
+        .split(',')
+        .map(currency => currency.trim().toLowerCase())
+        .filter(Boolean))];
+
+    if (currencies.length === 0 ||
+        currencies.length > MAX_CURRENCIES ||
+        !currencies.every(currency => CURRENCY_PATTERN.test(currency))) {
+        throw new ValidationError('Invalid currency', {
+            detail: `vs must be a comma-separated list of up to ${MAX_CURRENCIES} currency codes`
+        });
+    }
+
+    return currencies;
+}
+
+// Function to parse ?include= into a list of market data fields
+function parseIncludes(include) {
+    if (include === undefined || include === '') {
+        return [];
+    }
+
+    const fields = [...new Set([].concat(include).join(',')
+        .split(',')
+        .map(field => field.trim().toLowerCase())
+        .filter(Boolean))];
+
+    if (fields.includes('all')) {
+        return MARKET_FIELDS;
+    }
+
+    if (!fields.every(field => MARKET_FIELDS.includes(field))) {
+        throw new ValidationError('Invalid include', {
+            detail: `include must be "all" or a comma-separated list of: ${MARKET_FIELDS.join(', ')}`
+        });
+    }
+
+    return fields;
+}
+
+// Cache entries are per coin and currency set, so a USD quote is never served for EUR.
+// Any include= request fetches every market field, so they all share one entry.
+function priceCacheKey(id, currencies, includes = []) {
+    const key = `${id}:${[...currencies].sort().join(',')}`;
+    return includes.length > 0 ? `${key}:market` : key;
+}
+
+// Function to shape a quote for the response; `price` is the primary currency
+function formatQuote(quote, currencies, includes = []) {
+    const primary = quote.prices[currencies[0]];
+    const market = quote.market || {};
+    const result = {
+        name: quote.name,
+        symbol: quote.symbol,
+        price: primary === undefined ? null : primary,
+        prices: quote.prices
+    };
+
+    if (includes.includes('market_cap')) {
+        result.market_cap = market.market_cap || {};
+    }
+    if (includes.includes('volume')) {
+        result.volume_24h = market.volume_24h || {};
+    }
+    if (includes.includes('change')) {
+        result.change_24h = market.change_24h || {};
+    }
+    if (includes.includes('last_updated')) {
+        const timestamp = market.last_updated_at || null;
+        result.last_updated_at = timestamp;
+        result.last_updated = timestamp ? new Date(timestamp * 1000).toISOString() : null;
+    }
+
+    result.provider = quote.provider;
+    return result;
+}
+
+// Function to parse a /convert leg (?from= or ?to=) into a fiat code or a coin ID
+function parseConversionLeg(input) {
+    const token = typeof input === 'string' ? input.trim() : '';
+    if (!token) {
+        throw new ValidationError('Invalid conversion', {
+            detail: 'from and to must each be a coin ID, coin symbol or fiat currency code'
+        });
+    }
+
+    // Coin legs follow the rules of /price/:id, so "a,b" never reaches upstream as a batch
+    const code = normalizeCoinId(token);
+    if (!code) {
+        throw invalidCoinIds([token]);
+    }
+    if (FIAT_CURRENCIES.includes(code)) {
+        return { type: 'fiat', id: code, input: token };
+    }
+    return { type: 'crypto', id: coinRegistry.resolve(code), input: token };
+}
+
+// Function to parse ?amount= (default 1) into a decimal; "1.5" is accepted, "1e3" is not
+function parseAmount(amount) {
+    if (amount === undefined) {
+        return decimal.parseDecimal('1');
+    }
+
+    const parsed = typeof amount === 'string' && amount.length <= CONVERT_MAX_AMOUNT_LENGTH
+        ? decimal.parseDecimal(amount)
+        : null;
+    if (!parsed) {
+        throw new ValidationError('Invalid amount', {
+            detail: `amount must be a non-negative decimal number such as 1.5, at most ${CONVERT_MAX_AMOUNT_LENGTH} characters`
+        });
+    }
+    return parsed;
+}
+
+// Function to value one unit of a conversion leg in `currency` as a fraction of
+// decimals, so the rate is rounded only once. A fiat leg in another currency is
+// valued through `anchor`, a coin quoted in both.
+function conversionLegValue(leg, currency, quotes, anchor) {
+    const priceOf = (id, vs) => {
+        const price = quotes[id] && quotes[id].prices[vs];
+        if (typeof price !== 'number' || !(price > 0)) {
+            throw new UnsupportedCurrencyError('Currency not supported');
         }
+        return decimal.fromNumber(price);
+    };
+    const one = decimal.parseDecimal('1');
 
-        if (error.code === 'ECONNABORTED') {
-            throw new Error('Request timeout');
+    if (leg.type === 'crypto') {
+        return { numerator: priceOf(leg.id, currency), denominator: one };
+    }
+    if (leg.id === currency) {
+        return { numerator: one, denominator: one };
+    }
+    return { numerator: priceOf(anchor, currency), denominator: priceOf(anchor, leg.id) };
+}
+
+// Function to describe a conversion leg for the response
+function describeConversionLeg(leg, quotes) {
+    if (leg.type === 'fiat') {
+        return { type: 'fiat', id: leg.id, symbol: leg.id.toUpperCase() };
+    }
+    const quote = quotes[leg.id];
+    return { type: 'crypto', id: leg.id, symbol: quote.symbol, name: quote.name };
+}
+
+// Function to suggest coins close to an unknown ID or symbol
+function suggestCoins(input) {
+    return coinRegistry.search(input, { limit: SEARCH_SUGGESTIONS, minScore: SEARCH_SUGGESTION_MIN_SCORE })
+        .map(coin => ({ id: coin.id, symbol: coin.symbol, name: coin.name }));
+}
+
+// Function to add coins the caller may have meant to a 404 for `input`
+function withSuggestions(error, input) {
+    if (!(error instanceof NotFoundError)) {
+        return error;
+    }
+    return new NotFoundError(error.message, { fields: { did_you_mean: suggestCoins(input) } });
+}
+
+// Function to keep the last point of each interval bucket
+function resamplePoints(points, intervalMs) {
+    if (!intervalMs) {
+        return points;
+    }
+
+    const buckets = new Map();
+    points.forEach(point => {
+        buckets.set(Math.floor(point.timestamp / intervalMs), point);
+    });
+    return [...buckets.values()];
+}
+
+// Function to merge OHLC candles into interval buckets
+function resampleCandles(candles, intervalMs) {
+    if (!intervalMs) {
+        return candles;
+    }
+
+    const buckets = new Map();
+    candles.forEach(candle => {
+        const bucket = Math.floor(candle.timestamp / intervalMs);
+        const current = buckets.get(bucket);
+        if (!current) {
+            buckets.set(bucket, { ...candle });
+        } else {
+            current.timestamp = candle.timestamp;
+            current.high = Math.max(current.high, candle.high);
+            current.low = Math.min(current.low, candle.low);
+            current.close = candle.close;
         }
+    });
+    return [...buckets.values()];
+}
 
-        throw error;
+// Function to read a cache entry of any age; an unreachable store is treated as a miss
+async function readCacheEntry(id) {
+    try {
+        return await cacheStore.get(id);
+    } catch (error) {
+        logger.error('Cache read failed', { key: id, error: error.message });
+        return null;
     }
 }
 
-// Function to get multiple cryptocurrencies at once
-async function getMultipleCryptocurrencyData(ids) {
+// Function to name the kind of data a cache key holds, for metrics
+function cacheKind(id) {
+    if (id.startsWith('meta:')) {
+        return 'metadata';
+    }
+    return id.startsWith('history:') ? 'history' : 'price';
+}
+
+// Function to check cache; resolves to { data, status: 'fresh' | 'stale', storedAt } or null.
+// Entries past their stale window are misses.
+async function getCachedData(id) {
+    const entry = await readCacheEntry(id);
+    const age = entry ? Date.now() - entry.storedAt : null;
+    if (!entry || age >= entry.ttl * 2) {
+        cacheMisses.inc({ kind: cacheKind(id) });
+        return null;
+    }
+
+    const status = age < entry.ttl ? 'fresh' : 'stale';
+    cacheHits.inc({ kind: cacheKind(id), state: status });
+    return { data: entry.data, status, storedAt: entry.storedAt };
+}
+
+// Function to save to cache; the store keeps it through the stale window and
+// LAST_KNOWN_RETENTION after. Failures only cost a future upstream call.
+async function setCachedData(id, data, ttl = CACHE_TTLS.price) {
     try {
-        const idsString = ids.join(',');
-
-        // Get price data for all coins at once
-        const priceResponse = await axios.get(`https://api.coingecko.com/api/v3/simple/price`, {
-            params: {
-                ids: idsString,
-                vs_currencies: 'usd',
-                include_market_cap: false,
-                include_24hr_vol: false,
-                include_24hr_change: false,
-                include_last_updated_at: false
-            },
-            timeout: 15000
-        });
+        await cacheStore.set(id, { data, storedAt: Date.now(), ttl }, ttl * 2 + LAST_KNOWN_RETENTION);
+    } catch (error) {
+        logger.error('Cache write failed', { key: id, error: error.message });
+    }
+}
 
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 300));
+// Function to find the last known data for a key when fetching it failed with
+// `error`: resolves to { data, storedAt } unless the providers answered (the coin
+// or currency does not exist) rather than failed, or nothing was ever cached
+async function getLastKnownData(id, error) {
+    if ([NotFoundError, UnsupportedCurrencyError, ServiceUnavailableError].some(ErrorClass => error instanceof ErrorClass)) {
+        return null;
+    }
 
-        // Get coin info for all coins
-        const infoPromises = ids.map(async (id) => {
-            try {
-                const response = await axios.get(`https://api.coingecko.com/api/v3/coins/${id}`, {
-                    params: {
-                        localization: false,
-                        tickers: false,
-                        market_data: false,
-                        community_data: false,
-                        developer_data: false,
-                        sparkline: false
-                    },
-                    timeout: 10000
-                });
-                return {
-                    id,
-                    name: response.data.name,
-                    symbol: response.data.symbol.toUpperCase()
-                };
-            } catch (error) {
-                console.error(`Error fetching info for ${id}:`, error.message);
-                return {
-                    id,
-                    name: id,
-                    symbol: id.toUpperCase()
-                };
+    const entry = await readCacheEntry(id);
+    if (!entry) {
+        return null;
+    }
+    logger.warn('Serving last known data', { key: id, error: error.message });
+    cacheLastKnown.inc({ kind: cacheKind(id) });
+    return { data: entry.data, storedAt: entry.storedAt };
+}
+
+// Function to refresh stale entries in the background. refresh receives the
+// keys not already being refreshed and should write them back to the cache.
+function revalidate(keys, refresh) {
+    const pending = keys.filter(key => !revalidating.has(key));
+    if (pending.length === 0) {
+        return;
+    }
+
+    pending.forEach(key => revalidating.add(key));
+    Promise.resolve()
+        .then(() => refresh(pending))
+        .catch(error => logger.error('Background refresh failed', { ids: pending, error: error.message }))
+        .finally(() => pending.forEach(key => revalidating.delete(key)));
+}
+
+// Function to tell clients how a response was served: "fresh" from cache,
+// "stale" from cache while it refreshes, or "revalidated" from upstream
+function setCacheStatus(res, statuses) {
+    const status = ['stale', 'revalidated', 'fresh'].find(candidate => statuses.includes(candidate));
+    res.set('X-Cache-Status', status || 'revalidated');
+}
+
+// Function to send cached data with HTTP caching headers: a strong ETag of the body,
+// Last-Modified from when the newest data was fetched (storedAt lists the fetch
+// times) and a max-age of what is left of the oldest data's ttl, 0 once it is
+// stale. Responses to API keys are private so a shared cache never serves them to
+// callers without the key. A request whose If-None-Match or If-Modified-Since
+// still holds gets 304 Not Modified without a body.
+function sendCacheable(req, res, body, { storedAt, ttl }) {
+    const times = storedAt.length > 0 ? storedAt : [Date.now()];
+    const maxAge = Math.max(0, Math.round((Math.min(...times) + ttl - Date.now()) / 1000));
+    res.set({
+        'Cache-Control': `${presentedApiKey(req) ? 'private' : 'public'}, max-age=${maxAge}`,
+        'ETag': `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`,
+        'Last-Modified': new Date(Math.max(...times)).toUTCString()
+    });
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.json(body);
+}
+
+// Function to fetch quotes for several coins, one promise per coin. Coins already
+// in flight are joined; the rest are fetched (and cached) in one batch at the
+// given upstream priority.
+function fetchPriceBatch(ids, currencies, includes, priority = 'interactive') {
+    const keyFor = id => priceCacheKey(id, currencies, includes);
+
+    return upstreamFlights.runBatch(ids.map(keyFor), async keys => {
+        const batchIds = ids.filter(id => keys.includes(keyFor(id)));
+        const quotes = await priceProviders.getPrices(batchIds, { currencies, market: includes.length > 0, priority });
+        const byKey = {};
+        await Promise.all(Object.entries(quotes).map(([id, data]) => {
+            byKey[keyFor(id)] = data;
+            return setCachedData(keyFor(id), data);
+        }));
+        return byKey;
+    });
+}
+
+// Function to get quotes for several coins, shared by /prices and /convert.
+// Cached coins are served at once (stale ones refreshed in one background batch),
+// the rest fetched together. Resolves to { results, statuses, storedAt, lastKnown }
+// keyed by coin ID; coins that failed are answered with their last known quote
+// (listed in lastKnown) when there is one and left out otherwise, unless every
+// coin failed.
+async function loadPrices(coinIds, currencies, includes = []) {
+    const options = { currencies, market: includes.length > 0 };
+    const keyFor = id => priceCacheKey(id, currencies, includes);
+
+    const results = {};
+    const storedAt = {};
+    const missingIds = [];
+    const staleIds = [];
+    const statuses = [];
+    const lastKnown = [];
+
+    const cachedEntries = await Promise.all(coinIds.map(id => getCachedData(keyFor(id))));
+
+    coinIds.forEach((id, index) => {
+        const cached = cachedEntries[index];
+        if (cached) {
+            results[id] = cached.data;
+            storedAt[id] = cached.storedAt;
+            statuses.push(cached.status);
+            if (cached.status === 'stale') {
+                staleIds.push(id);
             }
+        } else {
+            missingIds.push(id);
+        }
+    });
+
+    if (staleIds.length > 0) {
+        revalidate(staleIds.map(keyFor), async keys => {
+            const refreshIds = staleIds.filter(id => keys.includes(keyFor(id)));
+            const quotes = await priceProviders.getPrices(refreshIds, { ...options, priority: 'background' });
+            await Promise.all(Object.entries(quotes).map(([id, data]) => setCachedData(keyFor(id), data)));
         });
+    }
+
+    if (missingIds.length > 0) {
+        logger.debug('Fetching missing data', { ids: missingIds });
 
-        const infoResults = await Promise.all(infoPromises);
-
-        // Combine price and info data
-        const result = {};
-        infoResults.forEach(info => {
-            if (priceResponse.data[info.id]) {
-                result[info.id] = {
-                    name: info.name,
-                    symbol: info.symbol,
-                    price: priceResponse.data[info.id].usd
-                };
+        const outcomes = await Promise.allSettled(fetchPriceBatch(missingIds, currencies, includes));
+        const fetchedAt = Date.now();
+        statuses.push('revalidated');
+
+        const fallbacks = await Promise.all(outcomes.map((outcome, index) => (
+            outcome.status === 'rejected' ? getLastKnownData(keyFor(missingIds[index]), outcome.reason) : null
+        )));
+
+        const failures = outcomes.filter((outcome, index) => outcome.status === 'rejected' && !fallbacks[index]);
+        let fetched = 0;
+        outcomes.forEach((outcome, index) => {
+            const id = missingIds[index];
+            if (fallbacks[index]) {
+                results[id] = fallbacks[index].data;
+                storedAt[id] = fallbacks[index].storedAt;
+                lastKnown.push(id);
+                fetched++;
+            } else if (outcome.status === 'fulfilled' && outcome.value) {
+                results[id] = outcome.value;
+                storedAt[id] = fetchedAt;
+                fetched++;
             }
         });
+        if (lastKnown.length > 0) {
+            statuses.push('stale');
+        }
+        if (fetched === 0 && failures.length > 0) {
+            throw failures[0].reason;
+        }
+    }
 
-        return result;
-    } catch (error) {
-        console.error('Error fetching multiple cryptocurrency data:', error.message);
-        throw error;
+    return { results, statuses, storedAt, lastKnown };
+}
+
+// Popular coins are refreshed ahead of expiry so reads rarely block on upstream
+const popularRefresher = createPopularRefresher({
+    intervalMs: REFRESH_INTERVAL,
+    budget: REFRESH_BUDGET,
+    refresh: async (ids, { currencies, market }) => {
+        const outcomes = await Promise.allSettled(fetchPriceBatch(ids, currencies, market ? MARKET_FIELDS : [], 'background'));
+        const failures = outcomes.filter(outcome => outcome.status === 'rejected');
+        if (failures.length === outcomes.length) {
+            throw failures[0].reason;
+        }
+        return outcomes.filter(outcome => outcome.status === 'fulfilled' && outcome.value).length;
+    },
+    logger: logger.child({ component: 'refresher' })
+});
+
+// One refresh loop feeds every live stream and keeps the price cache warm
+const priceHub = createPriceHub({
+    intervalMs: STREAM_REFRESH_INTERVAL,
+    maxIds: STREAM_MAX_WATCHED_IDS,
+    batchSize: STREAM_BATCH_SIZE,
+    fetchQuotes: async (ids, currencies) => {
+        const quotes = await priceProviders.getPrices(ids, { currencies, priority: 'background' });
+        await Promise.all(Object.entries(quotes).map(([id, quote]) =>
+            setCachedData(priceCacheKey(id, currencies), quote)
+        ));
+        return quotes;
+    },
+    logger: logger.child({ component: 'stream' })
+});
+
+// Metrics read from the cache store, breakers, streams and the process
+if (cacheStore.evictions !== undefined) {
+    metrics.counter('crypto_api_cache_evictions_total', 'Entries the memory cache evicted to stay within its size', [], {
+        collect: () => cacheStore.evictions
+    });
+}
+metrics.gauge('crypto_api_upstream_breaker_open', 'Whether the provider\'s circuit breaker is open (1) or not (0)', ['provider'], {
+    collect: () => priceProviders.providers.map(provider => ({
+        labels: { provider },
+        value: upstreamBreaker.state(provider) === 'open' ? 1 : 0
+    }))
+});
+metrics.gauge('crypto_api_stream_subscribers', 'Live price stream and WebSocket subscribers', [], {
+    collect: () => priceHub.subscriberCount
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], {
+    collect: () => process.memoryUsage().rss
+});
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the unix epoch in seconds', [], {
+    collect: () => Math.round(Date.now() / 1000 - process.uptime())
+});
+
+// Function to shape a hub event for a client, limited to its currencies
+function streamEventData(event, currencies) {
+    const quote = formatQuote(event.quote, currencies);
+    const prices = {};
+    currencies.forEach(currency => {
+        if (quote.prices[currency] !== undefined) {
+            prices[currency] = quote.prices[currency];
+        }
+    });
+
+    return { id: event.coin, ...quote, prices, timestamp: new Date(event.timestamp).toISOString() };
+}
+
+// Function to format a hub event as an SSE message
+function formatStreamEvent(event, currencies) {
+    return `id: ${event.id}\nevent: price\ndata: ${JSON.stringify(streamEventData(event, currencies))}\n\n`;
+}
+
+// Function to run a WebSocket upgrade through the stream endpoint's access checks.
+// The raw request gets Express's request API (req.get, req.ip, req.query) the way
+// Express's own init middleware gives it. Resolves to null to let the socket open,
+// or to the problem response refusing it.
+async function authorizeSocket(req) {
+    Object.setPrototypeOf(req, app.request);
+    req.app = app;
+    const url = new URL(req.url, 'http://localhost');
+    req.query = Object.fromEntries(url.searchParams);
+
+    const { decision, error } = await admitRequest(req, 'stream');
+    if (!error) {
+        return null;
     }
+    return {
+        status: error.status,
+        headers: { ...problemHeaders(error), ...(decision ? rateLimitHeaders(decision) : {}) },
+        body: JSON.stringify(problemDetails(error, url.pathname))
+    };
 }
 
-// Function to check cache
-function getCachedData(id) {
-    const cached = cache.get(id);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-        return cached.data;
+// Function to check the ids of a WebSocket message like /prices/:ids, resolving
+// symbols to coin IDs
+function normalizeSocketIds(ids) {
+    const invalid = ids.filter(id => !normalizeCoinId(id));
+    if (invalid.length > 0) {
+        throw invalidCoinIds(invalid);
     }
-    return null;
+    return [...new Set(ids.map(id => coinRegistry.resolve(normalizeCoinId(id))))];
 }
 
-// Function to save to cache
-function setCachedData(id, data) {
-    cache.set(id, {
-        data,
-        timestamp: Date.now()
+// Function to attach the WebSocket price endpoint (/ws/prices) to an HTTP server
+function attachPriceSocket(server) {
+    return createPriceSocketServer({
+        server,
+        hub: priceHub,
+        formatEvent: streamEventData,
+        parseCurrencies,
+        authorize: authorizeSocket,
+        normalizeIds: normalizeSocketIds,
+        maxConnections: WS_MAX_CONNECTIONS,
+        maxIds: STREAM_MAX_IDS
     });
 }
 
 // Endpoint to get cryptocurrency price
-app.get('/price/:id', async (req, res) => {
+app.get('/price/:id', checkAccess('price'), async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const clientIp = req.ip || req.connection.remoteAddress;
-
-        // Check rate limit
-        if (!checkRateLimit(clientIp)) {
-            return res.status(429).json({
-                error: 'Rate limit exceeded',
-                message: 'Too many requests. Please try again later.'
-            });
+        const requested = normalizeCoinId(req.params.id);
+        if (!requested) {
+            throw invalidCoinIds([req.params.id]);
         }
+        const id = coinRegistry.resolve(requested);
+        const currencies = parseCurrencies(req.query.vs);
+        const includes = parseIncludes(req.query.include);
+        const key = priceCacheKey(id, currencies, includes);
+
+        const options = { currencies, market: includes.length > 0 };
 
         // Check cache
-        const cachedData = getCachedData(id);
-        if (cachedData) {
-            console.log(`Cache hit for ${id}`);
-            return res.json(cachedData);
+        const cached = await getCachedData(key);
+        if (cached) {
+            logger.debug('Cache hit', { key, state: cached.status });
+            if (cached.status === 'stale') {
+                revalidate([key], async () => {
+                    await setCachedData(key, await priceProviders.getPrice(id, { ...options, priority: 'background' }));
+                });
+            }
+            popularRefresher.track(id, currencies, includes.length > 0);
+            setCacheStatus(res, [cached.status]);
+            return sendCacheable(req, res, formatQuote(cached.data, currencies, includes), {
+                storedAt: [cached.storedAt],
+                ttl: CACHE_TTLS.price
+            });
         }
 
-        console.log(`Cache miss for ${id}, fetching from API`);
+        logger.debug('Cache miss', { key });
 
-        // Get data from API
-        const data = await getCryptocurrencyData(id);
+        // Get data from API, joining a fetch already in flight for this key
+        let data;
+        try {
+            data = await upstreamFlights.run(key, async () => {
+                const quote = await priceProviders.getPrice(id, options);
+                await setCachedData(key, quote);
+                return quote;
+            });
+        } catch (error) {
+            const lastKnown = await getLastKnownData(key, error);
+            if (!lastKnown) {
+                throw error;
+            }
+            setCacheStatus(res, ['stale']);
+            return sendCacheable(req, res, { ...formatQuote(lastKnown.data, currencies, includes), stale: true }, {
+                storedAt: [lastKnown.storedAt],
+                ttl: CACHE_TTLS.price
+            });
+        }
 
-        // Save to cache
-        setCachedData(id, data);
+        // Joined a /prices batch that came back without this coin
+        if (!data) {
+            throw new NotFoundError('Cryptocurrency not found');
+        }
 
-        res.json(data);
+        popularRefresher.track(id, currencies, includes.length > 0);
+        setCacheStatus(res, ['revalidated']);
+        sendCacheable(req, res, formatQuote(data, currencies, includes), { storedAt: [Date.now()], ttl: CACHE_TTLS.price });
     } catch (error) {
-        console.error('Error fetching cryptocurrency data:', error.message);
+        next(withSuggestions(error, req.params.id));
+    }
+});
 
-        if (error.message === 'Cryptocurrency not found') {
-            return res.status(404).json({
-                error: 'Cryptocurrency not found',
-                message: 'The specified cryptocurrency ID does not exist'
-            });
-        }
+// New endpoint to get multiple cryptocurrencies at once
+app.get('/prices/:ids', checkAccess('prices'), async (req, res, next) => {
+    try {
+        // Symbols resolve to coin IDs (btc -> bitcoin); results stay keyed as requested
+        const requested = parseCoinIds(req.params.ids);
+        const coinIds = [...new Set(requested.map(id => coinRegistry.resolve(id)))];
+        const currencies = parseCurrencies(req.query.vs);
+        const includes = parseIncludes(req.query.include);
 
-        if (error.message === 'Rate limit exceeded. Please try again later.') {
-            return res.status(429).json({
-                error: 'Rate limit exceeded',
-                message: 'API rate limit exceeded. Please try again later.'
-            });
-        }
+        const { results, statuses, storedAt, lastKnown } = await loadPrices(coinIds, currencies, includes);
 
-        if (error.message === 'Request timeout') {
-            return res.status(408).json({
-                error: 'Request timeout',
-                message: 'Request took too long to complete'
-            });
-        }
+        const allResults = {};
+        requested.forEach(token => {
+            const id = coinRegistry.resolve(token);
+            if (results[id]) {
+                allResults[token] = formatQuote(results[id], currencies, includes);
+                if (lastKnown.includes(id)) {
+                    allResults[token].stale = true;
+                }
+            }
+        });
+        Object.keys(results).forEach(id => popularRefresher.track(id, currencies, includes.length > 0));
 
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'Failed to fetch cryptocurrency data'
+        setCacheStatus(res, statuses);
+        sendCacheable(req, res, allResults, {
+            storedAt: Object.keys(results).map(id => storedAt[id]),
+            ttl: CACHE_TTLS.price
         });
+    } catch (error) {
+        next(error);
     }
 });
 
-// New endpoint to get multiple cryptocurrencies at once
-app.get('/prices/:ids', async (req, res) => {
+// Endpoint to convert an amount between coins and fiat currencies
+app.get('/convert', checkAccess('convert'), async (req, res, next) => {
     try {
-        const { ids } = req.params;
-        const clientIp = req.ip || req.connection.remoteAddress;
-
-        // Check rate limit
-        if (!checkRateLimit(clientIp)) {
-            return res.status(429).json({
-                error: 'Rate limit exceeded',
-                message: 'Too many requests. Please try again later.'
-            });
+        const from = parseConversionLeg(req.query.from);
+        const to = parseConversionLeg(req.query.to);
+        const amount = parseAmount(req.query.amount);
+
+        // A fiat currency converts into itself at 1, with no quote to fetch
+        if (from.type === 'fiat' && from.id === to.id) {
+            setCacheStatus(res, ['fresh']);
+            return sendCacheable(req, res, {
+                from: describeConversionLeg(from),
+                to: describeConversionLeg(to),
+                amount: decimal.toString(amount),
+                result: decimal.toString(amount),
+                rate: '1',
+                timestamp: new Date().toISOString(),
+                source: { provider: 'none', quote_currency: from.id }
+            }, { storedAt: [], ttl: CACHE_TTLS.price });
         }
 
-        const coinIds = ids.split(',').map(id => id.trim());
+        // Coins are quoted in the fiat legs (usd when there are none); two fiat legs
+        // are both quoted for the pivot coin. These share cache entries with /price.
+        const legs = [from, to];
+        const fiat = [...new Set(legs.filter(leg => leg.type === 'fiat').map(leg => leg.id))];
+        const coins = [...new Set(legs.filter(leg => leg.type === 'crypto').map(leg => leg.id))];
+        const currencies = fiat.length > 0 ? fiat : [CONVERT_PIVOT_CURRENCY];
+        const coinIds = coins.length > 0 ? coins : [CONVERT_PIVOT_COIN];
+
+        const { results, statuses, storedAt, lastKnown } = await loadPrices(coinIds, currencies);
 
-        // Check cache for all coins
-        const cachedResults = {};
-        const missingIds = [];
+        const unknown = legs.find(leg => leg.type === 'crypto' && !results[leg.id]);
+        if (unknown) {
+            throw withSuggestions(new NotFoundError('Cryptocurrency not found'), unknown.input);
+        }
 
-        coinIds.forEach(id => {
-            const cached = getCachedData(id);
-            if (cached) {
-                cachedResults[id] = cached;
-            } else {
-                missingIds.push(id);
+        // rate = value(from) / value(to), divided once so no precision is lost in between
+        const reference = currencies[0];
+        const fromValue = conversionLegValue(from, reference, results, coinIds[0]);
+        const toValue = conversionLegValue(to, reference, results, coinIds[0]);
+        const numerator = decimal.multiply(fromValue.numerator, toValue.denominator);
+        const denominator = decimal.multiply(fromValue.denominator, toValue.numerator);
+
+        const rate = decimal.divide(numerator, denominator, CONVERT_SCALE);
+        const result = decimal.divide(decimal.multiply(amount, numerator), denominator, CONVERT_SCALE);
+
+        coins.forEach(id => popularRefresher.track(id, currencies, false));
+        setCacheStatus(res, statuses);
+        const body = {
+            from: describeConversionLeg(from, results),
+            to: describeConversionLeg(to, results),
+            amount: decimal.toString(amount),
+            result: decimal.toString(result),
+            rate: decimal.toString(rate),
+            // The rate is as old as the oldest quote it was computed from
+            timestamp: new Date(Math.min(...coinIds.map(id => storedAt[id]))).toISOString(),
+            source: {
+                provider: [...new Set(coinIds.map(id => results[id].provider))].join(','),
+                quote_currency: reference
             }
-        });
+        };
+        if (coinIds.some(id => lastKnown.includes(id))) {
+            body.stale = true;
+        }
+        sendCacheable(req, res, body, { storedAt: coinIds.map(id => storedAt[id]), ttl: CACHE_TTLS.price });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        let freshResults = {};
-        if (missingIds.length > 0) {
-            console.log(`Fetching missing data for: ${missingIds.join(', ')}`);
-            freshResults = await getMultipleCryptocurrencyData(missingIds);
+// Endpoint to get historical prices and OHLC candles
+app.get('/history/:id', checkAccess('history'), async (req, res, next) => {
+    try {
+        const requested = normalizeCoinId(req.params.id);
+        if (!requested) {
+            throw invalidCoinIds([req.params.id]);
+        }
+        const id = coinRegistry.resolve(requested);
 
-            // Cache the fresh results
-            Object.entries(freshResults).forEach(([id, data]) => {
-                setCachedData(id, data);
+        const days = req.query.days === undefined ? '1' : String(req.query.days);
+        if (!HISTORY_CACHE_DURATIONS[days]) {
+            throw new ValidationError('Invalid range', {
+                detail: `days must be one of: ${Object.keys(HISTORY_CACHE_DURATIONS).join(', ')}`
             });
         }
 
-        // Combine cached and fresh results
-        const allResults = { ...cachedResults, ...freshResults };
+        const interval = req.query.interval === undefined ? 'auto' : String(req.query.interval).toLowerCase();
+        if (!(interval in HISTORY_INTERVALS)) {
+            throw new ValidationError('Invalid interval', {
+                detail: `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+            });
+        }
+
+        const currencies = parseCurrencies(req.query.vs);
+        if (currencies.length > 1) {
+            throw new ValidationError('Invalid currency', { detail: 'vs must be a single currency code' });
+        }
+        const currency = currencies[0];
+
+        // Resampling is cheap, so every interval shares the raw upstream series
+        const key = `history:${id}:${currency}:${days}`;
+        const ttl = HISTORY_CACHE_DURATIONS[days];
+        const fetchHistory = priority => priceProviders.getHistory(id, { currency, days: Number(days), priority });
+
+        let history;
+        let storedAt = Date.now();
+        let stale = false;
+        const cached = await getCachedData(key);
+        if (cached) {
+            logger.debug('Cache hit', { key, state: cached.status });
+            history = cached.data;
+            storedAt = cached.storedAt;
+            if (cached.status === 'stale') {
+                revalidate([key], async () => {
+                    await setCachedData(key, await fetchHistory('background'), ttl);
+                });
+            }
+            setCacheStatus(res, [cached.status]);
+        } else {
+            logger.debug('Cache miss', { key });
+            try {
+                history = await upstreamFlights.run(key, async () => {
+                    const result = await fetchHistory('interactive');
+                    await setCachedData(key, result, ttl);
+                    return result;
+                });
+                setCacheStatus(res, ['revalidated']);
+            } catch (error) {
+                const lastKnown = await getLastKnownData(key, error);
+                if (!lastKnown) {
+                    throw error;
+                }
+                history = lastKnown.data;
+                storedAt = lastKnown.storedAt;
+                stale = true;
+                setCacheStatus(res, ['stale']);
+            }
+        }
 
-        res.json(allResults);
+        const intervalMs = HISTORY_INTERVALS[interval];
+        const body = {
+            id,
+            currency,
+            days: Number(days),
+            interval,
+            prices: resamplePoints(history.prices, intervalMs),
+            market_caps: resamplePoints(history.market_caps, intervalMs),
+            volumes: resamplePoints(history.volumes, intervalMs),
+            ohlc: resampleCandles(history.ohlc, intervalMs),
+            provider: history.provider
+        };
+        if (stale) {
+            body.stale = true;
+        }
+        sendCacheable(req, res, body, { storedAt: [storedAt], ttl });
     } catch (error) {
-        console.error('Error fetching multiple cryptocurrency data:', error.message);
+        next(withSuggestions(error, req.params.id));
+    }
+});
 
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'Failed to fetch cryptocurrency data'
-        });
+// Endpoint to search coins by ID, symbol or name, tolerating typos
+app.get('/search', checkAccess('search'), (req, res, next) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query || query.length > SEARCH_MAX_QUERY_LENGTH) {
+        return next(new ValidationError('Invalid query', {
+            detail: `q must be between 1 and ${SEARCH_MAX_QUERY_LENGTH} characters`
+        }));
+    }
+
+    const limit = req.query.limit === undefined ? SEARCH_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+        return next(new ValidationError('Invalid limit', {
+            detail: `limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}`
+        }));
     }
+
+    res.json({
+        query,
+        results: coinRegistry.search(query, { limit }).map(coin => ({
+            id: coin.id,
+            symbol: coin.symbol,
+            name: coin.name,
+            market_cap_rank: coin.rank,
+            score: coin.score
+        }))
+    });
+});
+
+// Endpoint to stream price changes as Server-Sent Events
+app.get('/stream/prices', checkAccess('stream'), (req, res, next) => {
+    let ids;
+    let currencies;
+    try {
+        // Symbols resolve to coin IDs, so btc and bitcoin share one upstream ID
+        ids = [...new Set(parseCoinIds(req.query.ids || '', STREAM_MAX_IDS).map(id => coinRegistry.resolve(id)))];
+        currencies = parseCurrencies(req.query.vs);
+    } catch (error) {
+        return next(error);
+    }
+
+    const send = event => res.write(formatStreamEvent(event, currencies));
+
+    let unsubscribe;
+    try {
+        unsubscribe = priceHub.subscribe(ids, currencies, send);
+    } catch (error) {
+        return next(error);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Resume from Last-Event-ID when the missed events are still held,
+    // otherwise start with the current snapshot
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = lastEventId ? priceHub.eventsSince(lastEventId) : null;
+    (missed || priceHub.snapshot(ids))
+        .filter(event => ids.includes(event.coin))
+        .forEach(send);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 });
 
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
         message: 'Cryptocurrency Price API',
+        documentation: {
+            openapi: '/openapi.json',
+            docs: '/docs'
+        },
         usage: {
-            single: 'GET /price/{id} - Get cryptocurrency price by ID',
-            multiple: 'GET /prices/{ids} - Get multiple cryptocurrency prices (comma-separated)'
+            ...summarizeOperations(openApiSpec),
+            'WS /ws/prices': 'Subscribe and unsubscribe to live prices over a WebSocket',
+            authentication: 'X-API-Key header or ?api_key= - Optional API key with its own rate tier and quota'
         },
         examples: [
             '/price/bitcoin',
             '/price/ethereum',
             '/price/cardano',
-            '/prices/bitcoin,ethereum,cardano'
+            '/prices/bitcoin,ethereum,cardano',
+            '/price/btc',
+            '/price/bitcoin?vs=eur,gbp',
+            '/prices/bitcoin,ethereum?include=change,last_updated',
+            '/history/bitcoin?days=7&interval=daily',
+            '/convert?from=btc&to=eth&amount=1.5',
+            '/convert?from=eur&to=btc&amount=250',
+            '/search?q=etherium',
+            '/stream/prices?ids=bitcoin,ethereum'
         ]
     });
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    const reachable = await cacheStore.ping();
+    const cacheSize = reachable ? await cacheStore.size().catch(() => null) : null;
+
+    // Without its cache the API still answers from upstream, and with every provider's
+    // breaker open it answers from cache, so either way it is degraded rather than down
+    const upstreamDown = priceProviders.providers.every(name => upstreamBreaker.state(name) === 'open');
     res.json({
-        status: 'OK',
+        status: reachable && !upstreamDown ? 'OK' : 'DEGRADED',
         timestamp: new Date().toISOString(),
-        cache_size: cache.size,
+        cache_size: cacheSize,
+        cache: {
+            backend: cacheStore.backend,
+            reachable
+        },
+        providers: priceProviders.providers,
+        coin_registry: coinRegistry.status,
+        stream_subscribers: priceHub.subscriberCount,
+        upstream: {
+            in_flight: upstreamFlights.size,
+            coalesced_requests: upstreamFlights.coalesced
+        },
+        upstream_budgets: upstreamScheduler.status,
+        upstream_breakers: upstreamBreaker.status,
+        refresher: popularRefresher.status,
         uptime: process.uptime()
     });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: 'An unexpected error occurred'
+// Admin endpoint to report requests per API key for a month (?month=YYYY-MM, default this month)
+app.get('/admin/usage', requireAdmin, async (req, res, next) => {
+    const month = req.query.month === undefined ? monthOf() : String(req.query.month);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return next(new ValidationError('Invalid month', { detail: 'month must be a calendar month such as 2024-01' }));
+    }
+
+    try {
+        const keys = await Promise.all(apiKeys.list().map(async record => {
+            const usage = await usageStore.get(`key:${record.name}`, month);
+            return {
+                name: record.name,
+                tier: record.tier,
+                endpoints: record.endpoints || API_ENDPOINTS,
+                monthly_quota: record.monthlyQuota,
+                used: usage.total,
+                remaining: record.monthlyQuota === null ? null : Math.max(0, record.monthlyQuota - usage.total),
+                by_endpoint: usage.endpoints
+            };
+        }));
+        const anonymous = await usageStore.get('anonymous', month);
+
+        res.json({
+            month,
+            usage_store: usageStore.backend,
+            keys,
+            anonymous: {
+                used: anonymous.total,
+                by_endpoint: anonymous.endpoints
+            }
+        });
+    } catch (error) {
+        logger.error('Error reading API usage', { error: error.message });
+        next(new ServiceUnavailableError('Usage not available', { detail: 'The usage store cannot be reached' }));
+    }
+});
+
+// OpenAPI document and the docs page rendered from it
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+app.get('/docs', (req, res) => {
+    res.type('html').send(renderDocsPage(openApiSpec));
+});
+
+// Prometheus scrape endpoint; like /health it is not rate limited
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', metrics.contentType);
+    res.send(metrics.render());
+});
+
+// Admin endpoint to show the effective configuration and where each setting came from
+app.get('/admin/config', requireAdmin, (req, res) => {
+    res.json({
+        file: loadedConfig.file,
+        config: redactConfig(config),
+        sources: loadedConfig.sources
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`Cryptocurrency Price API running on port ${PORT}`);
-    console.log(`Visit http://localhost:${PORT} for usage information`);
+// Function to log a failed request once, by who is at fault: the client's mistakes
+// (4xx) at info, server failures (5xx) and the providers' at error
+function logRequestError(err) {
+    if (!(err instanceof ApiError)) {
+        logger.error('Unhandled error', { error: err });
+    } else if (err.status >= 500 || err instanceof UpstreamTimeoutError || err instanceof UpstreamRateLimitedError) {
+        logger.error('Request failed', { status: err.status, error: err.message });
+    } else {
+        logger.info('Request refused', { status: err.status, error: err.message });
+    }
+}
+
+// Error handling middleware: every error is logged here, once (unexpected ones with
+// their stack), and answered as problem details (errors.js)
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    logRequestError(err);
+    sendProblem(res, err);
 });
 
-module.exports = app;
\ No newline at end of file
+// Only listen when run directly; tests start their own servers
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        logger.info('Cryptocurrency Price API running', { port: PORT, usage: `http://localhost:${PORT}` });
+    });
+    attachPriceSocket(server);
+    if (REFRESH_INTERVAL !== 0) {
+        popularRefresher.start();
+    }
+    coinRegistry.start();
+    rateLimiters.forEach(limiter => limiter.start());
+}
+
+module.exports = app;
+module.exports.attachPriceSocket = attachPriceSocket;
+module.exports.popularRefresher = popularRefresher;
+module.exports.coinRegistry = coinRegistry;
+module.exports.rateLimiters = rateLimiters;
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { createRedisClient } = require('./redis-client');
+
+// Cache stores
+//
+// Every store exposes the same asynchronous interface:
+//   backend              - 'memory' or 'redis'
+//   get(key)             - resolves to the stored value or null
+//   set(key, value, ttl) - stores a JSON-serializable value for ttl milliseconds
+//   delete(key)
+//   clear()
+//   size()               - resolves to the number of stored entries
+//   ping()               - resolves to true when the backend is reachable
+//
+// The memory store is per process and bounded to maxEntries, evicting the least
+// recently used entry; `evictions` counts the entries it dropped that way. The
+// Redis store is shared by every replica pointed at the same server, so they
+// agree on prices and share upstream calls; bound it with the server's own
+// maxmemory and allkeys-lru policy.
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Map iteration order doubles as recency order: reads and writes re-insert the
+// entry at the end, so the first key is always the least recently used
+function createMemoryStore(options = {}) {
+    const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    const entries = new Map();
+    let evictions = 0;
+
+    function read(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        entries.delete(key);
+        if (Date.now() >= entry.expiresAt) {
+            return null;
+        }
+        entries.set(key, entry);
+        return entry;
+    }
+
+    function sweepExpired() {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (now >= entry.expiresAt) {
+                entries.delete(key);
+            }
+        });
+    }
+
+    return {
+        backend: 'memory',
+        maxEntries,
+        get evictions() {
+            return evictions;
+        },
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+        async set(key, value, ttl) {
+            entries.delete(key);
+            if (entries.size >= maxEntries) {
+                sweepExpired();
+            }
+            while (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+                evictions++;
+            }
+            entries.set(key, { value, expiresAt: Date.now() + ttl });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async clear() {
+            entries.clear();
+        },
+        async size() {
+            sweepExpired();
+            return entries.size;
+        },
+        async ping() {
+            return true;
+        }
+    };
+}
+
+function createRedisStore(options = {}) {
+    const client = options.client || createRedisClient(options.url, options);
+    const prefix = options.prefix === undefined ? 'crypto-api:' : options.prefix;
+
+    return {
+        backend: 'redis',
+        async get(key) {
+            const raw = await client.command('GET', prefix + key);
+            return raw === null ? null : JSON.parse(raw);
+        },
+        async set(key, value, ttl) {
+            await client.command('SET', prefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttl)));
+        },
+        async delete(key) {
+            await client.command('DEL', prefix + key);
+        },
+        // Only this API's keys, so a shared server is left alone
+        async clear() {
+            let cursor = '0';
+            do {
+                const [nextCursor, keys] = await client.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+                if (keys.length > 0) {
+                    await client.command('DEL', ...keys);
+                }
+                cursor = nextCursor;
+            } while (cursor !== '0');
+        },
+        async size() {
+            let cursor = '0';
+            let count = 0;
+            do {
+                const [nextCursor, keys] = await client.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+                count += keys.length;
+                cursor = nextCursor;
+            } while (cursor !== '0');
+            return count;
+        },
+        async ping() {
+            try {
+                return (await client.command('PING')) === 'PONG';
+            } catch (error) {
+                return false;
+            }
+        },
+        close() {
+            client.quit();
+        }
+    };
+}
+
+// Pick the store from configuration: CACHE_STORE=memory|redis, CACHE_MAX_ENTRIES,
+// REDIS_URL, REDIS_KEY_PREFIX
+function createCacheStore(config = {}) {
+    const backend = (config.backend || 'memory').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryStore({ maxEntries: config.maxEntries });
+    }
+    if (backend === 'redis') {
+        return createRedisStore({ url: config.redisUrl, prefix: config.redisKeyPrefix });
+    }
+
+    throw new Error(`Unknown cache store "${backend}". Available: memory, redis`);
+}
+
+module.exports = {
+    createMemoryStore,
+    createRedisStore,
+    createCacheStore
+};
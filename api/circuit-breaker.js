@@ -0,0 +1,142 @@
+const { silentLogger } = require('./logger');
+const { UpstreamUnavailableError } = require('./errors');
+
+// Circuit breakers for upstream providers
+//
+// One breaker per provider, in one of three states:
+//   closed     - calls go through; failureThreshold failures in a row open it
+//   open       - calls fail at once with UpstreamUnavailableError, sparing a provider that
+//                is down (and the clients waiting on its timeouts), until
+//                resetTimeoutMs have passed
+//   half-open  - one trial call goes through while the others still fail at
+//                once; its success closes the breaker, its failure opens it again
+//
+// Only failures that say the provider is unhealthy count (isFailure, by default
+// every error); a provider answering "not found" is working as it should.
+//
+// call(provider, fn) runs fn through the provider's breaker and settles with its
+// result. A failure threshold of 0 turns the breakers off.
+
+const UNAVAILABLE = 'Upstream unavailable';
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT = 30 * 1000; // 30 seconds
+
+function createCircuitBreaker(options = {}) {
+    const failureThreshold = options.failureThreshold === undefined ? DEFAULT_FAILURE_THRESHOLD : options.failureThreshold;
+    const resetTimeoutMs = options.resetTimeoutMs === undefined ? DEFAULT_RESET_TIMEOUT : options.resetTimeoutMs;
+    const isFailure = options.isFailure || (() => true);
+    const logger = options.logger || silentLogger;
+
+    const breakers = new Map();
+
+    function breakerFor(provider) {
+        if (!breakers.has(provider)) {
+            breakers.set(provider, {
+                state: 'closed',
+                failures: 0, // in a row
+                openedAt: 0,
+                trialInFlight: false,
+                opens: 0
+            });
+        }
+        return breakers.get(provider);
+    }
+
+    // An open breaker whose timeout has passed lets the next call through as a trial
+    function currentState(breaker) {
+        if (breaker.state === 'open' && Date.now() >= breaker.openedAt + resetTimeoutMs) {
+            return 'half-open';
+        }
+        return breaker.state;
+    }
+
+    // The error carries when the provider may be tried again, for Retry-After
+    function unavailable(breaker) {
+        return new UpstreamUnavailableError(UNAVAILABLE, {
+            retryAfterMs: Math.max(0, breaker.openedAt + resetTimeoutMs - Date.now())
+        });
+    }
+
+    function open(provider, breaker) {
+        if (breaker.state !== 'open') {
+            logger.warn('Circuit breaker opened', { provider, failures: breaker.failures });
+            breaker.opens++;
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+
+    async function call(provider, fn) {
+        if (!failureThreshold) {
+            return fn();
+        }
+
+        const breaker = breakerFor(provider);
+        breaker.state = currentState(breaker);
+        if (breaker.state === 'open') {
+            throw unavailable(breaker);
+        }
+
+        const trial = breaker.state === 'half-open';
+        if (trial) {
+            if (breaker.trialInFlight) {
+                throw unavailable(breaker);
+            }
+            breaker.trialInFlight = true;
+        }
+
+        try {
+            const result = await fn();
+            if (trial) {
+                logger.info('Circuit breaker closed', { provider });
+            }
+            breaker.state = 'closed';
+            breaker.failures = 0;
+            return result;
+        } catch (error) {
+            if (!isFailure(error)) {
+                if (trial) {
+                    breaker.state = 'closed';
+                }
+                breaker.failures = 0;
+            } else {
+                breaker.failures++;
+                if (trial || breaker.failures >= failureThreshold) {
+                    open(provider, breaker);
+                }
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                breaker.trialInFlight = false;
+            }
+        }
+    }
+
+    return {
+        call,
+        state(provider) {
+            const breaker = breakers.get(provider);
+            return breaker ? currentState(breaker) : 'closed';
+        },
+        get status() {
+            const status = {};
+            breakers.forEach((breaker, provider) => {
+                const state = currentState(breaker);
+                status[provider] = {
+                    state,
+                    consecutive_failures: breaker.failures,
+                    retry_at: state === 'open' ? new Date(breaker.openedAt + resetTimeoutMs).toISOString() : null,
+                    opens: breaker.opens
+                };
+            });
+            return status;
+        }
+    };
+}
+
+module.exports = {
+    UNAVAILABLE,
+    createCircuitBreaker
+};
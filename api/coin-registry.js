@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { createSearchIndex, searchIndex } = require('./coin-search');
+const { silentLogger } = require('./logger');
+
+// Coin registry
+//
+// Holds every coin's ID, name and symbol from the upstream coin list, apart
+// from the price cache and for much longer (ttl, default 24 hours). The list is
+// persisted to filePath so a restart does not need to fetch it again.
+//
+// resolve(input) turns what a user typed into a coin ID:
+//   1. a preferred coin for the symbol ({ btc: 'bitcoin' }), which settles
+//      symbols that several coins share and wins over obscure coins whose ID
+//      happens to be that symbol
+//   2. an exact coin ID ("bitcoin"), case-insensitively
+//   3. the only coin with that symbol
+//   4. among several coins with that symbol, the one with the best market cap
+//      rank, then the shortest ID, then alphabetically; bridged and wrapped
+//      copies ("bitcoin-avalanche-bridged") have longer IDs than the original
+// Anything else is returned lowercased, for upstream to accept or reject.
+//
+// search(query, { limit }) fuzzy-matches over ID, symbol and name (coin-search.js)
+// using a search index rebuilt whenever the list is.
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+function createCoinRegistry(options) {
+    const listCoins = options.listCoins;
+    const filePath = options.filePath || null;
+    const ttl = options.ttl || DEFAULT_TTL;
+    const logger = options.logger || silentLogger;
+    const preferred = {};
+    Object.entries(options.preferred || {}).forEach(([symbol, id]) => {
+        preferred[symbol.toLowerCase()] = id.toLowerCase();
+    });
+
+    let coins = new Map(); // id -> { id, symbol, name, rank }
+    let bySymbol = new Map(); // lowercase symbol -> [ids]
+    let searchable = createSearchIndex([]);
+    let fetchedAt = null;
+    let source = null;
+    let refreshing = null;
+    let timer = null;
+
+    function index(list, time, from) {
+        const nextCoins = new Map();
+        const nextBySymbol = new Map();
+        list.forEach(coin => {
+            if (!coin || typeof coin.id !== 'string' || typeof coin.symbol !== 'string') {
+                return;
+            }
+            const symbol = coin.symbol.toLowerCase();
+            nextCoins.set(coin.id, {
+                id: coin.id,
+                symbol: coin.symbol.toUpperCase(),
+                name: coin.name || coin.id,
+                rank: coin.market_cap_rank || null
+            });
+            if (!nextBySymbol.has(symbol)) {
+                nextBySymbol.set(symbol, []);
+            }
+            nextBySymbol.get(symbol).push(coin.id);
+        });
+
+        coins = nextCoins;
+        bySymbol = nextBySymbol;
+        searchable = createSearchIndex(nextCoins.values());
+        fetchedAt = time;
+        source = from;
+    }
+
+    function breakTie(ids) {
+        const rankOf = id => coins.get(id).rank || Infinity;
+        return [...ids].sort((a, b) =>
+            (rankOf(a) - rankOf(b)) || a.length - b.length || a.localeCompare(b)
+        )[0];
+    }
+
+    function resolve(input) {
+        const key = String(input).trim().toLowerCase();
+        if (preferred[key]) {
+            return preferred[key];
+        }
+        if (coins.has(key)) {
+            return key;
+        }
+        const candidates = bySymbol.get(key);
+        if (candidates) {
+            return breakTie(candidates);
+        }
+        return key;
+    }
+
+    function info(id) {
+        const coin = coins.get(id);
+        return coin ? { name: coin.name, symbol: coin.symbol } : null;
+    }
+
+    function search(query, options) {
+        return searchIndex(searchable, query, options);
+    }
+
+    async function loadFromDisk() {
+        if (!filePath) {
+            return false;
+        }
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            index(saved.coins || [], saved.fetched_at, 'disk');
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not read coin registry', { file: filePath, error: error.message });
+            }
+            return false;
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves half a registry
+    async function saveToDisk(list) {
+        if (!filePath) {
+            return;
+        }
+        try {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify({ fetched_at: fetchedAt, coins: list }));
+            await fs.promises.rename(tmpPath, filePath);
+        } catch (error) {
+            logger.error('Could not write coin registry', { file: filePath, error: error.message });
+        }
+    }
+
+    // Fetch the coin list from upstream; concurrent calls share one fetch
+    function refresh() {
+        if (!refreshing) {
+            refreshing = (async () => {
+                const list = await listCoins();
+                index(list, Date.now(), 'upstream');
+                await saveToDisk(list);
+                logger.info('Coin registry loaded', { coins: coins.size });
+            })().finally(() => {
+                refreshing = null;
+            });
+        }
+        return refreshing;
+    }
+
+    function isStale() {
+        return fetchedAt === null || Date.now() - fetchedAt >= ttl;
+    }
+
+    // Load from disk, then from upstream if the saved copy is missing or old.
+    // A failed fetch keeps whatever was loaded; preferred symbols still resolve.
+    async function load() {
+        await loadFromDisk();
+        if (isStale()) {
+            try {
+                await refresh();
+            } catch (error) {
+                logger.error('Coin registry refresh failed', { error: error.message });
+            }
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(() => {
+                refresh().catch(error => logger.error('Coin registry refresh failed', { error: error.message }));
+            }, ttl);
+            if (timer.unref) {
+                timer.unref();
+            }
+        }
+        return load();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        resolve,
+        info,
+        search,
+        load,
+        refresh,
+        start,
+        stop,
+        get status() {
+            return {
+                coins: coins.size,
+                source,
+                fetched_at: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+                stale: isStale()
+            };
+        }
+    };
+}
+
+module.exports = {
+    createCoinRegistry
+};
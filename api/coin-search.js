@@ -0,0 +1,162 @@
+// Fuzzy coin matching
+//
+// Each coin is scored against the query on its ID, symbol and name, keeping the
+// best field. Text is compared lowercased with spaces, dashes and dots removed,
+// so "bitcoin cash", "bitcoin-cash" and "BitcoinCash" are the same.
+//   exact match                      1.0
+//   prefix ("ether" -> ethereum)     0.8 - 0.9, closer in length scores higher
+//   contained ("coin" -> bitcoin)    0.6
+//   typo ("etherium" -> ethereum)    up to 0.7, by edit distance
+// Results are ordered by relevance tier (the first decimal of the score, so
+// every prefix match ranks alike), then market cap rank (unranked coins last),
+// then score, then shorter IDs.
+//
+// createSearchIndex(coins) normalizes every field once and buckets the fields by
+// length, best market cap rank first. A query still compares itself with every
+// field for exact, prefix and contained matches, a linear pass of cheap string
+// checks. Only the edit distance, which dominated the cost, is bounded: it runs
+// against fields whose length is within the query's allowed typos, closest
+// lengths first and at most MAX_TYPO_CANDIDATES of them.
+
+const MIN_TYPO_LENGTH = 3;
+const MIN_CONTAINED_LENGTH = 3;
+const MAX_TYPO_CANDIDATES = 1000;
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[\s\-_.]+/g, '');
+}
+
+// Optimal string alignment distance: edits, with adjacent swaps counting as one
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Exact, prefix and contained matches; 0 when the field is none of these
+function scoreField(query, field) {
+    if (field === query) {
+        return 1;
+    }
+    if (field.startsWith(query)) {
+        return 0.8 + 0.1 * (query.length / field.length);
+    }
+    if (query.length >= MIN_CONTAINED_LENGTH && field.includes(query)) {
+        return 0.6;
+    }
+    return 0;
+}
+
+function typoScore(query, field, allowed) {
+    const distance = editDistance(query, field, allowed);
+    return distance <= allowed ? 0.7 * (1 - distance / Math.max(query.length, field.length)) : 0;
+}
+
+// coins: iterable of { id, symbol, name, rank }
+function createSearchIndex(coins) {
+    const entries = [];
+    const byLength = new Map(); // field length -> [entry, field] pairs
+    for (const coin of coins) {
+        const fields = [...new Set([coin.id, coin.symbol, coin.name].map(normalize).filter(Boolean))];
+        const entry = { coin, fields };
+        entries.push(entry);
+        fields.forEach(field => {
+            if (!byLength.has(field.length)) {
+                byLength.set(field.length, []);
+            }
+            byLength.get(field.length).push([entry, field]);
+        });
+    }
+
+    const rankOf = entry => (entry.coin.rank ? entry.coin.rank : Infinity);
+    byLength.forEach(bucket => bucket.sort(([a], [b]) => rankOf(a) - rankOf(b)));
+    return { entries, byLength };
+}
+
+// Returns the best `limit` matches in the index with their score
+function searchIndex(index, query, { limit = 10, minScore = 0 } = {}) {
+    const normalized = normalize(query);
+    if (!normalized) {
+        return [];
+    }
+
+    const scores = new Map(); // entry -> best score of its fields
+    const keep = (entry, score) => {
+        if (score > (scores.get(entry) || 0)) {
+            scores.set(entry, score);
+        }
+    };
+
+    index.entries.forEach(entry => {
+        entry.fields.forEach(field => keep(entry, scoreField(normalized, field)));
+    });
+
+    if (normalized.length >= MIN_TYPO_LENGTH) {
+        const allowed = Math.max(1, Math.floor(normalized.length / 4));
+        let budget = MAX_TYPO_CANDIDATES;
+        for (let offset = 0; offset <= allowed && budget > 0; offset++) {
+            const lengths = offset === 0 ? [normalized.length] : [normalized.length - offset, normalized.length + offset];
+            lengths.forEach(length => {
+                const candidates = (index.byLength.get(length) || []).slice(0, Math.max(0, budget));
+                budget -= candidates.length;
+                candidates.forEach(([entry, field]) => {
+                    if (scoreField(normalized, field) === 0) {
+                        keep(entry, typoScore(normalized, field, allowed));
+                    }
+                });
+            });
+        }
+    }
+
+    const matches = [];
+    scores.forEach((score, entry) => {
+        if (score > minScore) {
+            matches.push({ coin: entry.coin, score });
+        }
+    });
+
+    const tierOf = match => Math.floor(match.score * 10);
+    const rankOf = coin => (coin.rank ? coin.rank : Infinity);
+    matches.sort((a, b) =>
+        tierOf(b) - tierOf(a) ||
+        rankOf(a.coin) - rankOf(b.coin) ||
+        b.score - a.score ||
+        a.coin.id.length - b.coin.id.length ||
+        a.coin.id.localeCompare(b.coin.id)
+    );
+
+    return matches.slice(0, limit).map(({ coin, score }) => ({ ...coin, score: Math.round(score * 1000) / 1000 }));
+}
+
+// coins: iterable of { id, symbol, name, rank }; indexes them for a single search
+function searchCoins(coins, query, options) {
+    return searchIndex(createSearchIndex(coins), query, options);
+}
+
+module.exports = {
+    editDistance,
+    createSearchIndex,
+    searchIndex,
+    searchCoins
+};
@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { BASE_URLS, DEFAULT_TIMEOUTS, UPSTREAM_BUDGETS } = require('./providers');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+// Configuration
+//
+// Every tunable setting is listed in SCHEMA with its type, limits, default and
+// environment variable. loadConfig() starts from the defaults, applies the file
+// named by CONFIG_FILE (JSON, or YAML for .yml/.yaml) and then the environment,
+// so a deployment can keep most settings in a mounted file and override single
+// ones per container:
+//
+//   # config.yml
+//   cache:
+//     store: redis
+//     price_ttl: 120000
+//   upstream:
+//     budgets: { coingecko: 500 }
+//
+// Every value is checked against the schema, and all problems are reported
+// together at startup, naming the variable or file they came from. Durations are
+// in milliseconds. Maps (upstream.budgets, coin_registry.symbol_overrides) are
+// merged key by key over their defaults; in the environment they are written
+// "key=value,key=value" and lists "a,b".
+//
+// loadConfig() resolves to { values, sources, file }: the settings as nested
+// objects, where each setting came from ('default', 'file' or 'env'), and the
+// file read, if any. redactConfig(values) masks credentials for display.
+
+const PROVIDER_NAMES = Object.keys(BASE_URLS);
+const STORES = ['memory', 'redis'];
+
+const SCHEMA = {
+    server: {
+        port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+        // false, true, a hop count, or addresses and subnets (see README)
+        trust_proxy: { env: 'TRUST_PROXY', type: 'string', default: 'false' }
+    },
+    logging: {
+        level: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+        format: { env: 'LOG_FORMAT', type: 'enum', values: LOG_FORMATS, default: 'json' }
+    },
+    openapi: {
+        // Whether responses are checked against /openapi.json: not at all, logging a
+        // mismatch, or answering 500 for it. Off by default to keep it off the hot path
+        response_validation: { env: 'OPENAPI_RESPONSE_VALIDATION', type: 'enum', values: ['off', 'warn', 'error'], default: 'off' }
+    },
+    cache: {
+        store: { env: 'CACHE_STORE', type: 'enum', values: STORES, default: 'memory' },
+        max_entries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', min: 1, default: 1000 },
+        price_ttl: { env: 'CACHE_PRICE_TTL', type: 'integer', min: 1000, default: 5 * 60 * 1000 },
+        metadata_ttl: { env: 'CACHE_METADATA_TTL', type: 'integer', min: 1000, default: 24 * 60 * 60 * 1000 },
+        last_known_retention: { env: 'CACHE_LAST_KNOWN_RETENTION', type: 'integer', min: 0, default: 24 * 60 * 60 * 1000 }
+    },
+    redis: {
+        url: { env: 'REDIS_URL', type: 'url', protocols: ['redis:'], default: 'redis://localhost:6379' },
+        key_prefix: { env: 'REDIS_KEY_PREFIX', type: 'string', default: 'crypto-api:' },
+        // Redis for rate limit buckets and usage counts, which must not be evicted;
+        // null uses redis.url
+        state_url: { env: 'REDIS_STATE_URL', type: 'url', protocols: ['redis:'], default: null }
+    },
+    rate_limit: {
+        store: { env: 'RATE_LIMIT_STORE', type: 'enum', values: STORES, default: 'memory' },
+        burst: { env: 'RATE_LIMIT_BURST', type: 'integer', min: 1, default: 50 },
+        refill_per_second: { env: 'RATE_LIMIT_REFILL', type: 'number', min: 0.001, default: 50 / 60 }
+    },
+    api_keys: {
+        file: { env: 'API_KEYS_FILE', type: 'string', default: null }
+    },
+    usage: {
+        store: { env: 'USAGE_STORE', type: 'enum', values: STORES, default: 'memory' }
+    },
+    providers: {
+        chain: { env: 'PRICE_PROVIDERS', type: 'list', values: PROVIDER_NAMES, min: 1, default: ['coingecko'] },
+        // COINGECKO_BASE_URL, COINCAP_BASE_URL, ...
+        base_urls: Object.fromEntries(PROVIDER_NAMES.map(name => [name, {
+            env: `${name.toUpperCase()}_BASE_URL`,
+            type: 'url',
+            protocols: ['http:', 'https:'],
+            default: BASE_URLS[name]
+        }]))
+    },
+    upstream: {
+        timeout: { env: 'UPSTREAM_TIMEOUT', type: 'integer', min: 100, default: DEFAULT_TIMEOUTS.quote },
+        bulk_timeout: { env: 'UPSTREAM_BULK_TIMEOUT', type: 'integer', min: 100, default: DEFAULT_TIMEOUTS.bulk },
+        coin_list_timeout: { env: 'UPSTREAM_COIN_LIST_TIMEOUT', type: 'integer', min: 100, default: DEFAULT_TIMEOUTS.coinList },
+        // calls per minute per provider, 0 for no limit
+        budgets: {
+            env: 'UPSTREAM_BUDGETS',
+            type: 'map',
+            keys: PROVIDER_NAMES,
+            value: { type: 'integer', min: 0 },
+            default: UPSTREAM_BUDGETS
+        },
+        pause: { env: 'UPSTREAM_PAUSE', type: 'integer', min: 0, default: 60 * 1000 },
+        retries: { env: 'UPSTREAM_RETRIES', type: 'integer', min: 0, max: 10, default: 2 },
+        breaker_threshold: { env: 'UPSTREAM_BREAKER_THRESHOLD', type: 'integer', min: 0, default: 5 },
+        breaker_reset: { env: 'UPSTREAM_BREAKER_RESET', type: 'integer', min: 1000, default: 30 * 1000 }
+    },
+    prices: {
+        // Distinct coins one /prices request may ask for
+        max_batch_size: { env: 'PRICES_MAX_BATCH_SIZE', type: 'integer', min: 1, max: 250, default: 50 }
+    },
+    refresh: {
+        interval: { env: 'REFRESH_INTERVAL', type: 'integer', min: 0, default: 4 * 60 * 1000 },
+        budget: { env: 'REFRESH_BUDGET', type: 'integer', min: 1, default: 5 }
+    },
+    stream: {
+        refresh_interval: { env: 'STREAM_REFRESH_INTERVAL', type: 'integer', min: 1000, default: 30 * 1000 },
+        // Distinct coins watched across every stream and socket, and coins per upstream call
+        max_watched_ids: { env: 'STREAM_MAX_WATCHED_IDS', type: 'integer', min: 1, default: 500 },
+        batch_size: { env: 'STREAM_BATCH_SIZE', type: 'integer', min: 1, max: 250, default: 50 },
+        // Open /ws/prices connections
+        max_socket_connections: { env: 'WS_MAX_CONNECTIONS', type: 'integer', min: 1, default: 1000 }
+    },
+    coin_registry: {
+        file: { env: 'COIN_REGISTRY_FILE', type: 'string', default: path.join(__dirname, 'data', 'coin-registry.json') },
+        symbol_overrides: { env: 'COIN_SYMBOL_OVERRIDES', type: 'map', value: { type: 'string' }, default: {} }
+    }
+};
+
+function isSetting(node) {
+    return typeof node.type === 'string';
+}
+
+// Every setting as [dotted name, spec]
+function flattenSchema(node = SCHEMA, prefix = '') {
+    return Object.entries(node).flatMap(([key, child]) => (
+        isSetting(child) ? [[prefix + key, child]] : flattenSchema(child, `${prefix}${key}.`)
+    ));
+}
+
+function range(spec) {
+    if (spec.min !== undefined && spec.max !== undefined) {
+        return ` between ${spec.min} and ${spec.max}`;
+    }
+    if (spec.min !== undefined) {
+        return ` of at least ${spec.min}`;
+    }
+    return '';
+}
+
+// Convert a value from the file or the environment (always a string there) to
+// the setting's type; throws with the reason it does not fit
+function coerce(spec, raw, fromEnv) {
+    if (raw === null) {
+        if (spec.default !== null) {
+            throw new Error('must be set');
+        }
+        return null;
+    }
+
+    switch (spec.type) {
+    case 'integer':
+    case 'number': {
+        const number = typeof raw === 'number' ? raw : (/^\s*-?\d+(\.\d+)?\s*$/.test(String(raw)) ? Number(raw) : NaN);
+        const valid = spec.type === 'integer' ? Number.isInteger(number) : Number.isFinite(number);
+        if (!valid || (spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+            throw new Error(`must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}${range(spec)}`);
+        }
+        return number;
+    }
+    case 'string':
+        if (typeof raw === 'object') {
+            throw new Error('must be a string');
+        }
+        return String(raw);
+    case 'enum': {
+        const value = String(raw).toLowerCase();
+        if (typeof raw === 'object' || !spec.values.includes(value)) {
+            throw new Error(`must be one of: ${spec.values.join(', ')}`);
+        }
+        return value;
+    }
+    case 'url': {
+        let url;
+        try {
+            url = new URL(String(raw));
+        } catch (error) {
+            url = null;
+        }
+        if (typeof raw === 'object' || !url || !spec.protocols.includes(url.protocol)) {
+            throw new Error(`must be a ${spec.protocols.map(protocol => protocol.replace(':', '')).join(' or ')} URL`);
+        }
+        return String(raw).replace(/\/$/, '');
+    }
+    case 'list': {
+        if (typeof raw === 'object' && !Array.isArray(raw)) {
+            throw new Error('must be a list');
+        }
+        const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+        const values = items.map(item => item.trim().toLowerCase()).filter(Boolean);
+        if (values.length < (spec.min || 0) || !values.every(value => spec.values.includes(value))) {
+            throw new Error(`must list at least ${spec.min} of: ${spec.values.join(', ')}`);
+        }
+        return values;
+    }
+    case 'map': {
+        let entries;
+        if (fromEnv) {
+            entries = String(raw).split(',').filter(pair => pair.trim()).map(pair => {
+                const separator = pair.indexOf('=');
+                if (separator === -1) {
+                    throw new Error('must be written key=value,key=value');
+                }
+                return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+            });
+        } else if (typeof raw === 'object' && !Array.isArray(raw)) {
+            entries = Object.entries(raw);
+        } else {
+            throw new Error('must be a map of key: value');
+        }
+        const map = {};
+        entries.forEach(([key, value]) => {
+            if (spec.keys && !spec.keys.includes(key.toLowerCase())) {
+                throw new Error(`has unknown key "${key}"; keys must be among: ${spec.keys.join(', ')}`);
+            }
+            try {
+                map[spec.keys ? key.toLowerCase() : key] = coerce({ ...spec.value, default: undefined }, value, fromEnv);
+            } catch (error) {
+                throw new Error(`value for "${key}" ${error.message}`);
+            }
+        });
+        return map;
+    }
+    default:
+        throw new Error(`has unknown type "${spec.type}"`);
+    }
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+        parsed = /\.ya?ml$/i.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Cannot parse config file ${file}: ${error.message}`);
+    }
+
+    if (parsed === undefined || parsed === null) {
+        return {};
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`Config file ${file} must hold a map of settings`);
+    }
+    return parsed;
+}
+
+// Dotted names of file entries that are not settings
+function unknownKeys(node, schema, prefix = '') {
+    return Object.entries(node).flatMap(([key, value]) => {
+        const child = schema[key];
+        if (!child) {
+            return [prefix + key];
+        }
+        if (isSetting(child) || value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return [];
+        }
+        return unknownKeys(value, child, `${prefix}${key}.`);
+    });
+}
+
+function lookup(node, name) {
+    return name.split('.').reduce((value, key) => (
+        value !== null && typeof value === 'object' && !Array.isArray(value) ? value[key] : undefined
+    ), node);
+}
+
+function assign(target, name, value) {
+    const keys = name.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+    }, target);
+    parent[last] = value;
+}
+
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const file = options.file === undefined ? env.CONFIG_FILE || null : options.file;
+    const fileValues = file ? readConfigFile(file) : {};
+
+    const problems = unknownKeys(fileValues, SCHEMA).map(name => `${name} in ${file}: unknown setting`);
+    const values = {};
+    const sources = {};
+
+    flattenSchema().forEach(([name, spec]) => {
+        let value = spec.default;
+        let source = 'default';
+
+        const layers = [
+            { raw: lookup(fileValues, name), label: `${name} in ${file}`, from: 'file', fromEnv: false },
+            // An empty variable counts as unset, as Compose leaves ${VAR} without a value
+            { raw: env[spec.env] === '' ? undefined : env[spec.env], label: spec.env, from: 'env', fromEnv: true }
+        ];
+        layers.forEach(layer => {
+            if (layer.raw === undefined) {
+                return;
+            }
+            try {
+                const parsed = coerce(spec, layer.raw, layer.fromEnv);
+                value = spec.type === 'map' ? { ...value, ...parsed } : parsed;
+                source = layer.from;
+            } catch (error) {
+                problems.push(`${layer.label}: ${error.message}, got ${JSON.stringify(layer.raw)}`);
+            }
+        });
+
+        assign(values, name, value);
+        sources[name] = source;
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+    }
+
+    if (values.redis.state_url === null) {
+        values.redis.state_url = values.redis.url;
+    }
+
+    return { values, sources, file };
+}
+
+// A copy of the values with the passwords in URLs masked
+function redactConfig(values) {
+    const redacted = JSON.parse(JSON.stringify(values));
+    flattenSchema().forEach(([name, spec]) => {
+        const value = lookup(redacted, name);
+        if (spec.type === 'url' && value) {
+            const url = new URL(value);
+            if (url.password) {
+                url.password = 'redacted';
+                assign(redacted, name, url.toString().replace(/\/$/, ''));
+            }
+        }
+    });
+    return redacted;
+}
+
+module.exports = {
+    SCHEMA,
+    loadConfig,
+    redactConfig
+};
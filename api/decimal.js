@@ -0,0 +1,73 @@
+// Decimal arithmetic on BigInt
+//
+// A decimal is { units, scale } meaning units / 10^scale, so 1.25 is
+// { units: 125n, scale: 2 }. Conversions multiply and divide user amounts by
+// upstream prices, and binary floats would leak rounding noise such as
+// 0.30000000000000004 into the result, so amounts never become Numbers.
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+function create(units, scale) {
+    return { units, scale };
+}
+
+// Parse a plain decimal string such as "1500" or "0.25"; returns null if invalid
+function parseDecimal(text) {
+    const match = DECIMAL_PATTERN.exec(String(text).trim());
+    if (!match) {
+        return null;
+    }
+    const fraction = match[2] || '';
+    return create(BigInt(match[1] + fraction), fraction.length);
+}
+
+// Exact decimal for a finite number as JavaScript prints it (1e-7 included)
+function fromNumber(value) {
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Cannot convert ${value} to a decimal`);
+    }
+
+    const [mantissa, exponentPart] = String(value).split('e');
+    const exponent = exponentPart ? parseInt(exponentPart, 10) : 0;
+    const [whole, fraction = ''] = mantissa.split('.');
+    const scale = fraction.length - exponent;
+
+    const units = BigInt(whole + fraction);
+    return scale >= 0 ? create(units, scale) : create(units * 10n ** BigInt(-scale), 0);
+}
+
+function multiply(a, b) {
+    return create(a.units * b.units, a.scale + b.scale);
+}
+
+// a / b with `scale` decimal places, rounding half up
+function divide(a, b, scale) {
+    if (b.units === 0n) {
+        throw new Error('Division by zero');
+    }
+    // (a.units / 10^a.scale) / (b.units / 10^b.scale) * 10^scale, scaled up once more for rounding
+    const numerator = a.units * 10n ** BigInt(b.scale + scale + 1);
+    const denominator = b.units * 10n ** BigInt(a.scale);
+    const quotient = numerator / denominator;
+    return create((quotient + 5n) / 10n, scale);
+}
+
+// Plain string without trailing zeros: "1.50" is printed as "1.5"
+function toString(a) {
+    let digits = a.units.toString();
+    if (a.scale === 0) {
+        return digits;
+    }
+    digits = digits.padStart(a.scale + 1, '0');
+    const whole = digits.slice(0, digits.length - a.scale);
+    const fraction = digits.slice(digits.length - a.scale).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+module.exports = {
+    parseDecimal,
+    fromNumber,
+    multiply,
+    divide,
+    toString
+};
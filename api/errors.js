@@ -0,0 +1,211 @@
+const { currentRequestId } = require('./logger');
+
+// Errors
+//
+// Failures reported to clients are thrown as one of the classes below and told
+// apart with instanceof, not by their message:
+//
+//   ApiError                           500  internal-error
+//   ├── ValidationError                400  invalid-request
+//   │   └── UnsupportedCurrencyError   400  unsupported-currency
+//   ├── AuthenticationError            401  unauthorized
+//   ├── ForbiddenError                 403  forbidden
+//   ├── NotFoundError                  404  not-found
+//   ├── UpstreamTimeoutError           408  upstream-timeout
+//   ├── RateLimitError                 429  rate-limited
+//   │   └── QuotaExceededError         429  quota-exceeded
+//   ├── UpstreamRateLimitedError       429  upstream-rate-limited
+//   ├── ServiceUnavailableError        503  unavailable
+//   └── UpstreamUnavailableError       503  upstream-unavailable
+//
+// new XxxError(message, options): the message is what the thrower says
+// ('Cryptocurrency not found') and is what gets logged. options.detail explains
+// the failure to the client (the class's default, or the message), options.label
+// replaces the message as the short `error` member, options.fields adds members
+// such as did_you_mean, and options.retryAfterMs is sent as Retry-After.
+//
+// sendProblem(res, error) answers with any error as an RFC 7807
+// application/problem+json body:
+//   { "type": "/docs#problem-not-found", "title": "Not found", "status": 404,
+//     "detail": "The specified cryptocurrency ID does not exist",
+//     "instance": "/price/bitconi", "request_id": "4bf92f35...",
+//     "error": "Cryptocurrency not found", "message": "The specified ..." }
+// `type` is fixed per class and documented on /docs. `error` and `message` keep
+// the shape error bodies had before problem details, which the WordPress plugin
+// reads. Any other error is a 500 whose message is not shown to the client.
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+class ApiError extends Error {
+    static status = 500;
+    static type = 'internal-error';
+    static title = 'Internal server error';
+    static description = 'Something failed unexpectedly on the server.';
+
+    constructor(message, options = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.label = options.label || new.target.label || message;
+        this.detail = options.detail || new.target.detail || message;
+        this.fields = options.fields || {};
+        if (options.retryAfterMs !== undefined) {
+            this.retryAfterMs = options.retryAfterMs;
+        }
+    }
+
+    get status() {
+        return this.constructor.status;
+    }
+}
+
+class ValidationError extends ApiError {
+    static status = 400;
+    static type = 'invalid-request';
+    static title = 'Invalid request';
+    static description = 'A path or query parameter is malformed or out of range; error names it.';
+}
+
+class UnsupportedCurrencyError extends ValidationError {
+    static type = 'unsupported-currency';
+    static title = 'Currency not supported';
+    static description = 'No provider can quote the coin in any of the requested currencies.';
+    static detail = 'None of the requested currencies can be quoted for this cryptocurrency';
+}
+
+class AuthenticationError extends ApiError {
+    static status = 401;
+    static type = 'unauthorized';
+    static title = 'Unauthorized';
+    static description = 'The API key is not recognized, or an admin endpoint was called without one.';
+}
+
+class ForbiddenError extends ApiError {
+    static status = 403;
+    static type = 'forbidden';
+    static title = 'Forbidden';
+    static description = 'The API key may not call this endpoint.';
+}
+
+class NotFoundError extends ApiError {
+    static status = 404;
+    static type = 'not-found';
+    static title = 'Not found';
+    static description = 'No provider knows the cryptocurrency; did_you_mean suggests close matches.';
+    static detail = 'The specified cryptocurrency ID does not exist';
+}
+
+class UpstreamTimeoutError extends ApiError {
+    static status = 408;
+    static type = 'upstream-timeout';
+    static title = 'Upstream timeout';
+    static description = 'The price providers took too long to answer.';
+    static detail = 'Request took too long to complete';
+}
+
+class RateLimitError extends ApiError {
+    static status = 429;
+    static type = 'rate-limited';
+    static title = 'Too many requests';
+    static description = 'The caller\'s rate limit is used up; Retry-After says when to try again.';
+}
+
+class QuotaExceededError extends RateLimitError {
+    static type = 'quota-exceeded';
+    static title = 'Quota exceeded';
+    static description = 'The API key has used its monthly quota; Retry-After counts down to next month.';
+}
+
+class UpstreamRateLimitedError extends ApiError {
+    static status = 429;
+    static type = 'upstream-rate-limited';
+    static title = 'Upstream rate limit exceeded';
+    static description = 'The price providers are rate limiting this API; Retry-After is passed on when they send one.';
+    static label = 'Rate limit exceeded';
+    static detail = 'API rate limit exceeded. Please try again later.';
+}
+
+class ServiceUnavailableError extends ApiError {
+    static status = 503;
+    static type = 'unavailable';
+    static title = 'Service unavailable';
+    static description = 'No configured provider or store can serve the request.';
+}
+
+class UpstreamUnavailableError extends ApiError {
+    static status = 503;
+    static type = 'upstream-unavailable';
+    static title = 'Upstream unavailable';
+    static description = 'The price providers are failing and nothing is cached; Retry-After, sent when a provider or its open circuit breaker says, tells when to try again.';
+    static detail = 'The price providers are failing and no cached data is available. Please try again later.';
+}
+
+const ERROR_CLASSES = [
+    ApiError,
+    ValidationError,
+    UnsupportedCurrencyError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    UpstreamTimeoutError,
+    RateLimitError,
+    QuotaExceededError,
+    UpstreamRateLimitedError,
+    ServiceUnavailableError,
+    UpstreamUnavailableError
+];
+
+// Relative to the API, so it resolves to the type's entry on its /docs page
+function problemType(ErrorClass) {
+    return `/docs#problem-${ErrorClass.type}`;
+}
+
+// The problem details body for an error raised while serving `path`
+function problemDetails(error, path) {
+    const known = error instanceof ApiError
+        ? error
+        : new ApiError('Internal server error', { detail: 'An unexpected error occurred' });
+    const { status, title } = known.constructor;
+
+    const problem = { type: problemType(known.constructor), title, status, detail: known.detail, instance: path };
+    const requestId = currentRequestId();
+    if (requestId) {
+        problem.request_id = requestId;
+    }
+    return { ...problem, error: known.label, message: known.detail, ...known.fields };
+}
+
+// The headers of a problem response: its content type, plus Retry-After when the
+// error says when to try again
+function problemHeaders(error) {
+    const headers = { 'Content-Type': PROBLEM_CONTENT_TYPE };
+    if (error instanceof ApiError && error.retryAfterMs !== undefined) {
+        headers['Retry-After'] = String(Math.max(1, Math.ceil(error.retryAfterMs / 1000)));
+    }
+    return headers;
+}
+
+function sendProblem(res, error) {
+    const problem = problemDetails(error, res.req.originalUrl.split('?')[0]);
+    return res.status(problem.status).set(problemHeaders(error)).json(problem);
+}
+
+module.exports = {
+    PROBLEM_CONTENT_TYPE,
+    ERROR_CLASSES,
+    ApiError,
+    ValidationError,
+    UnsupportedCurrencyError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    UpstreamTimeoutError,
+    RateLimitError,
+    QuotaExceededError,
+    UpstreamRateLimitedError,
+    ServiceUnavailableError,
+    UpstreamUnavailableError,
+    problemType,
+    problemDetails,
+    problemHeaders,
+    sendProblem
+};
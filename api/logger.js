@@ -0,0 +1,110 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Logging
+//
+// createLogger(options) returns a logger with one method per level:
+//   error(message, fields)  warn(...)  info(...)  debug(...)
+// Each writes one line, JSON by default so a log pipeline can parse it:
+//   {"time":"2024-01-01T00:00:00.000Z","level":"info","msg":"Cache hit","key":"bitcoin:usd"}
+// or, with format 'text', "2024-01-01T00:00:00.000Z INFO Cache hit key=bitcoin:usd"
+// for reading in a terminal. Messages below options.level ('error', 'warn',
+// 'info' - the default - or 'debug') are dropped; 'silent' drops them all.
+// child(fields) returns a logger that adds fields to every line.
+//
+// Work run through runWithRequestId(id, fn) belongs to that request: every
+// line logged from it, however deep in the call stack or after however many
+// awaits, carries "request_id", and currentRequestId() returns it (providers.js
+// sends it upstream). Lines go to stderr for error and warn, stdout otherwise,
+// unless options.write(line, level) is given.
+//
+// Modules take options.logger and log nothing without one (silentLogger).
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_LEVELS = [...LEVELS, 'silent'];
+const LOG_FORMATS = ['json', 'text'];
+
+// Accepted from X-Request-Id; anything else is replaced with a new ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+function currentRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+}
+
+// The caller's X-Request-Id when it is usable, a new random ID otherwise
+function requestIdFrom(header) {
+    return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomBytes(16).toString('hex');
+}
+
+function serializeError(error) {
+    return { message: error.message, ...(error.code && { code: error.code }), stack: error.stack };
+}
+
+function formatText(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const pairs = Object.entries(fields).map(([name, value]) => {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return `${name}=${/[\s"=]/.test(text) ? JSON.stringify(text) : text}`;
+    });
+    return [time, level.toUpperCase(), msg, ...pairs].join(' ');
+}
+
+function defaultWrite(line, level) {
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function createLogger(options = {}) {
+    const level = options.level || 'info';
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}". Available: ${LOG_LEVELS.join(', ')}`);
+    }
+    const format = options.format || 'json';
+    const write = options.write || defaultWrite;
+    const threshold = LEVELS.indexOf(level); // -1 for silent
+
+    function build(base) {
+        const logger = {
+            level,
+            enabled: name => LEVELS.indexOf(name) <= threshold,
+            child: fields => build({ ...base, ...fields })
+        };
+        LEVELS.forEach((name, index) => {
+            logger[name] = (message, fields = {}) => {
+                if (index > threshold) {
+                    return;
+                }
+                const entry = { time: new Date().toISOString(), level: name, msg: message, ...base };
+                const requestId = currentRequestId();
+                if (requestId) {
+                    entry.request_id = requestId;
+                }
+                Object.entries(fields).forEach(([key, value]) => {
+                    entry[key] = value instanceof Error ? serializeError(value) : value;
+                });
+                write(format === 'text' ? formatText(entry) : JSON.stringify(entry), name);
+            };
+        });
+        return logger;
+    }
+
+    return build(options.fields || {});
+}
+
+const silentLogger = createLogger({ level: 'silent' });
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    createLogger,
+    silentLogger,
+    runWithRequestId,
+    currentRequestId,
+    requestIdFrom
+};
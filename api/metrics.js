@@ -0,0 +1,163 @@
+// Metrics registry
+//
+// An in-process registry rendered in the Prometheus text exposition format
+// (version 0.0.4) for /metrics, so any Prometheus-compatible scraper can
+// collect it without an agent or client library:
+//   counter(name, help, labelNames)             - inc(labels, value = 1)
+//   gauge(name, help, labelNames)               - set(labels, value), inc, dec
+//   histogram(name, help, labelNames, buckets)  - observe(labels, value)
+//   render()                                    - the exposition text
+//
+// Counters and gauges can instead be given options.collect, a function that
+// returns the current value (or [{ labels, value }]) at render time, for numbers
+// another module already keeps. Labels are passed as objects keyed by the
+// label names; keep their values to a small set (route patterns, not URLs).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, from a cache hit to a slow upstream call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+function formatLabels(pairs) {
+    if (pairs.length === 0) {
+        return '';
+    }
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    function register(name, metric) {
+        if (metrics.has(name)) {
+            throw new Error(`Metric "${name}" is already registered`);
+        }
+        metrics.set(name, metric);
+    }
+
+    // Series are kept per label combination, in labelNames order
+    function seriesKey(labelNames, labels = {}) {
+        return JSON.stringify(labelNames.map(label => (labels[label] === undefined ? '' : String(labels[label]))));
+    }
+
+    function labelPairs(labelNames, key) {
+        return JSON.parse(key).map((value, index) => [labelNames[index], value]);
+    }
+
+    function scalar(type, name, help, labelNames = [], options = {}) {
+        const values = new Map();
+
+        function inc(labels, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + value);
+        }
+
+        register(name, {
+            type,
+            help,
+            samples() {
+                if (options.collect) {
+                    const collected = options.collect();
+                    const list = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                    return list.map(({ labels, value }) => ({
+                        name,
+                        labels: labelPairs(labelNames, seriesKey(labelNames, labels)),
+                        value
+                    }));
+                }
+                return [...values.entries()].map(([key, value]) => ({ name, labels: labelPairs(labelNames, key), value }));
+            }
+        });
+
+        const metric = {
+            inc,
+            get: labels => values.get(seriesKey(labelNames, labels)) || 0
+        };
+        if (type === 'gauge') {
+            metric.set = (labels, value) => values.set(seriesKey(labelNames, labels), value);
+            metric.dec = (labels, value = 1) => inc(labels, -value);
+        }
+        return metric;
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = new Map();
+
+        function observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            bounds.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+
+        register(name, {
+            type: 'histogram',
+            help,
+            samples() {
+                return [...series.entries()].flatMap(([key, entry]) => {
+                    const labels = labelPairs(labelNames, key);
+                    return [
+                        ...bounds.map((bound, index) => ({
+                            name: `${name}_bucket`,
+                            labels: [...labels, ['le', formatValue(bound)]],
+                            value: entry.counts[index]
+                        })),
+                        { name: `${name}_bucket`, labels: [...labels, ['le', '+Inf']], value: entry.count },
+                        { name: `${name}_sum`, labels, value: entry.sum },
+                        { name: `${name}_count`, labels, value: entry.count }
+                    ];
+                });
+            }
+        });
+
+        return { observe };
+    }
+
+    function render() {
+        const lines = [];
+        metrics.forEach((metric, name) => {
+            lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+            metric.samples().forEach(sample => {
+                lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+            });
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        counter: (name, help, labelNames, options) => scalar('counter', name, help, labelNames, options),
+        gauge: (name, help, labelNames, options) => scalar('gauge', name, help, labelNames, options),
+        histogram,
+        render,
+        contentType: CONTENT_TYPE
+    };
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry
+};
@@ -0,0 +1,1132 @@
+const {
+    ERROR_CLASSES,
+    PROBLEM_CONTENT_TYPE,
+    ApiError,
+    ValidationError,
+    problemType,
+    sendProblem
+} = require('./errors');
+
+// OpenAPI description
+//
+// buildOpenApiSpec(limits) returns the OpenAPI 3.0 document for every HTTP
+// route, served at /openapi.json and rendered as HTML by renderDocsPage(spec)
+// at /docs. The limits (market fields, currencies per request, history ranges,
+// search and stream sizes, ...) are passed in by app.js, so the document states
+// what the routes actually accept.
+//
+// createOpenApiValidator(spec, options) is middleware that checks each
+// request's path and query parameters against the document before its route
+// runs, and each JSON response body on the way out. A parameter may carry an
+// "x-error" ({ error, message }) to answer with when it is invalid, so a
+// rejected request gets the same 400 problem its route would have sent; its
+// optional "values" names a member listing the rejected values (invalid_ids).
+//
+// validateSchema(schema, value, spec, path) supports the keywords the document
+// uses - type, nullable, enum, pattern, minLength/maxLength, minimum/maximum,
+// minItems/maxItems, properties, required, additionalProperties, items, format
+// date-time and $ref - not all of JSON Schema. It returns the problems found as
+// strings such as 'query.days must be one of: 1, 7, 30, 365'.
+
+const OPENAPI_VERSION = '3.0.3';
+
+function resolveRef(spec, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref "${ref}"`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], spec);
+}
+
+function resolve(spec, node) {
+    return node && node.$ref ? resolve(spec, resolveRef(spec, node.$ref)) : node;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function validateSchema(schema, value, spec, path = 'value') {
+    schema = resolve(spec, schema);
+    if (!schema) {
+        return [];
+    }
+
+    if (value === null) {
+        return schema.nullable ? [] : [`${path} must not be null`];
+    }
+
+    const actual = typeOf(value);
+    if (schema.type && !(schema.type === actual || (schema.type === 'number' && actual === 'integer'))) {
+        return [`${path} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${actual}`];
+    }
+
+    const problems = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problems.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            problems.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push(`${path} must match ${schema.pattern}`);
+        }
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            problems.push(`${path} must be a date-time`);
+        }
+    }
+
+    if (actual === 'integer' || actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            problems.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            problems.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                problems.push(...validateSchema(schema.items, item, spec, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                problems.push(`${path}.${name} is required`);
+            }
+        });
+        Object.entries(value).forEach(([name, item]) => {
+            if (properties[name]) {
+                problems.push(...validateSchema(properties[name], item, spec, `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${path}.${name} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                problems.push(...validateSchema(schema.additionalProperties, item, spec, `${path}.${name}`));
+            }
+        });
+    }
+
+    return problems;
+}
+
+// Query and path values arrive as strings; numbers and booleans are read from them
+function coerce(schema, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Problems with one parameter. Comma-separated lists (explode: false) are split,
+// trimmed and may also be repeated; any other repeated parameter is checked once
+// per value.
+function validateParameter(parameter, raw, spec) {
+    const schema = resolve(spec, parameter.schema);
+    const path = `${parameter.in}.${parameter.name}`;
+
+    if (schema.type === 'array') {
+        const items = [].concat(raw).flatMap(value => {
+            if (typeof value !== 'string') {
+                return [value];
+            }
+            return (parameter.explode === false ? value.split(',') : [value]).map(item => item.trim()).filter(Boolean);
+        });
+        const itemSchema = resolve(spec, schema.items) || {};
+        return validateSchema(schema, items.map(item => coerce(itemSchema, item)), spec, path);
+    }
+
+    return [].concat(raw).flatMap(value => validateSchema(schema, coerce(schema, value), spec, path));
+}
+
+// Express-style matcher for an OpenAPI path: /price/{id} matches /price/bitcoin
+function compilePath(template) {
+    const names = [];
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    const pattern = new RegExp(`^${source}/?$`, 'i'); // Express routes ignore case too
+    return path => {
+        const match = pattern.exec(path);
+        if (!match) {
+            return null;
+        }
+        const params = {};
+        names.forEach((name, index) => {
+            try {
+                params[name] = decodeURIComponent(match[index + 1]);
+            } catch (error) {
+                params[name] = match[index + 1];
+            }
+        });
+        return params;
+    };
+}
+
+function createOperationIndex(spec) {
+    const routes = Object.entries(spec.paths).map(([template, item]) => ({ template, item, match: compilePath(template) }));
+
+    // The operation for a method and path, with the path parameters it matched
+    return (method, path) => {
+        for (const route of routes) {
+            const params = route.match(path);
+            const operation = params && route.item[method.toLowerCase()];
+            if (operation) {
+                return {
+                    template: route.template,
+                    operation,
+                    params,
+                    parameters: [...(route.item.parameters || []), ...(operation.parameters || [])]
+                        .map(parameter => resolve(spec, parameter))
+                };
+            }
+        }
+        return null;
+    };
+}
+
+// The JSON schema an operation documents for a status: the exact code, then 4XX, then default
+function responseSchema(spec, operation, status) {
+    const responses = operation.responses || {};
+    const response = resolve(spec, responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default);
+    const content = response && response.content &&
+        (response.content['application/json'] || response.content[PROBLEM_CONTENT_TYPE]);
+    return content ? content.schema : null;
+}
+
+// Problems with a response body; null when the operation documents no JSON body for the status
+function validateResponse(spec, method, path, status, body) {
+    const found = createOperationIndex(spec)(method, path);
+    if (!found) {
+        return [`${method.toUpperCase()} ${path} is not documented`];
+    }
+    const schema = responseSchema(spec, found.operation, status);
+    if (!schema) {
+        return [`${method.toUpperCase()} ${found.template} documents no JSON response for ${status}`];
+    }
+    return validateSchema(schema, body, spec, 'body');
+}
+
+// Middleware checking requests and responses against the document.
+// options.responses is what a response that does not match does: 'warn' (log it
+// through options.logger and send it anyway), 'error' (answer 500 instead) or 'off'.
+function createOpenApiValidator(spec, options = {}) {
+    const findOperation = createOperationIndex(spec);
+    const responses = options.responses || 'warn';
+    const logger = options.logger;
+
+    return (req, res, next) => {
+        const found = findOperation(req.method, req.path);
+        if (!found) {
+            return next();
+        }
+
+        for (const parameter of found.parameters) {
+            const source = parameter.in === 'path' ? found.params : parameter.in === 'query' ? req.query : null;
+            if (!source) {
+                continue;
+            }
+            const raw = source[parameter.name];
+            const problems = raw === undefined
+                ? (parameter.required ? [`${parameter.in}.${parameter.name} is required`] : [])
+                : validateParameter(parameter, raw, spec);
+            if (problems.length > 0) {
+                const own = parameter['x-error'];
+                return sendProblem(res, own
+                    ? new ValidationError(own.error, {
+                        detail: own.message,
+                        fields: own.values ? { [own.values]: [].concat(raw) } : {}
+                    })
+                    : new ValidationError('Invalid request', { detail: problems.join('; ') }));
+            }
+        }
+
+        if (responses !== 'off') {
+            const json = res.json.bind(res);
+            res.json = body => {
+                const schema = responseSchema(spec, found.operation, res.statusCode);
+                const problems = schema ? validateSchema(schema, body, spec, 'body') : [];
+                if (problems.length === 0) {
+                    return json(body);
+                }
+                if (logger) {
+                    logger.warn('Response does not match the OpenAPI document', {
+                        route: `${req.method} ${found.template}`,
+                        status: res.statusCode,
+                        problems
+                    });
+                }
+                if (responses !== 'error') {
+                    return json(body);
+                }
+                res.json = json;
+                return sendProblem(res, new ApiError('Internal server error', {
+                    detail: 'The response did not match the API schema'
+                }));
+            };
+        }
+
+        next();
+    };
+}
+
+// Parameters and responses shared between operations
+function components(limits) {
+    const error = (name, message) => ({ error: name, message });
+    const headers = {
+        'X-Request-Id': {
+            description: 'The request ID, as sent by the caller or generated',
+            schema: { type: 'string' }
+        },
+        'X-Cache-Status': {
+            description: 'Whether the data came from cache (fresh, or stale while it is refreshed), from upstream (revalidated), or is the last known data kept for upstream failures (stale)',
+            schema: { type: 'string', enum: ['fresh', 'stale', 'revalidated'] }
+        },
+        'RateLimit-Limit': { description: 'Requests the bucket holds', schema: { type: 'integer' } },
+        'RateLimit-Remaining': { description: 'Requests left in the bucket', schema: { type: 'integer' } },
+        'RateLimit-Reset': { description: 'Seconds until the bucket is full again', schema: { type: 'integer' } },
+        'Retry-After': { description: 'Seconds to wait before trying again', schema: { type: 'integer' } },
+        'Cache-Control': {
+            description: 'public, or private for requests with an API key, and a max-age of what is left of the data\'s cache TTL',
+            schema: { type: 'string' }
+        },
+        'ETag': { description: 'Strong validator of the body, for If-None-Match', schema: { type: 'string' } },
+        'Last-Modified': { description: 'When the newest data in the body was fetched, for If-Modified-Since', schema: { type: 'string' } }
+    };
+    const errorResponse = (description, extraHeaders = []) => ({
+        description,
+        headers: Object.fromEntries(['X-Request-Id', ...extraHeaders].map(name => [name, { $ref: `#/components/headers/${name}` }])),
+        content: { [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } }
+    });
+    const marketMap = description => ({ type: 'object', description, additionalProperties: { type: 'number' } });
+
+    return {
+        securitySchemes: {
+            ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+        },
+        headers,
+        parameters: {
+            CoinId: {
+                name: 'id',
+                in: 'path',
+                required: true,
+                description: 'Coin ID (bitcoin) or symbol (btc), case-insensitive: up to 100 letters, digits, dots, underscores and hyphens, starting with a letter or digit',
+                schema: { type: 'string', minLength: 1, maxLength: 100, pattern: limits.coinIdPattern },
+                'x-error': {
+                    error: 'Invalid coin ID',
+                    message: 'Coin IDs and symbols must be 1 to 100 letters, digits, ".", "_" or "-", starting with a letter or digit',
+                    values: 'invalid_ids'
+                }
+            },
+            Currencies: {
+                name: 'vs',
+                in: 'query',
+                description: `Quote currencies, comma-separated, up to ${limits.maxCurrencies}: fiat codes such as eur or coin symbols such as btc. The first one is the primary \`price\`. Default usd.`,
+                explode: false,
+                schema: { type: 'array', maxItems: limits.maxCurrencies, items: { type: 'string', pattern: '^[A-Za-z]{2,10}$' } },
+                'x-error': error('Invalid currency', `vs must be a comma-separated list of up to ${limits.maxCurrencies} currency codes`)
+            },
+            Include: {
+                name: 'include',
+                in: 'query',
+                description: 'Market data fields to add, comma-separated, or all',
+                explode: false,
+                schema: { type: 'array', items: { type: 'string', enum: [...limits.marketFields, 'all'] } },
+                'x-error': error('Invalid include', `include must be "all" or a comma-separated list of: ${limits.marketFields.join(', ')}`)
+            },
+            ApiKey: {
+                name: 'api_key',
+                in: 'query',
+                description: 'API key, when it cannot be sent as X-API-Key',
+                schema: { type: 'string' }
+            }
+        },
+        responses: {
+            NotModified: {
+                description: 'The data has not changed since the If-None-Match ETag or If-Modified-Since date the request sent',
+                headers: Object.fromEntries(['X-Request-Id', 'Cache-Control', 'ETag', 'Last-Modified'].map(name => [name, { $ref: `#/components/headers/${name}` }]))
+            },
+            BadRequest: errorResponse('Invalid parameters'),
+            Unauthorized: errorResponse('The API key is not recognized'),
+            Forbidden: errorResponse('The API key may not call this endpoint'),
+            NotFound: errorResponse('Unknown cryptocurrency, with suggestions in did_you_mean'),
+            Timeout: errorResponse('The price providers took too long'),
+            RateLimited: errorResponse('The client rate limit or quota, or a provider\'s rate limit, is exhausted', ['Retry-After']),
+            InternalError: errorResponse('Unexpected failure'),
+            Unavailable: errorResponse('The price providers are failing and nothing is cached, or none serves this data', ['Retry-After'])
+        },
+        schemas: {
+            Problem: {
+                type: 'object',
+                description: 'RFC 7807 problem details. error and message repeat a short label and the detail for older clients.',
+                required: ['type', 'title', 'status', 'detail', 'instance', 'error', 'message'],
+                additionalProperties: false,
+                properties: {
+                    type: { type: 'string', enum: ERROR_CLASSES.map(problemType) },
+                    title: { type: 'string' },
+                    status: { type: 'integer' },
+                    detail: { type: 'string' },
+                    instance: { type: 'string' },
+                    request_id: { type: 'string' },
+                    error: { type: 'string' },
+                    message: { type: 'string' },
+                    invalid_ids: { type: 'array', items: { type: 'string' } },
+                    did_you_mean: { type: 'array', items: { $ref: '#/components/schemas/CoinSuggestion' } }
+                }
+            },
+            CoinSuggestion: {
+                type: 'object',
+                required: ['id', 'symbol', 'name'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string' },
+                    symbol: { type: 'string' },
+                    name: { type: 'string' }
+                }
+            },
+            Quote: {
+                type: 'object',
+                required: ['name', 'symbol', 'price', 'prices'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string' },
+                    symbol: { type: 'string' },
+                    price: { type: 'number', nullable: true, description: 'Price in the primary currency' },
+                    prices: { type: 'object', description: 'Price per requested currency', additionalProperties: { type: 'number' } },
+                    market_cap: marketMap('Market capitalization per currency (include=market_cap)'),
+                    volume_24h: marketMap('24-hour trading volume per currency (include=volume)'),
+                    change_24h: marketMap('24-hour price change in percent per currency (include=change)'),
+                    last_updated_at: { type: 'integer', nullable: true, description: 'Upstream update time in unix seconds (include=last_updated)' },
+                    last_updated: { type: 'string', format: 'date-time', nullable: true },
+                    provider: { type: 'string', description: 'Provider that served the quote' },
+                    stale: { type: 'boolean', description: 'Present when the providers failed and this is the last known quote' }
+                }
+            },
+            ConversionLeg: {
+                type: 'object',
+                required: ['type', 'id', 'symbol'],
+                additionalProperties: false,
+                properties: {
+                    type: { type: 'string', enum: ['crypto', 'fiat'] },
+                    id: { type: 'string' },
+                    symbol: { type: 'string' },
+                    name: { type: 'string', description: 'Coins only' }
+                }
+            },
+            Conversion: {
+                type: 'object',
+                required: ['from', 'to', 'amount', 'result', 'rate', 'timestamp', 'source'],
+                additionalProperties: false,
+                properties: {
+                    from: { $ref: '#/components/schemas/ConversionLeg' },
+                    to: { $ref: '#/components/schemas/ConversionLeg' },
+                    amount: { $ref: '#/components/schemas/Decimal' },
+                    result: { $ref: '#/components/schemas/Decimal' },
+                    rate: { $ref: '#/components/schemas/Decimal' },
+                    timestamp: { type: 'string', format: 'date-time', description: 'Age of the oldest quote used' },
+                    source: {
+                        type: 'object',
+                        required: ['provider', 'quote_currency'],
+                        additionalProperties: false,
+                        properties: {
+                            provider: { type: 'string' },
+                            quote_currency: { type: 'string' }
+                        }
+                    },
+                    stale: { type: 'boolean' }
+                }
+            },
+            Decimal: { type: 'string', pattern: '^\\d+(\\.\\d+)?$', description: 'Exact decimal number' },
+            HistoryPoint: {
+                type: 'object',
+                required: ['timestamp', 'value'],
+                additionalProperties: false,
+                properties: {
+                    timestamp: { type: 'integer', description: 'Unix milliseconds' },
+                    value: { type: 'number' }
+                }
+            },
+            Candle: {
+                type: 'object',
+                required: ['timestamp', 'open', 'high', 'low', 'close'],
+                additionalProperties: false,
+                properties: {
+                    timestamp: { type: 'integer', description: 'Unix milliseconds' },
+                    open: { type: 'number' },
+                    high: { type: 'number' },
+                    low: { type: 'number' },
+                    close: { type: 'number' }
+                }
+            },
+            History: {
+                type: 'object',
+                required: ['id', 'currency', 'days', 'interval', 'prices', 'market_caps', 'volumes', 'ohlc'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string' },
+                    currency: { type: 'string' },
+                    days: { type: 'integer', enum: limits.historyDays },
+                    interval: { type: 'string', enum: limits.historyIntervals },
+                    prices: { type: 'array', items: { $ref: '#/components/schemas/HistoryPoint' } },
+                    market_caps: { type: 'array', items: { $ref: '#/components/schemas/HistoryPoint' } },
+                    volumes: { type: 'array', items: { $ref: '#/components/schemas/HistoryPoint' } },
+                    ohlc: { type: 'array', items: { $ref: '#/components/schemas/Candle' } },
+                    provider: { type: 'string' },
+                    stale: { type: 'boolean' }
+                }
+            },
+            SearchResults: {
+                type: 'object',
+                required: ['query', 'results'],
+                additionalProperties: false,
+                properties: {
+                    query: { type: 'string' },
+                    results: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'symbol', 'name', 'market_cap_rank', 'score'],
+                            additionalProperties: false,
+                            properties: {
+                                id: { type: 'string' },
+                                symbol: { type: 'string' },
+                                name: { type: 'string' },
+                                market_cap_rank: { type: 'integer', nullable: true },
+                                score: { type: 'number', minimum: 0, maximum: 1 }
+                            }
+                        }
+                    }
+                }
+            },
+            Health: {
+                type: 'object',
+                required: ['status', 'timestamp', 'cache', 'providers', 'uptime'],
+                additionalProperties: false,
+                properties: {
+                    status: { type: 'string', enum: ['OK', 'DEGRADED'] },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    cache_size: { type: 'integer', nullable: true },
+                    cache: {
+                        type: 'object',
+                        required: ['backend', 'reachable'],
+                        properties: {
+                            backend: { type: 'string', enum: ['memory', 'redis'] },
+                            reachable: { type: 'boolean' }
+                        }
+                    },
+                    providers: { type: 'array', items: { type: 'string' } },
+                    coin_registry: {
+                        type: 'object',
+                        properties: {
+                            coins: { type: 'integer' },
+                            source: { type: 'string', nullable: true, enum: ['disk', 'upstream'] },
+                            fetched_at: { type: 'string', format: 'date-time', nullable: true },
+                            stale: { type: 'boolean' }
+                        }
+                    },
+                    stream_subscribers: { type: 'integer' },
+                    upstream: {
+                        type: 'object',
+                        properties: {
+                            in_flight: { type: 'integer' },
+                            coalesced_requests: { type: 'integer' }
+                        }
+                    },
+                    upstream_budgets: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                budget_per_minute: { type: 'integer', nullable: true },
+                                calls_last_minute: { type: 'integer' },
+                                queued: {
+                                    type: 'object',
+                                    properties: {
+                                        interactive: { type: 'integer' },
+                                        background: { type: 'integer' }
+                                    }
+                                },
+                                paused_until: { type: 'string', format: 'date-time', nullable: true },
+                                pauses: { type: 'integer' }
+                            }
+                        }
+                    },
+                    upstream_breakers: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+                                consecutive_failures: { type: 'integer' },
+                                retry_at: { type: 'string', format: 'date-time', nullable: true },
+                                opens: { type: 'integer' }
+                            }
+                        }
+                    },
+                    refresher: {
+                        type: 'object',
+                        properties: {
+                            running: { type: 'boolean' },
+                            interval_ms: { type: 'integer' },
+                            budget: { type: 'integer' },
+                            tracked: { type: 'integer' },
+                            cycles: { type: 'integer' },
+                            calls: { type: 'integer' },
+                            refreshed: { type: 'integer' },
+                            failed: { type: 'integer' },
+                            last_run: { type: 'string', format: 'date-time', nullable: true }
+                        }
+                    },
+                    uptime: { type: 'number', description: 'Seconds since the process started' }
+                }
+            },
+            EndpointCounts: {
+                type: 'object',
+                description: 'Requests per endpoint',
+                additionalProperties: { type: 'integer' }
+            },
+            Usage: {
+                type: 'object',
+                required: ['month', 'usage_store', 'keys', 'anonymous'],
+                additionalProperties: false,
+                properties: {
+                    month: { type: 'string', pattern: '^\\d{4}-\\d{2}$' },
+                    usage_store: { type: 'string', enum: ['memory', 'redis'] },
+                    keys: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['name', 'tier', 'endpoints', 'monthly_quota', 'used', 'remaining', 'by_endpoint'],
+                            additionalProperties: false,
+                            properties: {
+                                name: { type: 'string' },
+                                tier: { type: 'string' },
+                                endpoints: { type: 'array', items: { type: 'string', enum: limits.endpoints } },
+                                monthly_quota: { type: 'integer', nullable: true },
+                                used: { type: 'integer' },
+                                remaining: { type: 'integer', nullable: true },
+                                by_endpoint: { $ref: '#/components/schemas/EndpointCounts' }
+                            }
+                        }
+                    },
+                    anonymous: {
+                        type: 'object',
+                        required: ['used', 'by_endpoint'],
+                        additionalProperties: false,
+                        properties: {
+                            used: { type: 'integer' },
+                            by_endpoint: { $ref: '#/components/schemas/EndpointCounts' }
+                        }
+                    }
+                }
+            },
+            EffectiveConfig: {
+                type: 'object',
+                required: ['file', 'config', 'sources'],
+                additionalProperties: false,
+                properties: {
+                    file: { type: 'string', nullable: true, description: 'The CONFIG_FILE read, if any' },
+                    config: { type: 'object', description: 'Every setting, with passwords in URLs masked' },
+                    sources: {
+                        type: 'object',
+                        description: 'Where each setting came from, by dotted name',
+                        additionalProperties: { type: 'string', enum: ['default', 'file', 'env'] }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function buildOpenApiSpec(limits) {
+    const ref = name => ({ $ref: `#/components/${name}` });
+    const json = (description, schema, headerNames = []) => ({
+        description,
+        headers: Object.fromEntries(['X-Request-Id', ...headerNames].map(name => [name, ref(`headers/${name}`)])),
+        content: { 'application/json': { schema } }
+    });
+    const limited = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'];
+    const cacheable = ['Cache-Control', 'ETag', 'Last-Modified'];
+    const publicSecurity = [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+    const adminSecurity = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+    const access = {
+        400: ref('responses/BadRequest'),
+        401: ref('responses/Unauthorized'),
+        403: ref('responses/Forbidden'),
+        429: ref('responses/RateLimited')
+    };
+    const upstream = {
+        404: ref('responses/NotFound'),
+        408: ref('responses/Timeout'),
+        500: ref('responses/InternalError'),
+        503: ref('responses/Unavailable')
+    };
+    const admin = {
+        401: ref('responses/Unauthorized'),
+        403: ref('responses/Forbidden')
+    };
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'Cryptocurrency Price API',
+            version: limits.version,
+            description: 'Cryptocurrency prices, conversions and history from several upstream providers, with caching.\n\n' +
+                'An API key (X-API-Key header or api_key query parameter) is optional; with one, requests count against the key\'s rate tier and monthly quota instead of the per-IP limit. ' +
+                'Every response carries X-Request-Id, which a caller can set itself.\n\n' +
+                'Live prices are also available over a WebSocket at /ws/prices, which OpenAPI cannot describe: send {"type": "subscribe", "ids": [...], "vs": [...]} to subscribe.'
+        },
+        tags: [
+            { name: 'Prices' },
+            { name: 'Coins' },
+            { name: 'Service' },
+            { name: 'Admin' }
+        ],
+        paths: {
+            '/price/{id}': {
+                get: {
+                    tags: ['Prices'],
+                    summary: 'Price of one cryptocurrency by ID or symbol',
+                    operationId: 'getPrice',
+                    security: publicSecurity,
+                    parameters: [ref('parameters/CoinId'), ref('parameters/Currencies'), ref('parameters/Include'), ref('parameters/ApiKey')],
+                    responses: {
+                        200: json('The quote', ref('schemas/Quote'), ['X-Cache-Status', ...cacheable, ...limited]),
+                        304: ref('responses/NotModified'),
+                        ...access,
+                        ...upstream
+                    }
+                }
+            },
+            '/prices/{ids}': {
+                get: {
+                    tags: ['Prices'],
+                    summary: 'Prices of several cryptocurrencies',
+                    description: 'Coins no provider could price are left out of the result, which is keyed by the IDs or symbols as requested.',
+                    operationId: 'getPrices',
+                    security: publicSecurity,
+                    parameters: [
+                        {
+                            name: 'ids',
+                            in: 'path',
+                            required: true,
+                            description: `Coin IDs or symbols, comma-separated, up to ${limits.pricesMaxBatchSize} distinct ones. Each follows the rules of the id in /price/{id}; a 400 lists the malformed ones in invalid_ids.`,
+                            schema: { type: 'string', minLength: 1 }
+                        },
+                        ref('parameters/Currencies'),
+                        ref('parameters/Include'),
+                        ref('parameters/ApiKey')
+                    ],
+                    responses: {
+                        200: json('Quotes by requested ID', { type: 'object', additionalProperties: ref('schemas/Quote') }, ['X-Cache-Status', ...cacheable, ...limited]),
+                        304: ref('responses/NotModified'),
+                        ...access,
+                        408: ref('responses/Timeout'),
+                        500: ref('responses/InternalError'),
+                        503: ref('responses/Unavailable')
+                    }
+                }
+            },
+            '/convert': {
+                get: {
+                    tags: ['Prices'],
+                    summary: 'Convert an amount between coins and fiat currencies',
+                    description: 'Amounts, results and rates are exact decimal strings.',
+                    operationId: 'convert',
+                    security: publicSecurity,
+                    parameters: ['from', 'to'].map(name => ({
+                        name,
+                        in: 'query',
+                        required: true,
+                        description: `Coin ID, coin symbol or fiat currency code (${limits.fiatCurrencies.join(', ')}). ` +
+                            'A coin follows the rules of the id in /price/{id}; a 400 lists a malformed one in invalid_ids.',
+                        schema: { type: 'string', minLength: 1 },
+                        'x-error': { error: 'Invalid conversion', message: 'from and to must each be a coin ID, coin symbol or fiat currency code' }
+                    })).concat([
+                        {
+                            name: 'amount',
+                            in: 'query',
+                            description: 'Non-negative decimal number, default 1',
+                            schema: { type: 'string', maxLength: limits.convertMaxAmountLength, pattern: '^\\s*\\d+(\\.\\d+)?\\s*$' },
+                            'x-error': {
+                                error: 'Invalid amount',
+                                message: `amount must be a non-negative decimal number such as 1.5, at most ${limits.convertMaxAmountLength} characters`
+                            }
+                        },
+                        ref('parameters/ApiKey')
+                    ]),
+                    responses: {
+                        200: json('The conversion', ref('schemas/Conversion'), ['X-Cache-Status', ...cacheable, ...limited]),
+                        304: ref('responses/NotModified'),
+                        ...access,
+                        ...upstream
+                    }
+                }
+            },
+            '/history/{id}': {
+                get: {
+                    tags: ['Prices'],
+                    summary: 'Price history and OHLC candles',
+                    operationId: 'getHistory',
+                    security: publicSecurity,
+                    parameters: [
+                        ref('parameters/CoinId'),
+                        {
+                            name: 'days',
+                            in: 'query',
+                            description: 'Range in days',
+                            schema: { type: 'integer', enum: limits.historyDays, default: 1 },
+                            'x-error': { error: 'Invalid range', message: `days must be one of: ${limits.historyDays.join(', ')}` }
+                        },
+                        {
+                            name: 'interval',
+                            in: 'query',
+                            description: 'Point spacing; auto keeps the upstream granularity',
+                            schema: { type: 'string', enum: limits.historyIntervals, default: 'auto' },
+                            'x-error': { error: 'Invalid interval', message: `interval must be one of: ${limits.historyIntervals.join(', ')}` }
+                        },
+                        {
+                            name: 'vs',
+                            in: 'query',
+                            description: 'Quote currency, default usd',
+                            explode: false,
+                            schema: { type: 'array', maxItems: 1, items: { type: 'string', pattern: '^[A-Za-z]{2,10}$' } },
+                            'x-error': { error: 'Invalid currency', message: 'vs must be a single currency code' }
+                        },
+                        ref('parameters/ApiKey')
+                    ],
+                    responses: {
+                        200: json('The history', ref('schemas/History'), ['X-Cache-Status', ...cacheable, ...limited]),
+                        304: ref('responses/NotModified'),
+                        ...access,
+                        ...upstream
+                    }
+                }
+            },
+            '/search': {
+                get: {
+                    tags: ['Coins'],
+                    summary: 'Find coin IDs by ID, symbol or name, tolerating typos',
+                    operationId: 'searchCoins',
+                    security: publicSecurity,
+                    parameters: [
+                        {
+                            name: 'q',
+                            in: 'query',
+                            required: true,
+                            schema: { type: 'string', minLength: 1, maxLength: limits.searchMaxQueryLength },
+                            'x-error': { error: 'Invalid query', message: `q must be between 1 and ${limits.searchMaxQueryLength} characters` }
+                        },
+                        {
+                            name: 'limit',
+                            in: 'query',
+                            schema: { type: 'integer', minimum: 1, maximum: limits.searchMaxLimit, default: limits.searchDefaultLimit },
+                            'x-error': { error: 'Invalid limit', message: `limit must be an integer between 1 and ${limits.searchMaxLimit}` }
+                        },
+                        ref('parameters/ApiKey')
+                    ],
+                    responses: {
+                        200: json('Matches, best first', ref('schemas/SearchResults'), limited),
+                        ...access
+                    }
+                }
+            },
+            '/stream/prices': {
+                get: {
+                    tags: ['Prices'],
+                    summary: 'Server-Sent Events stream of price changes',
+                    description: 'Starts with the current prices, then sends a "price" event whenever a coin\'s price changes. ' +
+                        'Reconnecting with Last-Event-ID resumes with the missed events while they are still held.',
+                    operationId: 'streamPrices',
+                    security: publicSecurity,
+                    parameters: [
+                        {
+                            name: 'ids',
+                            in: 'query',
+                            required: true,
+                            description: 'Coin IDs, comma-separated',
+                            explode: false,
+                            schema: { type: 'array', minItems: 1, maxItems: limits.streamMaxIds, items: { type: 'string' } },
+                            'x-error': { error: 'Invalid ids', message: `ids must list between 1 and ${limits.streamMaxIds} comma-separated cryptocurrency IDs` }
+                        },
+                        ref('parameters/Currencies'),
+                        {
+                            name: 'lastEventId',
+                            in: 'query',
+                            description: 'Resume after this event, for clients that cannot send the Last-Event-ID header',
+                            schema: { type: 'string' }
+                        },
+                        {
+                            name: 'Last-Event-ID',
+                            in: 'header',
+                            description: 'Resume after this event',
+                            schema: { type: 'string' }
+                        },
+                        ref('parameters/ApiKey')
+                    ],
+                    responses: {
+                        200: {
+                            description: 'The event stream',
+                            content: { 'text/event-stream': { schema: { type: 'string' } } }
+                        },
+                        ...access
+                    }
+                }
+            },
+            '/': {
+                get: {
+                    tags: ['Service'],
+                    summary: 'API information and examples',
+                    operationId: 'getIndex',
+                    responses: {
+                        200: json('Endpoints and example requests', {
+                            type: 'object',
+                            required: ['message', 'documentation', 'usage', 'examples'],
+                            additionalProperties: false,
+                            properties: {
+                                message: { type: 'string' },
+                                documentation: {
+                                    type: 'object',
+                                    required: ['openapi', 'docs'],
+                                    additionalProperties: false,
+                                    properties: {
+                                        openapi: { type: 'string' },
+                                        docs: { type: 'string' }
+                                    }
+                                },
+                                usage: { type: 'object', description: 'Summary per endpoint', additionalProperties: { type: 'string' } },
+                                examples: { type: 'array', items: { type: 'string' } }
+                            }
+                        })
+                    }
+                }
+            },
+            '/health': {
+                get: {
+                    tags: ['Service'],
+                    summary: 'Service status',
+                    description: 'DEGRADED while the cache store is unreachable or every provider\'s circuit breaker is open.',
+                    operationId: 'getHealth',
+                    responses: {
+                        200: json('Status of the cache, providers and background work', ref('schemas/Health'))
+                    }
+                }
+            },
+            '/metrics': {
+                get: {
+                    tags: ['Service'],
+                    summary: 'Prometheus metrics',
+                    operationId: 'getMetrics',
+                    responses: {
+                        200: {
+                            description: 'Prometheus text exposition format 0.0.4',
+                            content: { 'text/plain': { schema: { type: 'string' } } }
+                        }
+                    }
+                }
+            },
+            '/openapi.json': {
+                get: {
+                    tags: ['Service'],
+                    summary: 'This OpenAPI document',
+                    operationId: 'getOpenApi',
+                    responses: {
+                        200: {
+                            description: 'OpenAPI 3.0 document',
+                            content: { 'application/json': { schema: { type: 'object', required: ['openapi', 'info', 'paths'] } } }
+                        }
+                    }
+                }
+            },
+            '/docs': {
+                get: {
+                    tags: ['Service'],
+                    summary: 'Browsable API documentation',
+                    operationId: 'getDocs',
+                    responses: {
+                        200: {
+                            description: 'HTML page rendered from this document',
+                            content: { 'text/html': { schema: { type: 'string' } } }
+                        }
+                    }
+                }
+            },
+            '/admin/usage': {
+                get: {
+                    tags: ['Admin'],
+                    summary: 'Requests per API key for a month',
+                    operationId: 'getUsage',
+                    security: adminSecurity,
+                    parameters: [
+                        {
+                            name: 'month',
+                            in: 'query',
+                            description: 'Calendar month, default the current one',
+                            schema: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' },
+                            'x-error': { error: 'Invalid month', message: 'month must be a calendar month such as 2024-01' }
+                        },
+                        ref('parameters/ApiKey')
+                    ],
+                    responses: {
+                        200: json('Usage per key and for anonymous callers', ref('schemas/Usage')),
+                        400: ref('responses/BadRequest'),
+                        ...admin,
+                        503: ref('responses/Unavailable')
+                    }
+                }
+            },
+            '/admin/config': {
+                get: {
+                    tags: ['Admin'],
+                    summary: 'Effective configuration and where each setting came from',
+                    operationId: 'getConfig',
+                    security: adminSecurity,
+                    parameters: [ref('parameters/ApiKey')],
+                    responses: {
+                        200: json('The configuration, credentials masked', ref('schemas/EffectiveConfig')),
+                        ...admin
+                    }
+                }
+            }
+        },
+        components: components(limits)
+    };
+}
+
+// One line per operation for the root endpoint: "GET /history/{id}": "Price
+// history and OHLC candles (days, interval, vs)"
+function summarizeOperations(spec) {
+    const usage = {};
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        Object.entries(item).forEach(([method, operation]) => {
+            const names = (operation.parameters || [])
+                .map(parameter => resolve(spec, parameter))
+                .filter(parameter => parameter.in === 'query' && parameter.name !== 'api_key')
+                .map(parameter => parameter.name);
+            usage[`${method.toUpperCase()} ${path}`] = names.length > 0 ? `${operation.summary} (${names.join(', ')})` : operation.summary;
+        });
+    });
+    return usage;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describeSchema(spec, schema) {
+    schema = resolve(spec, schema) || {};
+    if (schema.type === 'array') {
+        return `${describeSchema(spec, schema.items)}, comma-separated`;
+    }
+    const parts = [schema.type || 'any'];
+    if (schema.enum) {
+        parts.push(`one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined || schema.maximum !== undefined) {
+        parts.push(`${schema.minimum === undefined ? '' : schema.minimum}..${schema.maximum === undefined ? '' : schema.maximum}`);
+    }
+    if (schema.default !== undefined) {
+        parts.push(`default ${schema.default}`);
+    }
+    return parts.join(', ');
+}
+
+// A self-contained page: no scripts or assets, so it works offline and behind strict CSPs
+function renderDocsPage(spec) {
+    const sections = Object.entries(spec.paths).flatMap(([path, item]) => Object.entries(item).map(([method, operation]) => {
+        const parameters = (operation.parameters || []).map(parameter => resolve(spec, parameter));
+        const rows = parameters.map(parameter => `<tr><td><code>${escapeHtml(parameter.name)}</code></td>` +
+            `<td>${escapeHtml(parameter.in)}${parameter.required ? ', required' : ''}</td>` +
+            `<td>${escapeHtml(describeSchema(spec, parameter.schema))}</td>` +
+            `<td>${escapeHtml(parameter.description || '')}</td></tr>`).join('\n');
+        const responses = Object.entries(operation.responses).map(([status, response]) =>
+            `<li><code>${escapeHtml(status)}</code> ${escapeHtml(resolve(spec, response).description)}</li>`).join('\n');
+        return [
+            `<section id="${escapeHtml(operation.operationId)}">`,
+            `<h2><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h2>`,
+            `<p>${escapeHtml(operation.summary)}</p>`,
+            operation.description ? `<p>${escapeHtml(operation.description)}</p>` : '',
+            rows ? `<table><tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr>\n${rows}\n</table>` : '',
+            `<ul>\n${responses}\n</ul>`,
+            '</section>'
+        ].filter(Boolean).join('\n');
+    }));
+
+    const problemRows = ERROR_CLASSES.map(ErrorClass => `<tr id="problem-${escapeHtml(ErrorClass.type)}">` +
+        `<td><code>${escapeHtml(problemType(ErrorClass))}</code></td><td>${ErrorClass.status}</td>` +
+        `<td>${escapeHtml(ErrorClass.title)}</td><td>${escapeHtml(ErrorClass.description)}</td></tr>`);
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(spec.info.title)}</title>`,
+        '<style>',
+        'body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }',
+        'section { border-top: 1px solid #ddd; padding: 0.5rem 0; }',
+        '.method { background: #0b6; color: #fff; border-radius: 3px; padding: 0 0.4rem; font-size: 0.9em; }',
+        'table { border-collapse: collapse; } td, th { border: 1px solid #ddd; padding: 0.2rem 0.5rem; text-align: left; vertical-align: top; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>`,
+        ...spec.info.description.split('\n\n').map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        '<p>Machine-readable: <a href="/openapi.json">/openapi.json</a> (OpenAPI 3.0).</p>',
+        ...sections,
+        '<section id="problems">',
+        '<h2>Problem types</h2>',
+        `<p>Errors are answered as <code>${PROBLEM_CONTENT_TYPE}</code> (RFC 7807), whose <code>type</code> links here.</p>`,
+        '<table><tr><th>Type</th><th>Status</th><th>Title</th><th>When</th></tr>',
+        ...problemRows,
+        '</table>',
+        '</section>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    buildOpenApiSpec,
+    createOpenApiValidator,
+    validateSchema,
+    validateResponse,
+    summarizeOperations,
+    renderDocsPage
+};
@@ -0,0 +1,143 @@
+const { silentLogger } = require('./logger');
+
+// Background refresher for popular coins
+//
+// Requests are tracked per variant (coin plus the currencies and market flag it
+// was asked with, i.e. one cache entry). Every cycle the most requested variants
+// are refreshed in batches, so their cache entries are replaced before the TTL
+// runs out and readers never wait on upstream.
+//
+// Scores halve every cycle, so popularity follows recent demand and variants
+// nobody asks for any more drop out. Each cycle spends at most `budget` upstream
+// calls; one call refreshes up to `batchSize` coins sharing the same variant.
+
+const DEFAULT_INTERVAL = 4 * 60 * 1000; // 4 minutes, inside the 5 minute price TTL
+const DEFAULT_BUDGET = 5; // upstream calls per cycle
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_MAX_TRACKED = 1000;
+const MIN_SCORE = 0.1;
+
+function createPopularRefresher(options) {
+    const refresh = options.refresh;
+    const logger = options.logger || silentLogger;
+    const intervalMs = options.intervalMs || DEFAULT_INTERVAL;
+    const budget = options.budget || DEFAULT_BUDGET;
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const maxTracked = options.maxTracked || DEFAULT_MAX_TRACKED;
+
+    const scores = new Map(); // variant key -> { id, currencies, market, score }
+    const stats = { cycles: 0, calls: 0, refreshed: 0, failed: 0, last_run: null };
+    let timer = null;
+    let running = null;
+
+    function variantKey(id, currencies, market) {
+        return `${id}:${[...currencies].sort().join(',')}${market ? ':market' : ''}`;
+    }
+
+    function track(id, currencies, market = false) {
+        const key = variantKey(id, currencies, market);
+        const entry = scores.get(key);
+        if (entry) {
+            entry.score += 1;
+        } else if (scores.size < maxTracked) {
+            scores.set(key, { id, currencies, market, score: 1 });
+        }
+    }
+
+    // Most requested variants first, grouped into batches that share currencies and market flag
+    function planBatches() {
+        const groups = new Map();
+        [...scores.values()]
+            .sort((a, b) => b.score - a.score)
+            .forEach(entry => {
+                const group = variantKey('', entry.currencies, entry.market);
+                if (!groups.has(group)) {
+                    groups.set(group, { currencies: entry.currencies, market: entry.market, ids: [], score: entry.score });
+                }
+                groups.get(group).ids.push(entry.id);
+            });
+
+        const batches = [];
+        [...groups.values()]
+            .sort((a, b) => b.score - a.score)
+            .forEach(group => {
+                for (let i = 0; i < group.ids.length; i += batchSize) {
+                    batches.push({ ids: group.ids.slice(i, i + batchSize), currencies: group.currencies, market: group.market });
+                }
+            });
+        return batches.slice(0, budget);
+    }
+
+    function decay() {
+        scores.forEach((entry, key) => {
+            entry.score /= 2;
+            if (entry.score < MIN_SCORE) {
+                scores.delete(key);
+            }
+        });
+    }
+
+    async function cycle() {
+        const batches = planBatches();
+        decay();
+
+        for (const batch of batches) {
+            stats.calls++;
+            try {
+                const refreshed = await refresh(batch.ids, { currencies: batch.currencies, market: batch.market });
+                stats.refreshed += refreshed;
+                stats.failed += batch.ids.length - refreshed;
+            } catch (error) {
+                stats.failed += batch.ids.length;
+                logger.error('Background refresh failed', { ids: batch.ids, error: error.message });
+            }
+        }
+
+        stats.cycles++;
+        stats.last_run = new Date().toISOString();
+    }
+
+    // Run one cycle now; overlapping calls share the cycle in progress
+    function runOnce() {
+        if (!running) {
+            running = cycle().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(runOnce, intervalMs);
+            if (timer.unref) {
+                timer.unref();
+            }
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        track,
+        runOnce,
+        start,
+        stop,
+        get status() {
+            return {
+                running: timer !== null,
+                interval_ms: intervalMs,
+                budget,
+                tracked: scores.size,
+                ...stats
+            };
+        }
+    };
+}
+
+module.exports = {
+    createPopularRefresher
+};
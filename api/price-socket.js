@@ -0,0 +1,234 @@
+const { WebSocketServer } = require('ws');
+
+// WebSocket price subscriptions
+//
+// Clients send JSON messages to manage one subscription per socket:
+//   { "type": "subscribe", "ids": ["bitcoin"], "vs": ["usd", "eur"] }
+//   { "type": "unsubscribe", "ids": ["bitcoin"] }     (omit ids to drop all)
+//   { "type": "ping" }
+//
+// The server answers with:
+//   { "type": "welcome", "limits": { "max_ids": 50, "max_currencies": 10 } }
+//   { "type": "subscribed", "ids": [...], "vs": [...] }
+//   { "type": "unsubscribed", "ids": [...] }
+//   { "type": "price", "event_id": "42", "id": "bitcoin", "price": ..., ... }
+//   { "type": "pong" }
+//   { "type": "error", "code": "...", "message": "..." }
+//
+// "vs" is cumulative: currencies stay subscribed until every coin is dropped.
+// Price messages come from the shared price hub, so sockets ride the same
+// refresh cycle as /stream/prices and the price cache.
+//
+// Before a socket opens, its upgrade request goes through options.authorize(req),
+// which resolves to null to let it in or to { status, headers, body } sent back
+// as the HTTP answer instead. At most maxConnections sockets are open at once.
+// options.normalizeIds(ids) turns the ids of a message into the coin IDs to
+// watch, throwing an error with a detail (and fields such as invalid_ids) when
+// some are malformed.
+
+const DEFAULT_PATH = '/ws/prices';
+const DEFAULT_MAX_CONNECTIONS = 1000;
+const DEFAULT_MAX_IDS = 50;
+const DEFAULT_MAX_CURRENCIES = 10;
+const DEFAULT_PING_INTERVAL = 30 * 1000; // 30 seconds
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+function createPriceSocketServer(options) {
+    const hub = options.hub;
+    const formatEvent = options.formatEvent;
+    const parseCurrencies = options.parseCurrencies;
+    const authorize = options.authorize || (async () => null);
+    const normalizeIds = options.normalizeIds || (ids => [...new Set(ids.map(id => id.trim()).filter(Boolean))]);
+    const maxConnections = options.maxConnections || DEFAULT_MAX_CONNECTIONS;
+    const maxIds = options.maxIds || DEFAULT_MAX_IDS;
+    const maxCurrencies = options.maxCurrencies || DEFAULT_MAX_CURRENCIES;
+    const pingInterval = options.pingInterval || DEFAULT_PING_INTERVAL;
+
+    let verifying = 0; // upgrades being authorized, counted against maxConnections
+
+    // Refuse upgrades over the connection limit, then ask authorize about the rest
+    function verifyClient(info, done) {
+        if (wss.clients.size + verifying >= maxConnections) {
+            return done(false, 503, 'Too many WebSocket connections', { 'Retry-After': '5' });
+        }
+
+        verifying++;
+        Promise.resolve()
+            .then(() => authorize(info.req))
+            .then(refusal => {
+                verifying--;
+                if (refusal) {
+                    return done(false, refusal.status, refusal.body, refusal.headers);
+                }
+                done(true);
+            }, () => {
+                verifying--;
+                done(false, 500);
+            });
+    }
+
+    const wss = new WebSocketServer({
+        server: options.server,
+        path: options.path || DEFAULT_PATH,
+        maxPayload: MAX_MESSAGE_BYTES,
+        verifyClient
+    });
+
+    function send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function sendError(socket, code, message, fields = {}) {
+        send(socket, { type: 'error', code, message, ...fields });
+    }
+
+    // Normalize the ids of a message into unique coin IDs; null when they are not
+    // an array of strings, throws when normalizeIds rejects some of them
+    function parseIds(ids) {
+        if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+            return null;
+        }
+        return normalizeIds(ids);
+    }
+
+    wss.on('connection', socket => {
+        const state = { ids: new Set(), currencies: new Set(), unsubscribe: null, alive: true };
+
+        function deliver(event) {
+            send(socket, { type: 'price', event_id: event.id, ...formatEvent(event, [...state.currencies]) });
+        }
+
+        // Swap the hub subscription for one on these coins and currencies. The new
+        // one is made first, so the old one stays when the hub refuses it.
+        function resubscribe(ids, currencies) {
+            const previous = state.unsubscribe;
+            state.unsubscribe = ids.size > 0 ? hub.subscribe([...ids], [...currencies], deliver) : null;
+            state.ids = ids;
+            state.currencies = currencies;
+            if (previous) {
+                previous();
+            }
+        }
+
+        function handleSubscribe(message) {
+            let ids;
+            try {
+                ids = parseIds(message.ids);
+            } catch (error) {
+                return sendError(socket, 'invalid_ids', error.detail || error.message, error.fields);
+            }
+            if (!ids || ids.length === 0) {
+                return sendError(socket, 'invalid_ids', 'ids must be a non-empty array of cryptocurrency IDs');
+            }
+
+            let currencies;
+            try {
+                currencies = parseCurrencies(message.vs === undefined ? undefined : [].concat(message.vs).join(','));
+            } catch (error) {
+                return sendError(socket, 'invalid_currency', 'vs must be an array of currency codes');
+            }
+
+            const nextIds = new Set([...state.ids, ...ids]);
+            const nextCurrencies = new Set([...state.currencies, ...currencies]);
+            if (nextIds.size > maxIds) {
+                return sendError(socket, 'subscription_limit', `A connection may subscribe to at most ${maxIds} coins`);
+            }
+            if (nextCurrencies.size > maxCurrencies) {
+                return sendError(socket, 'subscription_limit', `A connection may subscribe to at most ${maxCurrencies} currencies`);
+            }
+
+            try {
+                resubscribe(nextIds, nextCurrencies);
+            } catch (error) {
+                return sendError(socket, 'subscription_limit', error.detail || error.message);
+            }
+
+            send(socket, { type: 'subscribed', ids: [...state.ids], vs: [...state.currencies] });
+            hub.snapshot(ids).forEach(deliver);
+        }
+
+        function handleUnsubscribe(message) {
+            let ids;
+            try {
+                ids = message.ids === undefined ? [...state.ids] : parseIds(message.ids);
+            } catch (error) {
+                return sendError(socket, 'invalid_ids', error.detail || error.message, error.fields);
+            }
+            if (!ids) {
+                return sendError(socket, 'invalid_ids', 'ids must be an array of cryptocurrency IDs');
+            }
+
+            const remaining = new Set([...state.ids].filter(id => !ids.includes(id)));
+            resubscribe(remaining, remaining.size > 0 ? state.currencies : new Set());
+
+            send(socket, { type: 'unsubscribed', ids });
+        }
+
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                return sendError(socket, 'invalid_json', 'Messages must be JSON objects');
+            }
+
+            if (!message || typeof message !== 'object') {
+                return sendError(socket, 'invalid_json', 'Messages must be JSON objects');
+            }
+
+            switch (message.type) {
+                case 'subscribe':
+                    return handleSubscribe(message);
+                case 'unsubscribe':
+                    return handleUnsubscribe(message);
+                case 'ping':
+                    return send(socket, { type: 'pong' });
+                default:
+                    return sendError(socket, 'unknown_type', 'type must be one of: subscribe, unsubscribe, ping');
+            }
+        });
+
+        // Protocol-level pong answers the server's liveness pings
+        socket.on('pong', () => {
+            state.alive = true;
+        });
+
+        socket.on('close', () => {
+            if (state.unsubscribe) {
+                state.unsubscribe();
+            }
+        });
+
+        socket.isAlive = () => state.alive;
+        socket.markPinged = () => {
+            state.alive = false;
+        };
+
+        send(socket, { type: 'welcome', limits: { max_ids: maxIds, max_currencies: maxCurrencies } });
+    });
+
+    // Drop sockets that missed the previous ping, then ping the rest
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive()) {
+                socket.terminate();
+                return;
+            }
+            socket.markPinged();
+            socket.ping();
+        });
+    }, pingInterval);
+    if (heartbeat.unref) {
+        heartbeat.unref();
+    }
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+module.exports = {
+    createPriceSocketServer
+};
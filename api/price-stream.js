@@ -0,0 +1,193 @@
+const { ServiceUnavailableError } = require('./errors');
+const { silentLogger } = require('./logger');
+
+// Shared live price feed
+//
+// One hub serves every streaming client. It keeps a single refresh loop for
+// the union of coin IDs and currencies that subscribers asked for, remembers
+// the latest quote per coin, and publishes an event whenever a coin's prices
+// change. Events carry increasing numeric IDs and the most recent ones are
+// kept so clients can resume after a reconnect.
+//
+// At most maxIds distinct coins are watched across all subscribers; a
+// subscription that would go past that is refused. Each refresh fetches the
+// watched coins in batches of batchSize, so one bad batch only delays its own
+// coins and the upstream URL stays bounded however many clients connect.
+
+const DEFAULT_REFRESH_INTERVAL = 30 * 1000; // 30 seconds
+const DEFAULT_HISTORY_SIZE = 1000;
+const DEFAULT_MAX_IDS = 500;
+const DEFAULT_BATCH_SIZE = 50;
+
+function samePrices(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+function createPriceHub(options) {
+    const fetchQuotes = options.fetchQuotes;
+    const logger = options.logger || silentLogger;
+    const intervalMs = options.intervalMs || DEFAULT_REFRESH_INTERVAL;
+    const historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    const maxIds = options.maxIds || DEFAULT_MAX_IDS;
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+    const subscribers = new Set();
+    const latest = new Map(); // coin ID -> last published event
+    const history = [];
+    let sequence = 0;
+    let timer = null;
+    let inFlight = null;
+
+    function watched() {
+        const ids = new Set();
+        const currencies = new Set();
+        subscribers.forEach(subscriber => {
+            subscriber.ids.forEach(id => ids.add(id));
+            subscriber.currencies.forEach(currency => currencies.add(currency));
+        });
+        return { ids: [...ids], currencies: [...currencies].sort() };
+    }
+
+    // Record a quote and notify subscribers if its prices changed
+    function publish(id, quote) {
+        const previous = latest.get(id);
+        if (previous && samePrices(previous.quote.prices, quote.prices)) {
+            return null;
+        }
+
+        const event = { id: String(++sequence), coin: id, quote, timestamp: Date.now() };
+        latest.set(id, event);
+        history.push(event);
+        if (history.length > historySize) {
+            history.shift();
+        }
+
+        subscribers.forEach(subscriber => {
+            if (subscriber.ids.has(id)) {
+                subscriber.listener(event);
+            }
+        });
+
+        return event;
+    }
+
+    // Fetch every watched coin once, batch by batch; concurrent callers share the same run
+    function refresh() {
+        if (inFlight) {
+            return inFlight;
+        }
+
+        const { ids, currencies } = watched();
+        if (ids.length === 0) {
+            return Promise.resolve();
+        }
+
+        const batches = [];
+        for (let i = 0; i < ids.length; i += batchSize) {
+            batches.push(ids.slice(i, i + batchSize));
+        }
+
+        inFlight = (async () => {
+            try {
+                await Promise.all(batches.map(async batch => {
+                    try {
+                        const quotes = await fetchQuotes(batch, currencies);
+                        Object.entries(quotes).forEach(([id, quote]) => publish(id, quote));
+                    } catch (error) {
+                        logger.error('Price stream refresh failed', { error: error.message, coins: batch.length });
+                    }
+                }));
+            } finally {
+                inFlight = null;
+            }
+        })();
+
+        return inFlight;
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(refresh, intervalMs);
+            // Never keep the process alive just for the feed
+            if (timer.unref) {
+                timer.unref();
+            }
+        }
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    // Subscribe to coin IDs; returns a function that ends the subscription.
+    // Throws a ServiceUnavailableError when the hub cannot watch that many more coins.
+    function subscribe(ids, currencies, listener) {
+        const watching = new Set(watched().ids);
+        const added = new Set(ids.filter(id => !watching.has(id))).size;
+        if (watching.size + added > maxIds) {
+            throw new ServiceUnavailableError('Too many coins watched', {
+                detail: `The server already watches ${watching.size} of at most ${maxIds} coins; try again with fewer`
+            });
+        }
+
+        const subscriber = { ids: new Set(ids), currencies: new Set(currencies), listener };
+        subscribers.add(subscriber);
+        start();
+
+        // Fetch straight away if this subscriber needs something we do not have
+        const missing = ids.some(id => {
+            const event = latest.get(id);
+            return !event || currencies.some(currency => event.quote.prices[currency] === undefined);
+        });
+        if (missing) {
+            refresh();
+        }
+
+        return () => {
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) {
+                stop();
+            }
+        };
+    }
+
+    // Latest event per coin, oldest first so the last one sent carries the highest ID
+    function snapshot(ids) {
+        return ids
+            .map(id => latest.get(id))
+            .filter(Boolean)
+            .sort((a, b) => Number(a.id) - Number(b.id));
+    }
+
+    // Events after lastEventId, or null when they are no longer held
+    function eventsSince(lastEventId) {
+        const last = Number(lastEventId);
+        if (!Number.isInteger(last) || last < 0 || last > sequence) {
+            return null;
+        }
+        if (history.length > 0 && last < Number(history[0].id) - 1) {
+            return null;
+        }
+        return history.filter(event => Number(event.id) > last);
+    }
+
+    return {
+        subscribe,
+        publish,
+        refresh,
+        snapshot,
+        eventsSince,
+        stop,
+        get subscriberCount() {
+            return subscribers.size;
+        }
+    };
+}
+
+module.exports = {
+    createPriceHub
+};
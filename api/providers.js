@@ -0,0 +1,887 @@
+const axios = require('axios');
+const { performance } = require('perf_hooks');
+const { withRetries, isTransientError } = require('./retry');
+const { UNAVAILABLE } = require('./circuit-breaker');
+const { retryAfterMs } = require('./upstream-scheduler');
+const {
+    NotFoundError,
+    UnsupportedCurrencyError,
+    UpstreamRateLimitedError,
+    UpstreamTimeoutError,
+    UpstreamUnavailableError,
+    ServiceUnavailableError
+} = require('./errors');
+const { silentLogger, currentRequestId } = require('./logger');
+
+// Price providers
+//
+// Every provider exposes the same interface:
+//   name                           - identifier reported back to clients
+//   getPrice(id, options)          - resolves to { name, symbol, prices }
+//   getPrices(ids, options)        - resolves to { [id]: { name, symbol, prices } },
+//                                    omitting coins the provider could not price
+//
+// options.currencies lists the quote currencies (default ['usd']); prices maps
+// each currency the provider could quote to its price. With options.market set,
+// quotes also carry
+//   market: { market_cap, volume_24h, change_24h, last_updated_at }
+// where the first three map currencies to values (change_24h is a percentage)
+// and last_updated_at is the upstream unix timestamp in seconds. Providers
+// leave out whatever they cannot supply.
+//
+// Providers may also implement
+//   getHistory(id, { currency, days }) - resolves to { prices, market_caps,
+//                                        volumes, ohlc } time series
+// which the chain only routes to providers that have it, and
+//   listCoins()                        - resolves to [{ id, symbol, name,
+//                                        market_cap_rank }] for every coin the
+//                                        provider knows (rank null if unknown)
+//
+// Errors are normalized to the classes in errors.js that app.js answers with
+// (NotFoundError, UpstreamRateLimitedError, UpstreamTimeoutError,
+// UnsupportedCurrencyError); other upstream failures are passed on as they are.
+//
+// With options.scheduler (upstream-scheduler.js) every upstream call goes through
+// it, within the provider's budget. Methods take options.priority, 'interactive'
+// (the default) for calls a client is waiting on or 'background' for refreshes;
+// listCoins defaults to 'background'.
+//
+// options.baseUrl points a provider at another host (a proxy, a paid plan), and
+// options.timeouts ({ quote, bulk, coinList } in milliseconds) bound single
+// quotes, batch and history calls, and the full coin list.
+//
+// Every GET is retried after transient failures (retry.js; options.retry sets
+// { retries, baseDelayMs, maxDelayMs }), and with options.breaker
+// (circuit-breaker.js) a provider that keeps failing is skipped for a while:
+// its calls fail at once with UpstreamUnavailableError and the chain moves on.
+//
+// options.onUpstreamCall(provider, outcome, seconds) is told about every GET
+// sent (each retry included) and every one an open breaker held back, with the
+// outcome from callOutcome() or 'short_circuited'.
+//
+// A GET made for a client request sends its ID upstream as X-Request-Id and is
+// logged at debug level through options.logger.
+
+const NOT_FOUND = 'Cryptocurrency not found';
+const RATE_LIMITED = 'Rate limit exceeded. Please try again later.';
+const TIMEOUT = 'Request timeout';
+const UNSUPPORTED_CURRENCY = 'Currency not supported';
+const HISTORY_UNAVAILABLE = 'History not available';
+const COIN_LIST_UNAVAILABLE = 'Coin list not available';
+
+const DEFAULT_CURRENCIES = ['usd'];
+
+const BASE_URLS = {
+    coingecko: 'https://api.coingecko.com/api/v3',
+    coincap: 'https://api.coincap.io/v2',
+    binance: 'https://api.binance.com/api/v3',
+    kraken: 'https://api.kraken.com/0/public'
+};
+
+const DEFAULT_TIMEOUTS = {
+    quote: 10 * 1000, // 10 seconds
+    bulk: 15 * 1000, // 15 seconds
+    coinList: 30 * 1000 // 30 seconds
+};
+
+// Upstream calls per minute, under what each provider allows keyless clients
+const UPSTREAM_BUDGETS = {
+    coingecko: 30,
+    coincap: 200,
+    binance: 600,
+    kraken: 60
+};
+
+// Exchanges quote trading pairs rather than CoinGecko-style IDs, so the
+// exchange adapters can only price coins listed here. `kraken` is the base
+// asset code Kraken uses; `legacy` assets get X/Z-prefixed result keys
+// (XBTUSD is reported as XXBTZUSD).
+const KNOWN_ASSETS = {
+    bitcoin: { name: 'Bitcoin', symbol: 'BTC', kraken: 'XBT', legacy: true },
+    ethereum: { name: 'Ethereum', symbol: 'ETH', kraken: 'ETH', legacy: true },
+    cardano: { name: 'Cardano', symbol: 'ADA', kraken: 'ADA' },
+    polkadot: { name: 'Polkadot', symbol: 'DOT', kraken: 'DOT' },
+    chainlink: { name: 'Chainlink', symbol: 'LINK', kraken: 'LINK' },
+    litecoin: { name: 'Litecoin', symbol: 'LTC', kraken: 'LTC', legacy: true },
+    stellar: { name: 'Stellar', symbol: 'XLM', kraken: 'XLM', legacy: true },
+    dogecoin: { name: 'Dogecoin', symbol: 'DOGE', kraken: 'XDG' },
+    ripple: { name: 'XRP', symbol: 'XRP', kraken: 'XRP', legacy: true },
+    solana: { name: 'Solana', symbol: 'SOL', kraken: 'SOL' }
+};
+
+// Exchanges list USD against the USDT stablecoin
+const BINANCE_QUOTES = { usd: 'USDT', eur: 'EUR', gbp: 'GBP', btc: 'BTC', eth: 'ETH' };
+const KRAKEN_QUOTES = { usd: 'USD', eur: 'EUR', gbp: 'GBP', chf: 'CHF', cad: 'CAD', jpy: 'JPY', aud: 'AUD', btc: 'XBT', eth: 'ETH' };
+const KRAKEN_FIAT = ['USD', 'EUR', 'GBP', 'CAD', 'JPY'];
+
+// Throw unless the provider can quote every requested currency
+function assertCurrencies(currencies, supported) {
+    if (!currencies.every(currency => supported.includes(currency))) {
+        throw new UnsupportedCurrencyError(UNSUPPORTED_CURRENCY);
+    }
+}
+
+// Classify how an upstream GET ended, for metrics
+function callOutcome(error) {
+    if (!error) {
+        return 'success';
+    }
+    if (error.response) {
+        const { status } = error.response;
+        if (status === 404) {
+            return 'not_found';
+        }
+        if (status === 429) {
+            return 'rate_limited';
+        }
+        return status >= 500 ? 'server_error' : 'client_error';
+    }
+    return ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ? 'timeout' : 'network_error';
+}
+
+// GET through the breaker and the scheduler when there are any, at the caller's
+// priority. Each retry is scheduled again, so it counts against the budget.
+function createUpstreamGet(name, { scheduler, breaker, retry, onUpstreamCall, logger = silentLogger } = {}) {
+    const report = onUpstreamCall || (() => {});
+    const request = async (url, config) => {
+        const requestId = currentRequestId();
+        const headers = requestId ? { ...config.headers, 'X-Request-Id': requestId } : config.headers;
+        const started = performance.now();
+        const finish = outcome => {
+            const seconds = (performance.now() - started) / 1000;
+            report(name, outcome, seconds);
+            logger.debug('Upstream call', { provider: name, url, outcome, duration_ms: Math.round(seconds * 1000) });
+        };
+        try {
+            const response = await axios.get(url, { ...config, headers });
+            finish('success');
+            return response;
+        } catch (error) {
+            finish(callOutcome(error));
+            throw error;
+        }
+    };
+    const send = scheduler ?
+        (url, config, priority) => scheduler.schedule(name, () => request(url, config), { priority }) :
+        (url, config) => request(url, config);
+    const sendWithRetries = (url, config, priority) => withRetries(() => send(url, config, priority), {
+        ...retry,
+        onRetry: (error, attempt, delay) => {
+            logger.warn('Retrying upstream call', { provider: name, attempt: attempt + 1, delay_ms: delay, error: error.message });
+        }
+    });
+
+    if (!breaker) {
+        return sendWithRetries;
+    }
+    return (url, config, priority) => breaker.call(name, () => sendWithRetries(url, config, priority)).catch(error => {
+        if (error instanceof UpstreamUnavailableError) {
+            report(name, 'short_circuited', 0);
+        }
+        throw error;
+    });
+}
+
+// Network failures that leave the provider unreachable rather than slow
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+// Map an axios error onto the API's error classes. A 429 or 5xx keeps the
+// provider's Retry-After, if it sent one, for the client. Errors that already are
+// one, such as the open breaker's UpstreamUnavailableError with its Retry-After,
+// pass through unchanged.
+function normalizeUpstreamError(error) {
+    if (error.response) {
+        const waitMs = retryAfterMs(error.response.headers);
+        const options = waitMs === null ? {} : { retryAfterMs: waitMs };
+        if (error.response.status === 404) {
+            return new NotFoundError(NOT_FOUND);
+        } else if (error.response.status === 429) {
+            return new UpstreamRateLimitedError(RATE_LIMITED, options);
+        } else if (error.response.status >= 500) {
+            return new UpstreamUnavailableError(UNAVAILABLE, options);
+        }
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new UpstreamTimeoutError(TIMEOUT);
+    }
+    if (UNREACHABLE_CODES.includes(error.code)) {
+        return new UpstreamUnavailableError(UNAVAILABLE);
+    }
+
+    return error;
+}
+
+// /coins/markets lists name and symbol for up to this many ids per call
+const COINGECKO_MARKETS_PAGE_SIZE = 250;
+
+// Prices come from one simple/price call; names and symbols from one
+// /coins/markets listing for the coins that were found. Coin name and symbol
+// rarely change, so lookups go through options.infoCache ({ get(id), set(id, info) },
+// both async) when one is supplied and a warm batch costs a single call.
+function createCoinGeckoProvider(options = {}) {
+    const baseUrl = options.baseUrl || BASE_URLS.coingecko;
+    const timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    const infoCache = options.infoCache || null;
+    const logger = options.logger || silentLogger;
+    const get = createUpstreamGet('coingecko', options);
+
+    async function fetchInfo(ids, priority) {
+        const info = {};
+        for (let i = 0; i < ids.length; i += COINGECKO_MARKETS_PAGE_SIZE) {
+            const response = await get(`${baseUrl}/coins/markets`, {
+                params: {
+                    vs_currency: 'usd',
+                    ids: ids.slice(i, i + COINGECKO_MARKETS_PAGE_SIZE).join(','),
+                    per_page: COINGECKO_MARKETS_PAGE_SIZE,
+                    page: 1,
+                    sparkline: false
+                },
+                timeout: timeouts.quote
+            }, priority);
+            response.data.forEach(coin => {
+                info[coin.id] = { name: coin.name, symbol: coin.symbol.toUpperCase() };
+            });
+        }
+
+        if (infoCache) {
+            await Promise.all(Object.entries(info).map(([id, entry]) => infoCache.set(id, entry)));
+        }
+        return info;
+    }
+
+    // Name and symbol per id, from the cache where possible. Coins the listing
+    // does not know fall back to their ID.
+    async function lookupInfo(ids, priority) {
+        const cached = infoCache ? await Promise.all(ids.map(id => infoCache.get(id))) : [];
+        const info = {};
+        const missing = ids.filter((id, index) => {
+            if (cached[index]) {
+                info[id] = cached[index];
+                return false;
+            }
+            return true;
+        });
+
+        if (missing.length > 0) {
+            Object.assign(info, await fetchInfo(missing, priority));
+        }
+
+        ids.forEach(id => {
+            if (!info[id]) {
+                info[id] = { name: id, symbol: id.toUpperCase() };
+            }
+        });
+        return info;
+    }
+
+    function simplePriceParams(ids, currencies, market) {
+        return {
+            ids,
+            vs_currencies: currencies.join(','),
+            include_market_cap: market,
+            include_24hr_vol: market,
+            include_24hr_change: market,
+            include_last_updated_at: market
+        };
+    }
+
+    // Pick the requested currencies out of a simple/price entry, e.g. "eur" or "eur_24h_vol"
+    function pickCurrencies(entry, currencies, suffix = '') {
+        const values = {};
+        currencies.forEach(currency => {
+            if (entry[currency + suffix] !== undefined && entry[currency + suffix] !== null) {
+                values[currency] = entry[currency + suffix];
+            }
+        });
+        return values;
+    }
+
+    function toQuote(name, symbol, entry, currencies, market) {
+        const quote = { name, symbol, prices: pickCurrencies(entry, currencies) };
+        if (market) {
+            quote.market = {
+                market_cap: pickCurrencies(entry, currencies, '_market_cap'),
+                volume_24h: pickCurrencies(entry, currencies, '_24h_vol'),
+                change_24h: pickCurrencies(entry, currencies, '_24h_change'),
+                last_updated_at: entry.last_updated_at || null
+            };
+        }
+        return quote;
+    }
+
+    async function getPrice(id, { currencies = DEFAULT_CURRENCIES, market = false, priority } = {}) {
+        try {
+            // First try to get basic price data
+            const priceResponse = await get(`${baseUrl}/simple/price`, {
+                params: simplePriceParams(id, currencies, market),
+                timeout: timeouts.quote
+            }, priority);
+
+            if (!priceResponse.data[id]) {
+                throw new NotFoundError(NOT_FOUND);
+            }
+
+            // CoinGecko silently drops vs currencies it does not know
+            const prices = pickCurrencies(priceResponse.data[id], currencies);
+            if (Object.keys(prices).length === 0) {
+                throw new UnsupportedCurrencyError(UNSUPPORTED_CURRENCY);
+            }
+
+            // Get additional information (name and symbol)
+            const info = (await lookupInfo([id], priority))[id];
+
+            return toQuote(info.name, info.symbol, priceResponse.data[id], currencies, market);
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    async function getPrices(ids, { currencies = DEFAULT_CURRENCIES, market = false, priority } = {}) {
+        try {
+            // Get price data for all coins at once
+            const priceResponse = await get(`${baseUrl}/simple/price`, {
+                params: simplePriceParams(ids.join(','), currencies, market),
+                timeout: timeouts.bulk
+            }, priority);
+
+            // Only coins with a price in a requested currency make it into the result
+            const found = ids.filter(id => {
+                const entry = priceResponse.data[id];
+                return entry && Object.keys(pickCurrencies(entry, currencies)).length > 0;
+            });
+            // Coins CoinGecko knows but cannot quote in any of the currencies are
+            // not "not found"; CoinGecko silently drops vs currencies it does not know
+            if (found.length === 0 && ids.some(id => priceResponse.data[id])) {
+                throw new UnsupportedCurrencyError(UNSUPPORTED_CURRENCY);
+            }
+
+            // Get name and symbol for all of them in one listing; a failed lookup
+            // only costs the display names
+            let info;
+            try {
+                info = await lookupInfo(found, priority);
+            } catch (error) {
+                logger.error('Error fetching coin info', { ids: found, error: error.message });
+                info = {};
+                found.forEach(id => {
+                    info[id] = { name: id, symbol: id.toUpperCase() };
+                });
+            }
+
+            // Combine price and info data
+            const result = {};
+            found.forEach(id => {
+                result[id] = toQuote(info[id].name, info[id].symbol, priceResponse.data[id], currencies, market);
+            });
+
+            return result;
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    // market_chart gives [timestamp, value] series, ohlc gives
+    // [timestamp, open, high, low, close] candles
+    async function getHistory(id, { currency = DEFAULT_CURRENCIES[0], days, priority }) {
+        try {
+            const chartResponse = await get(`${baseUrl}/coins/${id}/market_chart`, {
+                params: { vs_currency: currency, days },
+                timeout: timeouts.bulk
+            }, priority);
+
+            const ohlcResponse = await get(`${baseUrl}/coins/${id}/ohlc`, {
+                params: { vs_currency: currency, days },
+                timeout: timeouts.bulk
+            }, priority);
+
+            const toPoints = (series = []) => series.map(([timestamp, value]) => ({ timestamp, value }));
+
+            return {
+                prices: toPoints(chartResponse.data.prices),
+                market_caps: toPoints(chartResponse.data.market_caps),
+                volumes: toPoints(chartResponse.data.total_volumes),
+                ohlc: (ohlcResponse.data || []).map(([timestamp, open, high, low, close]) => ({
+                    timestamp, open, high, low, close
+                }))
+            };
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    // Market cap ranks of the largest coins; without them the list is still usable
+    async function listRanks(priority) {
+        try {
+            const response = await get(`${baseUrl}/coins/markets`, {
+                params: {
+                    vs_currency: 'usd',
+                    order: 'market_cap_desc',
+                    per_page: COINGECKO_MARKETS_PAGE_SIZE,
+                    page: 1,
+                    sparkline: false
+                },
+                timeout: timeouts.bulk
+            }, priority);
+            const ranks = {};
+            response.data.forEach(coin => {
+                ranks[coin.id] = coin.market_cap_rank;
+            });
+            return ranks;
+        } catch (error) {
+            logger.error('Error fetching market cap ranks', { error: error.message });
+            return {};
+        }
+    }
+
+    async function listCoins({ priority = 'background' } = {}) {
+        try {
+            const response = await get(`${baseUrl}/coins/list`, { timeout: timeouts.coinList }, priority);
+            const ranks = await listRanks(priority);
+            return response.data.map(coin => ({
+                id: coin.id,
+                symbol: coin.symbol,
+                name: coin.name,
+                market_cap_rank: ranks[coin.id] || null
+            }));
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    return { name: 'coingecko', getPrice, getPrices, getHistory, listCoins };
+}
+
+// CoinCap only quotes in USD
+function createCoinCapProvider(options = {}) {
+    const baseUrl = options.baseUrl || BASE_URLS.coincap;
+    const timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    const get = createUpstreamGet('coincap', options);
+
+    // CoinCap sends numbers as strings and nulls for unknown values
+    function toNumberMap(value) {
+        return value === null || value === undefined ? {} : { usd: parseFloat(value) };
+    }
+
+    function toQuote(asset, timestamp, market) {
+        const quote = {
+            name: asset.name,
+            symbol: asset.symbol.toUpperCase(),
+            prices: { usd: parseFloat(asset.priceUsd) }
+        };
+        if (market) {
+            quote.market = {
+                market_cap: toNumberMap(asset.marketCapUsd),
+                volume_24h: toNumberMap(asset.volumeUsd24Hr),
+                change_24h: toNumberMap(asset.changePercent24Hr),
+                last_updated_at: timestamp ? Math.floor(timestamp / 1000) : null
+            };
+        }
+        return quote;
+    }
+
+    async function getPrice(id, { currencies = DEFAULT_CURRENCIES, market = false, priority } = {}) {
+        assertCurrencies(currencies, ['usd']);
+
+        try {
+            const response = await get(`${baseUrl}/assets/${id}`, { timeout: timeouts.quote }, priority);
+
+            if (!response.data || !response.data.data) {
+                throw new NotFoundError(NOT_FOUND);
+            }
+
+            return toQuote(response.data.data, response.data.timestamp, market);
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    async function getPrices(ids, { currencies = DEFAULT_CURRENCIES, market = false, priority } = {}) {
+        assertCurrencies(currencies, ['usd']);
+
+        try {
+            const response = await get(`${baseUrl}/assets`, {
+                params: { ids: ids.join(',') },
+                timeout: timeouts.bulk
+            }, priority);
+
+            const result = {};
+            (response.data.data || []).forEach(asset => {
+                if (ids.includes(asset.id)) {
+                    result[asset.id] = toQuote(asset, response.data.timestamp, market);
+                }
+            });
+
+            return result;
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    return { name: 'coincap', getPrice, getPrices };
+}
+
+// Shared getPrice for the exchange adapters, which only implement getPrices
+function singleFromBatch(getPrices) {
+    return async function getPrice(id, options) {
+        const result = await getPrices([id], options);
+        if (!result[id]) {
+            throw new NotFoundError(NOT_FOUND);
+        }
+        return result[id];
+    };
+}
+
+// Fetch the tickers of `pairs` in one call. An exchange refuses the whole batch
+// when one pair in it is not listed, so a refused batch is split in halves until
+// the unlisted pairs are left on their own and dropped: they are missing from the
+// merged tickers, and their coins are not found rather than failing the others.
+async function fetchListedPairs(pairs, fetchBatch, isUnlistedPair) {
+    try {
+        return await fetchBatch(pairs);
+    } catch (error) {
+        if (!isUnlistedPair(error)) {
+            throw error;
+        }
+        if (pairs.length === 1) {
+            return {};
+        }
+        const half = Math.ceil(pairs.length / 2);
+        const parts = await Promise.all([
+            fetchListedPairs(pairs.slice(0, half), fetchBatch, isUnlistedPair),
+            fetchListedPairs(pairs.slice(half), fetchBatch, isUnlistedPair)
+        ]);
+        return Object.assign({}, ...parts);
+    }
+}
+
+// Binance answers 400 with code -1121 for a symbol it does not trade
+const BINANCE_INVALID_SYMBOL = -1121;
+
+function createBinanceProvider(options = {}) {
+    const baseUrl = options.baseUrl || BASE_URLS.binance;
+    const timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    const get = createUpstreamGet('binance', options);
+
+    async function getPrices(ids, { currencies = DEFAULT_CURRENCIES, market = false, priority } = {}) {
+        assertCurrencies(currencies, Object.keys(BINANCE_QUOTES));
+
+        const listed = ids.filter(id => KNOWN_ASSETS[id]);
+        if (listed.length === 0) {
+            return {};
+        }
+
+        // One trading pair per coin and quote currency, skipping BTC/BTC and the like
+        const pairs = [];
+        listed.forEach(id => {
+            currencies.forEach(currency => {
+                if (KNOWN_ASSETS[id].symbol !== BINANCE_QUOTES[currency]) {
+                    pairs.push(KNOWN_ASSETS[id].symbol + BINANCE_QUOTES[currency]);
+                }
+            });
+        });
+
+        // ticker/24hr carries change and volume as well as the last price
+        async function fetchBatch(batch) {
+            const response = await get(`${baseUrl}/ticker/${market ? '24hr' : 'price'}`, {
+                params: { symbols: JSON.stringify(batch) },
+                timeout: timeouts.quote
+            }, priority);
+
+            const bySymbol = {};
+            response.data.forEach(ticker => {
+                bySymbol[ticker.symbol] = ticker;
+            });
+            return bySymbol;
+        }
+        const isUnlistedPair = error => Boolean(error.response && error.response.status === 400 &&
+            error.response.data && error.response.data.code === BINANCE_INVALID_SYMBOL);
+
+        try {
+            const bySymbol = pairs.length > 0 ? await fetchListedPairs(pairs, fetchBatch, isUnlistedPair) : {};
+
+            const result = {};
+            listed.forEach(id => {
+                const asset = KNOWN_ASSETS[id];
+                const quote = { name: asset.name, symbol: asset.symbol, prices: {} };
+                const details = { market_cap: {}, volume_24h: {}, change_24h: {}, last_updated_at: null };
+
+                currencies.forEach(currency => {
+                    const quoteAsset = BINANCE_QUOTES[currency];
+                    const ticker = bySymbol[asset.symbol + quoteAsset];
+                    if (asset.symbol === quoteAsset) {
+                        quote.prices[currency] = 1;
+                    } else if (ticker) {
+                        quote.prices[currency] = parseFloat(market ? ticker.lastPrice : ticker.price);
+                        if (market) {
+                            details.volume_24h[currency] = parseFloat(ticker.quoteVolume);
+                            details.change_24h[currency] = parseFloat(ticker.priceChangePercent);
+                            details.last_updated_at = Math.max(details.last_updated_at || 0, Math.floor(ticker.closeTime / 1000));
+                        }
+                    }
+                });
+
+                if (Object.keys(quote.prices).length > 0) {
+                    if (market) {
+                        quote.market = details;
+                    }
+                    result[id] = quote;
+                }
+            });
+
+            return result;
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    return { name: 'binance', getPrice: singleFromBatch(getPrices), getPrices };
+}
+
+// The body error Kraken gives for a pair it does not trade
+const KRAKEN_UNKNOWN_PAIR = 'EQuery:Unknown asset pair';
+
+function createKrakenProvider(options = {}) {
+    const baseUrl = options.baseUrl || BASE_URLS.kraken;
+    const timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    const get = createUpstreamGet('kraken', options);
+
+    // Kraken may report a pair under its own name or under the legacy X/Z form
+    function resultKeys(asset, quote) {
+        const pair = asset.kraken + quote;
+        if (!asset.legacy) {
+            return [pair];
+        }
+        const quotePrefix = KRAKEN_FIAT.includes(quote) ? 'Z' : 'X';
+        return [pair, `X${asset.kraken}${quotePrefix}${quote}`];
+    }
+
+    async function getPrices(ids, { currencies = DEFAULT_CURRENCIES, market = false, priority } = {}) {
+        assertCurrencies(currencies, Object.keys(KRAKEN_QUOTES));
+
+        const listed = ids.filter(id => KNOWN_ASSETS[id]);
+        if (listed.length === 0) {
+            return {};
+        }
+
+        const pairs = [];
+        listed.forEach(id => {
+            currencies.forEach(currency => {
+                if (KNOWN_ASSETS[id].kraken !== KRAKEN_QUOTES[currency]) {
+                    pairs.push(KNOWN_ASSETS[id].kraken + KRAKEN_QUOTES[currency]);
+                }
+            });
+        });
+
+        async function fetchBatch(batch) {
+            const response = await get(`${baseUrl}/Ticker`, {
+                params: { pair: batch.join(',') },
+                timeout: timeouts.quote
+            }, priority);
+
+            // Kraken reports failures in the body with a 200 status
+            const errors = response.data.error || [];
+            if (errors.length > 0) {
+                const error = new UpstreamUnavailableError(`Kraken error: ${errors.join(', ')}`, { label: UNAVAILABLE });
+                error.krakenErrors = errors;
+                throw error;
+            }
+            return response.data.result || {};
+        }
+        const isUnlistedPair = error => Boolean(error.krakenErrors && error.krakenErrors.includes(KRAKEN_UNKNOWN_PAIR));
+
+        try {
+            const tickers = pairs.length > 0 ? await fetchListedPairs(pairs, fetchBatch, isUnlistedPair) : {};
+
+            // Kraken has no market cap, 24h change or quote timestamp; only the
+            // rolling 24h volume (in the base asset) can be derived.
+            const result = {};
+            listed.forEach(id => {
+                const asset = KNOWN_ASSETS[id];
+                const quote = { name: asset.name, symbol: asset.symbol, prices: {} };
+                const details = { market_cap: {}, volume_24h: {}, change_24h: {}, last_updated_at: null };
+
+                currencies.forEach(currency => {
+                    const quoteAsset = KRAKEN_QUOTES[currency];
+                    if (asset.kraken === quoteAsset) {
+                        quote.prices[currency] = 1;
+                        return;
+                    }
+                    const key = resultKeys(asset, quoteAsset).find(candidate => tickers[candidate]);
+                    if (key) {
+                        // "c" is the last trade closed: [price, lot volume]; "v" is [today, last 24 hours]
+                        quote.prices[currency] = parseFloat(tickers[key].c[0]);
+                        if (market && tickers[key].v) {
+                            details.volume_24h[currency] = parseFloat(tickers[key].v[1]) * quote.prices[currency];
+                        }
+                    }
+                });
+
+                if (Object.keys(quote.prices).length > 0) {
+                    if (market) {
+                        quote.market = details;
+                    }
+                    result[id] = quote;
+                }
+            });
+
+            return result;
+        } catch (error) {
+            throw normalizeUpstreamError(error);
+        }
+    }
+
+    return { name: 'kraken', getPrice: singleFromBatch(getPrices), getPrices };
+}
+
+const providerFactories = {
+    coingecko: createCoinGeckoProvider,
+    coincap: createCoinCapProvider,
+    binance: createBinanceProvider,
+    kraken: createKrakenProvider
+};
+
+function createProvider(name, options) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown price provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    return factory(options);
+}
+
+// A timeout or rate limit is more useful to the caller than "not found" or
+// "currency not supported"; among those, the earliest provider's verdict wins.
+function pickError(errors) {
+    return errors.find(error => !(error instanceof NotFoundError) && !(error instanceof UnsupportedCurrencyError)) ||
+        errors[0];
+}
+
+// Ordered failover chain. Each provider is tried in turn; a quote is tagged
+// with the name of the provider that served it.
+function createProviderChain(providers, options = {}) {
+    const logger = options.logger || silentLogger;
+    if (!providers || providers.length === 0) {
+        throw new Error('At least one price provider is required');
+    }
+
+    async function getPrice(id, options = {}) {
+        const errors = [];
+
+        for (const provider of providers) {
+            try {
+                const quote = await provider.getPrice(id, options);
+                return { ...quote, provider: provider.name };
+            } catch (error) {
+                logger.warn('Provider failed', { provider: provider.name, id, error: error.message });
+                errors.push(error);
+            }
+        }
+
+        throw pickError(errors);
+    }
+
+    async function getPrices(ids, options = {}) {
+        const result = {};
+        const errors = [];
+        let remaining = ids;
+
+        for (const provider of providers) {
+            if (remaining.length === 0) {
+                break;
+            }
+
+            try {
+                const quotes = await provider.getPrices(remaining, options);
+                Object.entries(quotes).forEach(([id, quote]) => {
+                    result[id] = { ...quote, provider: provider.name };
+                });
+                remaining = remaining.filter(id => !result[id]);
+            } catch (error) {
+                logger.warn('Provider failed', { provider: provider.name, ids: remaining, error: error.message });
+                errors.push(error);
+            }
+        }
+
+        if (Object.keys(result).length === 0 && errors.length > 0) {
+            throw pickError(errors);
+        }
+
+        return result;
+    }
+
+    async function getHistory(id, options) {
+        const capable = providers.filter(provider => typeof provider.getHistory === 'function');
+        if (capable.length === 0) {
+            throw new ServiceUnavailableError(HISTORY_UNAVAILABLE, {
+                detail: 'None of the configured price providers serves historical data'
+            });
+        }
+
+        const errors = [];
+        for (const provider of capable) {
+            try {
+                const history = await provider.getHistory(id, options);
+                return { ...history, provider: provider.name };
+            } catch (error) {
+                logger.warn('Provider failed history', { provider: provider.name, id, error: error.message });
+                errors.push(error);
+            }
+        }
+
+        throw pickError(errors);
+    }
+
+    async function listCoins(options = {}) {
+        const capable = providers.filter(provider => typeof provider.listCoins === 'function');
+        if (capable.length === 0) {
+            throw new ServiceUnavailableError(COIN_LIST_UNAVAILABLE, {
+                detail: 'None of the configured price providers lists coins'
+            });
+        }
+
+        const errors = [];
+        for (const provider of capable) {
+            try {
+                return await provider.listCoins(options);
+            } catch (error) {
+                logger.warn('Provider failed to list coins', { provider: provider.name, error: error.message });
+                errors.push(error);
+            }
+        }
+
+        throw pickError(errors);
+    }
+
+    return {
+        providers: providers.map(provider => provider.name),
+        getPrice,
+        getPrices,
+        getHistory,
+        listCoins
+    };
+}
+
+// Build the chain from a comma-separated list such as "coingecko,coincap" (or an
+// array of names); options are handed to every provider, and options.baseUrls
+// maps provider names to their options.baseUrl
+function createProviderChainFromConfig(spec = 'coingecko', options = {}) {
+    const names = (Array.isArray(spec) ? spec : spec.split(',')).map(name => name.trim().toLowerCase()).filter(Boolean);
+    const baseUrls = options.baseUrls || {};
+    return createProviderChain(names.map(name => createProvider(name, { ...options, baseUrl: baseUrls[name] })), options);
+}
+
+module.exports = {
+    KNOWN_ASSETS,
+    DEFAULT_CURRENCIES,
+    BASE_URLS,
+    DEFAULT_TIMEOUTS,
+    UPSTREAM_BUDGETS,
+    normalizeUpstreamError,
+    createCoinGeckoProvider,
+    createCoinCapProvider,
+    createBinanceProvider,
+    createKrakenProvider,
+    createProvider,
+    createProviderChain,
+    createProviderChainFromConfig
+};
@@ -0,0 +1,218 @@
+const { createRedisClient } = require('./redis-client');
+const { silentLogger } = require('./logger');
+
+// Token-bucket rate limiting
+//
+// Every client has a bucket of up to `burst` tokens that refills at
+// `refillPerSecond`. A request takes one token and is refused while the bucket
+// is empty, so clients can burst briefly but are held to the refill rate.
+//
+// Buckets live in a bucket store with one asynchronous operation, so replicas
+// can share them:
+//   backend                                 - 'memory' or 'redis'
+//   take(key, { burst, refillPerMs, now })  - refills the bucket up to now, takes
+//                                             a token if there is one and resolves
+//                                             to { allowed, tokens } (tokens left)
+//   peek(key, { burst, refillPerMs, now })  - resolves to { tokens } the bucket
+//                                             would hold now, taking none
+//   sweep(now)                              - drops buckets that have refilled
+//                                             completely; they are the same as no
+//                                             bucket at all
+//   size()                                  - resolves to the number of buckets
+//
+// The memory store is per process and swept on an interval. The Redis store
+// updates a bucket in one script, so concurrent replicas never lose a take, and
+// lets Redis expire buckets once they would be full again.
+
+const DEFAULT_BURST = 50;
+const DEFAULT_REFILL_PER_SECOND = 50 / 60; // 50 requests a minute
+const DEFAULT_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+function refill(bucket, { burst, refillPerMs, now }) {
+    if (!bucket) {
+        return burst;
+    }
+    return Math.min(burst, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs);
+}
+
+function createMemoryBucketStore() {
+    const buckets = new Map();
+
+    return {
+        backend: 'memory',
+        async take(key, options) {
+            let tokens = refill(buckets.get(key), options);
+            const allowed = tokens >= 1;
+            if (allowed) {
+                tokens -= 1;
+            }
+            buckets.set(key, { tokens, updatedAt: options.now, burst: options.burst, refillPerMs: options.refillPerMs });
+            return { allowed, tokens };
+        },
+        async peek(key, options) {
+            return { tokens: refill(buckets.get(key), options) };
+        },
+        async sweep(now = Date.now()) {
+            buckets.forEach((bucket, key) => {
+                if (refill(bucket, { ...bucket, now }) >= bucket.burst) {
+                    buckets.delete(key);
+                }
+            });
+        },
+        async size() {
+            return buckets.size;
+        }
+    };
+}
+
+// KEYS[1] bucket; ARGV burst, refill per ms, now, ms until an empty bucket is full.
+// Tokens come back as a string because Redis truncates Lua numbers to integers.
+const TAKE_SCRIPT = `
+local burst = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = burst
+if bucket[1] then
+    tokens = math.min(burst, tonumber(bucket[1]) + math.max(0, now - tonumber(bucket[2])) * refillPerMs)
+end
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return { allowed, tostring(tokens) }
+`;
+
+function createRedisBucketStore(options = {}) {
+    const client = options.client || createRedisClient(options.url, options);
+    const prefix = options.prefix === undefined ? 'crypto-api-ratelimit:' : options.prefix;
+
+    return {
+        backend: 'redis',
+        async take(key, { burst, refillPerMs, now }) {
+            const fullAfter = Math.max(1, Math.ceil(burst / refillPerMs));
+            const [allowed, tokens] = await client.command(
+                'EVAL', TAKE_SCRIPT, 1, prefix + key, burst, refillPerMs, now, fullAfter
+            );
+            return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+        },
+        async peek(key, options) {
+            const [tokens, updatedAt] = await client.command('HMGET', prefix + key, 'tokens', 'updated_at');
+            const bucket = tokens === null ? null : { tokens: parseFloat(tokens), updatedAt: parseFloat(updatedAt) };
+            return { tokens: refill(bucket, options) };
+        },
+        // Buckets expire in Redis on their own
+        async sweep() {},
+        async size() {
+            let cursor = '0';
+            let count = 0;
+            do {
+                const [nextCursor, keys] = await client.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+                count += keys.length;
+                cursor = nextCursor;
+            } while (cursor !== '0');
+            return count;
+        },
+        close() {
+            client.quit();
+        }
+    };
+}
+
+// Pick the bucket store from configuration: RATE_LIMIT_STORE=memory|redis,
+// REDIS_URL, REDIS_KEY_PREFIX
+function createBucketStore(config = {}) {
+    const backend = (config.backend || 'memory').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryBucketStore();
+    }
+    if (backend === 'redis') {
+        // A sibling of the cache prefix, so the cache store's size() and clear() leave these keys alone
+        const prefix = config.redisKeyPrefix === undefined ? undefined : `${config.redisKeyPrefix.replace(/:$/, '')}-ratelimit:`;
+        return createRedisBucketStore({ url: config.redisUrl, prefix });
+    }
+
+    throw new Error(`Unknown rate limit store "${backend}". Available: memory, redis`);
+}
+
+function createRateLimiter(options = {}) {
+    const burst = options.burst || DEFAULT_BURST;
+    const refillPerSecond = options.refillPerSecond || DEFAULT_REFILL_PER_SECOND;
+    const refillPerMs = refillPerSecond / 1000;
+    const store = options.store || createMemoryBucketStore();
+    const sweepIntervalMs = options.sweepIntervalMs || DEFAULT_SWEEP_INTERVAL;
+    const logger = options.logger || silentLogger;
+
+    let timer = null;
+
+    function state(tokens) {
+        return {
+            limit: burst,
+            remaining: Math.floor(tokens),
+            reset: Math.ceil((burst - tokens) / refillPerMs / 1000)
+        };
+    }
+
+    // Resolves to { allowed, limit, remaining, reset, retryAfter }; reset and
+    // retryAfter are in whole seconds (until the bucket is full, and until the
+    // next token when refused)
+    async function consume(key) {
+        const { allowed, tokens } = await store.take(key, { burst, refillPerMs, now: Date.now() });
+        return {
+            allowed,
+            ...state(tokens),
+            retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000))
+        };
+    }
+
+    // Resolves to { limit, remaining, reset } for the key without taking a token
+    async function peek(key) {
+        const { tokens } = await store.peek(key, { burst, refillPerMs, now: Date.now() });
+        return state(tokens);
+    }
+
+    function sweep() {
+        return store.sweep(Date.now()).catch(error => {
+            logger.error('Rate limit sweep failed', { error: error.message });
+        });
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(sweep, sweepIntervalMs);
+            if (timer.unref) {
+                timer.unref();
+            }
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        consume,
+        peek,
+        sweep,
+        start,
+        stop,
+        burst,
+        refillPerSecond,
+        get backend() {
+            return store.backend;
+        },
+        size: () => store.size()
+    };
+}
+
+module.exports = {
+    createMemoryBucketStore,
+    createRedisBucketStore,
+    createBucketStore,
+    createRateLimiter
+};
@@ -0,0 +1,191 @@
+const net = require('net');
+
+// Minimal Redis protocol (RESP2) client
+//
+// Supports exactly what the cache store needs: pipelined commands over one
+// lazily opened connection, AUTH/SELECT from the URL, per-command timeouts and
+// reconnecting on the next command after the connection drops. Works against
+// Redis and protocol-compatible servers (KeyDB, Dragonfly, test stand-ins).
+//
+// After a connection drops, commands fail at once until a backoff delay has
+// passed (100 ms, doubling up to 5 seconds while connections keep dropping
+// without a reply), so an unreachable server is not redialled on every call.
+// Events from a connection that was already replaced are ignored.
+
+const DEFAULT_COMMAND_TIMEOUT = 1000; // 1 second
+const RECONNECT_BASE_DELAY = 100;
+const RECONNECT_MAX_DELAY = 5 * 1000; // 5 seconds
+
+// Parse one reply starting at offset; returns null until the buffer holds all of it
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type "${type}"`);
+    }
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return out;
+}
+
+function createRedisClient(url = 'redis://localhost:6379', options = {}) {
+    const parsed = new URL(url);
+    const host = parsed.hostname || 'localhost';
+    const port = parseInt(parsed.port, 10) || 6379;
+    const password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    const username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    const db = parsed.pathname && parsed.pathname.length > 1 ? parseInt(parsed.pathname.slice(1), 10) : 0;
+    const commandTimeout = options.commandTimeout || DEFAULT_COMMAND_TIMEOUT;
+
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = [];
+    let failures = 0; // connections in a row that dropped before a reply
+    let retryAt = 0;
+
+    function failPending(error) {
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(entry => {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        });
+    }
+
+    function onData(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+        let reply;
+        while (pending.length > 0 && (reply = parseReply(buffer)) !== null) {
+            buffer = buffer.subarray(reply.offset);
+            failures = 0;
+            const entry = pending.shift();
+            clearTimeout(entry.timer);
+            if (reply.value instanceof Error) {
+                entry.reject(reply.value);
+            } else {
+                entry.resolve(reply.value);
+            }
+        }
+    }
+
+    // Forget a connection that failed or closed and delay the next one
+    function drop(connection, error) {
+        if (connection !== socket) {
+            return;
+        }
+        socket = null;
+        failures++;
+        retryAt = Date.now() + Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** (failures - 1));
+        failPending(error);
+    }
+
+    function connect() {
+        buffer = Buffer.alloc(0);
+        const connection = net.createConnection({ host, port });
+        socket = connection;
+        connection.setNoDelay(true);
+        connection.on('data', chunk => {
+            if (connection === socket) {
+                onData(chunk);
+            }
+        });
+        connection.on('error', error => drop(connection, error));
+        connection.on('close', () => drop(connection, new Error('Redis connection closed')));
+
+        // Handshake commands queue ahead of whatever triggered the connect
+        if (password) {
+            send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+        }
+        if (db) {
+            send(['SELECT', db]).catch(() => {});
+        }
+    }
+
+    function send(args) {
+        const connection = socket;
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject };
+            entry.timer = setTimeout(() => {
+                // A reply that never came leaves the stream unusable; start over
+                connection.destroy(new Error('Redis command timed out'));
+            }, commandTimeout);
+            pending.push(entry);
+            connection.write(encodeCommand(args));
+        });
+    }
+
+    function command(...args) {
+        if (!socket) {
+            if (Date.now() < retryAt) {
+                return Promise.reject(new Error('Redis connection closed; reconnecting after a backoff'));
+            }
+            connect();
+        }
+        return send(args);
+    }
+
+    // Close the connection; commands still waiting for a reply are rejected
+    function quit() {
+        if (socket) {
+            const connection = socket;
+            socket = null;
+            connection.end();
+            failPending(new Error('Redis client closed'));
+        }
+    }
+
+    return { command, quit, url: `redis://${host}:${port}/${db}` };
+}
+
+module.exports = {
+    createRedisClient,
+    parseReply,
+    encodeCommand
+};
@@ -0,0 +1,57 @@
+// Retries for upstream calls
+//
+// withRetries(fn, options) calls fn again after transient failures: timeouts,
+// dropped connections and 5xx answers, where the same GET may well succeed a
+// moment later. Anything else (404, 429, a bad response) is the provider's
+// answer and is passed on at once. Waits grow exponentially from baseDelayMs up
+// to maxDelayMs, each drawn at random below that ceiling ("full jitter") so
+// callers that failed together do not retry together.
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY = 200; // milliseconds
+const DEFAULT_MAX_DELAY = 2000; // milliseconds
+
+const TRANSIENT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// True for axios errors worth trying again
+function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.response) {
+        return error.response.status >= 500;
+    }
+    return TRANSIENT_CODES.includes(error.code);
+}
+
+// Wait before retry `attempt` (1 for the first retry)
+function backoffDelay(attempt, { baseDelayMs = DEFAULT_BASE_DELAY, maxDelayMs = DEFAULT_MAX_DELAY, random = Math.random } = {}) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(random() * ceiling);
+}
+
+async function withRetries(fn, options = {}) {
+    const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+    const isRetryable = options.isRetryable || isTransientError;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt + 1, options);
+            if (options.onRetry) {
+                options.onRetry(error, attempt + 1, delay);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    isTransientError,
+    backoffDelay,
+    withRetries
+};
@@ -0,0 +1,66 @@
+// Single-flight request coalescing
+//
+// Concurrent callers asking for the same key share one in-flight promise
+// instead of each calling upstream. Keys are released as soon as their
+// promise settles, so nothing is cached here; the cache store does that.
+//
+//   run(key, fn)                 - promise for key, calling fn only if none is in flight
+//   runBatch(keys, fetchBatch)   - one promise per key; keys already in flight are
+//                                  joined, the rest go to a single fetchBatch(keys)
+//                                  call resolving to { [key]: value }
+//   coalesced                    - number of callers that joined an in-flight promise
+
+function createSingleFlight() {
+    const inFlight = new Map();
+    let coalesced = 0;
+
+    function track(key, promise) {
+        inFlight.set(key, promise);
+        const release = () => {
+            if (inFlight.get(key) === promise) {
+                inFlight.delete(key);
+            }
+        };
+        promise.then(release, release);
+        return promise;
+    }
+
+    function run(key, fn) {
+        if (inFlight.has(key)) {
+            coalesced++;
+            return inFlight.get(key);
+        }
+        return track(key, Promise.resolve().then(fn));
+    }
+
+    function runBatch(keys, fetchBatch) {
+        const own = [...new Set(keys)].filter(key => !inFlight.has(key));
+
+        if (own.length > 0) {
+            const batch = Promise.resolve().then(() => fetchBatch(own));
+            own.forEach(key => track(key, batch.then(results => results[key])));
+        }
+
+        return keys.map(key => {
+            if (!own.includes(key)) {
+                coalesced++;
+            }
+            return inFlight.get(key);
+        });
+    }
+
+    return {
+        run,
+        runBatch,
+        get coalesced() {
+            return coalesced;
+        },
+        get size() {
+            return inFlight.size;
+        }
+    };
+}
+
+module.exports = {
+    createSingleFlight
+};
@@ -0,0 +1,211 @@
+const { AsyncResource } = require('async_hooks');
+const { silentLogger } = require('./logger');
+const { UpstreamRateLimitedError } = require('./errors');
+
+// Outbound call scheduler
+//
+// Keeps the calls made to each upstream provider within a calls-per-minute
+// budget (a sliding one-minute window). Calls over budget wait in a queue per
+// provider, where user-facing calls ('interactive') go ahead of background
+// refreshes ('background'); background calls also leave the last `reserve`
+// share of the budget to user-facing ones.
+//
+// An upstream 429 pauses the provider for every caller, for its Retry-After or
+// pauseMs when it sends none. The call that got the 429 is queued again if it
+// can wait that long, as are calls scheduled during the pause; a call that
+// cannot start before its wait limit (maxWaitMs per priority) fails at once
+// with UpstreamRateLimitedError, so the provider chain moves on to the next
+// provider instead of hanging.
+//
+// schedule(provider, fn, { priority }) runs fn when the provider's budget allows
+// and settles with its result. fn should reject with the axios error so the
+// response status and headers are available here.
+
+// Same message as the providers' own rate limit error
+const RATE_LIMITED = 'Rate limit exceeded. Please try again later.';
+
+const PRIORITIES = ['interactive', 'background'];
+const WINDOW_MS = 60 * 1000; // 1 minute
+const DEFAULT_BUDGET = 60; // calls per minute
+const DEFAULT_RESERVE = 0.2;
+const DEFAULT_PAUSE = 60 * 1000; // 1 minute
+const MAX_PAUSE = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_MAX_WAIT = {
+    interactive: 10 * 1000, // 10 seconds
+    background: 2 * 60 * 1000 // 2 minutes
+};
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(headers = {}, now = Date.now()) {
+    const value = headers['retry-after'];
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function createUpstreamScheduler(options = {}) {
+    const budgets = options.budgets || {}; // provider -> calls per minute, 0 for no limit
+    const defaultBudget = options.defaultBudget === undefined ? DEFAULT_BUDGET : options.defaultBudget;
+    const reserve = options.reserve === undefined ? DEFAULT_RESERVE : options.reserve;
+    const pauseMs = options.pauseMs === undefined ? DEFAULT_PAUSE : options.pauseMs;
+    const maxWait = { ...DEFAULT_MAX_WAIT, ...options.maxWaitMs };
+    const logger = options.logger || silentLogger;
+
+    const lanes = new Map();
+
+    function laneFor(provider) {
+        if (!lanes.has(provider)) {
+            lanes.set(provider, {
+                calls: [], // start times within the window, oldest first
+                queues: { interactive: [], background: [] },
+                pausedUntil: 0,
+                pauses: 0,
+                timer: null
+            });
+        }
+        return lanes.get(provider);
+    }
+
+    function budgetFor(provider) {
+        return budgets[provider] === undefined ? defaultBudget : budgets[provider];
+    }
+
+    // Calls the priority may make in the window; background keeps off the reserve
+    function allowance(provider, priority) {
+        const budget = budgetFor(provider);
+        if (!budget) {
+            return Infinity;
+        }
+        return priority === 'interactive' ? budget : Math.max(1, Math.floor(budget * (1 - reserve)));
+    }
+
+    function rateLimited() {
+        return new UpstreamRateLimitedError(RATE_LIMITED);
+    }
+
+    function run(provider, job) {
+        Promise.resolve()
+            .then(job.fn)
+            .then(job.resolve, error => {
+                if (!error || !error.response || error.response.status !== 429) {
+                    job.reject(error);
+                    return;
+                }
+
+                const lane = laneFor(provider);
+                const waitMs = retryAfterMs(error.response.headers);
+                const until = Date.now() + Math.min(waitMs === null ? pauseMs : waitMs, MAX_PAUSE);
+                if (until > lane.pausedUntil) {
+                    lane.pausedUntil = until;
+                    lane.pauses++;
+                    logger.warn('Upstream is rate limiting; pausing it', { provider, pause_seconds: Math.ceil((until - Date.now()) / 1000) });
+                }
+
+                // Only a Retry-After says when trying again will work
+                if (waitMs === null || until > job.deadline) {
+                    job.reject(error);
+                } else {
+                    lane.queues[job.priority].unshift(job);
+                }
+                pump(provider);
+            });
+    }
+
+    function pump(provider) {
+        const lane = laneFor(provider);
+        clearTimeout(lane.timer);
+        lane.timer = null;
+
+        const now = Date.now();
+        while (lane.calls.length > 0 && lane.calls[0] <= now - WINDOW_MS) {
+            lane.calls.shift();
+        }
+
+        // Calls that cannot start in time fail now rather than at their deadline
+        const startsAt = lane.pausedUntil > now ? lane.pausedUntil : now;
+        PRIORITIES.forEach(priority => {
+            lane.queues[priority] = lane.queues[priority].filter(job => {
+                if (job.deadline < startsAt || job.deadline <= now) {
+                    job.reject(rateLimited());
+                    return false;
+                }
+                return true;
+            });
+        });
+
+        if (lane.pausedUntil <= now) {
+            for (const priority of PRIORITIES) {
+                const queue = lane.queues[priority];
+                const limit = allowance(provider, priority);
+                while (queue.length > 0 && lane.calls.length < limit) {
+                    lane.calls.push(now);
+                    run(provider, queue.shift());
+                }
+            }
+        }
+
+        const waiting = PRIORITIES.flatMap(priority => lane.queues[priority]);
+        if (waiting.length === 0) {
+            return;
+        }
+
+        // Wake when the pause ends, a call leaves the window or a wait runs out
+        const wakeTimes = waiting.map(job => job.deadline);
+        wakeTimes.push(lane.pausedUntil > now ? lane.pausedUntil : lane.calls[0] + WINDOW_MS);
+        lane.timer = setTimeout(() => pump(provider), Math.max(1, Math.min(...wakeTimes) - now));
+        if (lane.timer.unref) {
+            lane.timer.unref();
+        }
+    }
+
+    function schedule(provider, fn, { priority = 'interactive' } = {}) {
+        if (!PRIORITIES.includes(priority)) {
+            return Promise.reject(new Error(`Unknown priority "${priority}". Available: ${PRIORITIES.join(', ')}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            laneFor(provider).queues[priority].push({
+                // Run in the caller's async context, whichever call frees the budget
+                fn: AsyncResource.bind(fn),
+                resolve,
+                reject,
+                priority,
+                deadline: Date.now() + maxWait[priority]
+            });
+            pump(provider);
+        });
+    }
+
+    return {
+        schedule,
+        get status() {
+            const now = Date.now();
+            const status = {};
+            lanes.forEach((lane, provider) => {
+                status[provider] = {
+                    budget_per_minute: budgetFor(provider) || null,
+                    calls_last_minute: lane.calls.filter(time => time > now - WINDOW_MS).length,
+                    queued: {
+                        interactive: lane.queues.interactive.length,
+                        background: lane.queues.background.length
+                    },
+                    paused_until: lane.pausedUntil > now ? new Date(lane.pausedUntil).toISOString() : null,
+                    pauses: lane.pauses
+                };
+            });
+            return status;
+        }
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    retryAfterMs,
+    createUpstreamScheduler
+};
@@ -0,0 +1,129 @@
+const { createRedisClient } = require('./redis-client');
+
+// Usage stores
+//
+// Count requests per subject (an API key name, or "anonymous") per calendar
+// month (UTC, "2024-01") and endpoint, for quotas and the admin usage report:
+//   backend                               - 'memory' or 'redis'
+//   increment(subject, month, endpoint)   - counts one request, resolves to the
+//                                           subject's new total for the month
+//   decrement(subject, month, endpoint)   - takes back a count, for a request
+//                                           refused after it was counted
+//   get(subject, month)                   - resolves to { total, endpoints }
+//
+// The memory store is per process. The Redis store is shared by every replica,
+// so a quota holds across all of them; months expire after RETENTION_DAYS.
+
+const RETENTION_DAYS = 400; // a year back, plus a margin
+
+// Calendar month of a timestamp, in UTC
+function monthOf(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 7);
+}
+
+// Start of the month after `month`, in milliseconds
+function nextMonthStart(month) {
+    const [year, index] = month.split('-').map(Number);
+    return Date.UTC(year, index, 1);
+}
+
+function createMemoryUsageStore() {
+    const counters = new Map(); // "subject month" -> { total, endpoints }
+
+    return {
+        backend: 'memory',
+        async increment(subject, month, endpoint) {
+            const key = `${subject} ${month}`;
+            if (!counters.has(key)) {
+                counters.set(key, { total: 0, endpoints: {} });
+            }
+            const usage = counters.get(key);
+            usage.total += 1;
+            usage.endpoints[endpoint] = (usage.endpoints[endpoint] || 0) + 1;
+            return usage.total;
+        },
+        async decrement(subject, month, endpoint) {
+            const usage = counters.get(`${subject} ${month}`);
+            if (!usage || !usage.endpoints[endpoint]) {
+                return;
+            }
+            usage.total -= 1;
+            usage.endpoints[endpoint] -= 1;
+            if (usage.endpoints[endpoint] === 0) {
+                delete usage.endpoints[endpoint];
+            }
+        },
+        async get(subject, month) {
+            const usage = counters.get(`${subject} ${month}`);
+            return usage ? { total: usage.total, endpoints: { ...usage.endpoints } } : { total: 0, endpoints: {} };
+        }
+    };
+}
+
+// One hash per subject and month: a "total" field plus one field per endpoint
+function createRedisUsageStore(options = {}) {
+    const client = options.client || createRedisClient(options.url, options);
+    const prefix = options.prefix === undefined ? 'crypto-api-usage:' : options.prefix;
+    const keyFor = (subject, month) => `${prefix}${subject}:${month}`;
+
+    return {
+        backend: 'redis',
+        async increment(subject, month, endpoint) {
+            const key = keyFor(subject, month);
+            const [total] = await Promise.all([
+                client.command('HINCRBY', key, 'total', 1),
+                client.command('HINCRBY', key, `endpoint:${endpoint}`, 1),
+                client.command('EXPIRE', key, RETENTION_DAYS * 24 * 60 * 60)
+            ]);
+            return total;
+        },
+        async decrement(subject, month, endpoint) {
+            const key = keyFor(subject, month);
+            await Promise.all([
+                client.command('HINCRBY', key, 'total', -1),
+                client.command('HINCRBY', key, `endpoint:${endpoint}`, -1)
+            ]);
+        },
+        async get(subject, month) {
+            const fields = await client.command('HGETALL', keyFor(subject, month));
+            const usage = { total: 0, endpoints: {} };
+            for (let i = 0; i < fields.length; i += 2) {
+                const value = parseInt(fields[i + 1], 10);
+                if (fields[i] === 'total') {
+                    usage.total = value;
+                } else if (fields[i].startsWith('endpoint:') && value > 0) {
+                    usage.endpoints[fields[i].slice('endpoint:'.length)] = value;
+                }
+            }
+            return usage;
+        },
+        close() {
+            client.quit();
+        }
+    };
+}
+
+// Pick the usage store from configuration: USAGE_STORE=memory|redis, REDIS_URL,
+// REDIS_KEY_PREFIX
+function createUsageStore(config = {}) {
+    const backend = (config.backend || 'memory').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryUsageStore();
+    }
+    if (backend === 'redis') {
+        // Beside the cache keys rather than under them, so clearing the cache keeps the counts
+        const prefix = config.redisKeyPrefix === undefined ? undefined : `${config.redisKeyPrefix.replace(/:$/, '')}-usage:`;
+        return createRedisUsageStore({ url: config.redisUrl, prefix });
+    }
+
+    throw new Error(`Unknown usage store "${backend}". Available: memory, redis`);
+}
+
+module.exports = {
+    monthOf,
+    nextMonthStart,
+    createMemoryUsageStore,
+    createRedisUsageStore,
+    createUsageStore
+};